@@ -1,4 +1,7 @@
 import { AIReplyService } from '../services/aiReplyService.js';
+import threadService from '../services/threadService.js';
+import draftService from '../services/draftService.js';
+import User from '../models/User.js';
 
 export const generateReply = async (req, res) => {
   try {
@@ -9,7 +12,9 @@ export const generateReply = async (req, res) => {
       additionalContext = '',
       maxLength = 200,
       recipientName = '',
-      senderName = ''
+      senderName = '',
+      email,
+      threadId
     } = req.body;
 
     if (!originalEmail) {
@@ -19,6 +24,17 @@ export const generateReply = async (req, res) => {
       });
     }
 
+    // Give the model the rest of the conversation when the thread is known
+    let threadMessages = [];
+    const replyThreadId = threadId || originalEmail.threadId;
+    if (email && replyThreadId) {
+      const user = await User.findOne({ worxstreamUserId: req.user.id });
+      if (user) {
+        threadMessages = (await threadService.getThreadContext(user._id, email, replyThreadId))
+          .filter(msg => msg.id !== originalEmail.id);
+      }
+    }
+
     const result = await AIReplyService.generateReply({
       originalEmail,
       replyType,
@@ -26,7 +42,8 @@ export const generateReply = async (req, res) => {
       additionalContext,
       maxLength,
       recipientName,
-      senderName
+      senderName,
+      threadMessages
     });
 
     if (result.success) {
@@ -61,9 +78,19 @@ export const generateComposeEmail = async (req, res) => {
       additionalContext = '',
       maxLength = 300,
       recipientName = '',
-      senderName = ''
+      senderName = '',
+      saveAsDraft = false,
+      email,
+      draftId
     } = req.body;
 
+    if (saveAsDraft && !email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email account is required to save a draft'
+      });
+    }
+
     const result = await AIReplyService.generateComposeEmail({
       subject,
       recipient,
@@ -76,11 +103,23 @@ export const generateComposeEmail = async (req, res) => {
     });
 
     if (result.success) {
+      // Keep the generated email so it survives a closed tab
+      const draft = saveAsDraft
+        ? await draftService.saveDraft(req.user.id, email, {
+            draftId,
+            to: recipient,
+            subject: result.subject,
+            text: result.body,
+            source: 'ai-compose'
+          })
+        : undefined;
+
       res.json({
         success: true,
         subject: result.subject,
         body: result.body,
-        usage: result.usage
+        usage: result.usage,
+        draft
       });
     } else {
       res.status(500).json({
@@ -106,9 +145,19 @@ export const improveEmail = async (req, res) => {
       userTone = 'professional',
       additionalContext = '',
       recipientName = '',
-      senderName = ''
+      senderName = '',
+      saveAsDraft = false,
+      email,
+      draftId
     } = req.body;
 
+    if (saveAsDraft && !email && !draftId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email account or draft is required to save a draft'
+      });
+    }
+
     if (!currentContent) {
       return res.status(400).json({
         success: false,
@@ -126,10 +175,21 @@ export const improveEmail = async (req, res) => {
     });
 
     if (result.success) {
+      // Replace the draft's body, or start a new draft, with the improved text
+      const draft = saveAsDraft
+        ? await draftService.saveDraft(req.user.id, email, {
+            draftId,
+            text: result.improvedContent,
+            html: null,
+            source: 'ai-improve'
+          })
+        : undefined;
+
       res.json({
         success: true,
         improvedContent: result.improvedContent,
-        usage: result.usage
+        usage: result.usage,
+        draft
       });
     } else {
       res.status(500).json({
@@ -145,4 +205,50 @@ export const improveEmail = async (req, res) => {
       error: 'Internal server error'
     });
   }
-}; 
\ No newline at end of file
+}; 
+
+// Preview the summary mail:forward { summarize: true } puts under the comment
+export const summarizeForward = async (req, res) => {
+  try {
+    const {
+      originalEmail,
+      userTone = 'professional',
+      maxLength = 120,
+      comment = ''
+    } = req.body;
+
+    if (!originalEmail) {
+      return res.status(400).json({
+        success: false,
+        error: 'Original email is required'
+      });
+    }
+
+    const result = await AIReplyService.summarizeForForward({
+      originalEmail,
+      userTone,
+      maxLength,
+      comment
+    });
+
+    if (result.success) {
+      res.json({
+        success: true,
+        summary: result.summary,
+        usage: result.usage
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+  } catch (error) {
+    console.error('Error in summarizeForward controller:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+};
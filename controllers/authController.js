@@ -1,7 +1,8 @@
 // controllers/authController.js
 import axios from 'axios';
 import dotenv from 'dotenv';
-import { saveToken, getToken } from '../utils/tokenManager.js';
+import { saveToken, getToken, saveImapAccount } from '../utils/tokenManager.js';
+import { buildImapAccount, verifyAccount } from '../services/imapService.js';
 import { google } from 'googleapis';
 import { authenticateUser } from '../middleware/auth.js';
 
@@ -356,6 +357,51 @@ export const gmailRedirect = async (req, res) => {
   }
 };
 
+// 🔌 Connect an IMAP/SMTP account with its server settings and password.
+// Both logins are checked before anything is stored.
+export const imapConnect = async (req, res) => {
+  if (!req.user || !req.user.id) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+      code: 'AUTH_REQUIRED'
+    });
+  }
+
+  const worxstreamUserId = req.user.id;
+  const { email, imap, smtp } = req.body || {};
+
+  try {
+    const account = buildImapAccount(email, { imap, smtp });
+
+    console.log(`🔄 Verifying IMAP account: ${email} (${account.imap.host})`);
+    await verifyAccount(account);
+    await saveImapAccount(worxstreamUserId, email, account);
+
+    console.log(`✅ IMAP account connected: ${email}`);
+    return res.json({
+      success: true,
+      email,
+      provider: 'imap'
+    });
+  } catch (err) {
+    if (['INVALID_ACCOUNT', 'HOST_NOT_FOUND', 'HOST_NOT_ALLOWED', 'IMAP_CONNECT_FAILED', 'SMTP_CONNECT_FAILED'].includes(err.code)) {
+      return res.status(400).json({
+        success: false,
+        error: err.message,
+        code: err.code
+      });
+    }
+
+    console.error('❌ IMAP connect error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to connect account',
+      details: err.message
+    });
+  }
+};
+
 // 3️⃣ Handle Frontend Callback
 export const handleCallback = async (req, res) => {
   const { worxstreamUserId, provider, email } = req.body;
@@ -2,6 +2,8 @@
 import EmailAccount from '../models/EmailAccount.js';
 import Email from '../models/email.js';
 import User from '../models/User.js';
+import focusAssignmentService from '../services/focusAssignmentService.js';
+import focusBackfillService from '../services/focusBackfillService.js';
 
 // Generate a unique folder name for focus items
 const generateFocusFolderName = (type, value) => {
@@ -25,7 +27,7 @@ export const addFocusItem = async (req, res) => {
       valueType: typeof req.body.value
     });
 
-    const { email: queryEmail, type, value } = req.body;
+    const { email: queryEmail, type, value, matchMode, scope } = req.body;
     const worxstreamUserId = req.user.id;
 
     if (!worxstreamUserId) {
@@ -43,10 +45,13 @@ export const addFocusItem = async (req, res) => {
       });
     }
 
-    if (!['subject', 'email'].includes(type)) {
+    let criteria;
+    try {
+      criteria = focusAssignmentService.normalizeFocusItem({ type, value, matchMode, scope });
+    } catch (error) {
       return res.status(400).json({ 
         success: false,
-        error: 'Type must be either "subject" or "email"' 
+        error: error.message 
       });
     }
 
@@ -77,7 +82,10 @@ export const addFocusItem = async (req, res) => {
 
     // Check if focus item already exists
     const existingFocusItem = emailAccount.focusedItems.find(
-      item => item.type === type && item.value.toLowerCase() === value.toLowerCase()
+      item => item.type === criteria.type &&
+        item.value.toLowerCase() === criteria.value.toLowerCase() &&
+        (item.matchMode || 'contains') === criteria.matchMode &&
+        (item.scope || 'any') === criteria.scope
     );
 
     if (existingFocusItem) {
@@ -88,12 +96,11 @@ export const addFocusItem = async (req, res) => {
     }
 
     // Generate folder name
-    const folderName = generateFocusFolderName(type, value);
+    const folderName = generateFocusFolderName(criteria.type, criteria.value);
 
     // Add focus item
     const newFocusItem = {
-      type,
-      value,
+      ...criteria,
       folderName,
       createdAt: new Date(),
       lastActivity: new Date(),
@@ -103,43 +110,80 @@ export const addFocusItem = async (req, res) => {
 
     emailAccount.focusedItems.push(newFocusItem);
     await emailAccount.save();
+    focusAssignmentService.clearCache(user._id, queryEmail);
 
     console.log('✅ Focus item added:', newFocusItem);
 
-    // Update existing emails to assign them to this focus folder
-    let query = { userId: user._id, email: queryEmail };
-    
-    if (type === 'subject') {
-      // For subject focus, match emails with similar subjects
-      query.subject = { $regex: value, $options: 'i' };
-    } else if (type === 'email') {
-      // For email focus, match emails from/to/cc/bcc that email address
-      query.$or = [
-        { from: { $regex: value, $options: 'i' } },
-        { to: { $regex: value, $options: 'i' } },
-        { cc: { $regex: value, $options: 'i' } },
-        { bcc: { $regex: value, $options: 'i' } }
-      ];
+    // Assign matching stored emails in the background, progress goes out as focus:backfillProgress
+    const savedFocusItem = emailAccount.focusedItems[emailAccount.focusedItems.length - 1];
+    const backfillJobId = focusBackfillService.start(user, queryEmail, savedFocusItem, 'assign');
+
+    res.json({
+      success: true,
+      data: savedFocusItem,
+      backfillJobId
+    });
+  } catch (error) {
+    console.error('❌ Error in addFocusItem:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+};
+
+// Preview how many stored emails a focus item would match before saving it
+export const previewFocusItem = async (req, res) => {
+  try {
+    const { email: queryEmail, type, value, matchMode, scope } = req.body;
+    const worxstreamUserId = req.user.id;
+
+    if (!worxstreamUserId) {
+      console.error('❌ No worXstream user ID found');
+      return res.status(401).json({ 
+        success: false,
+        error: 'User not authenticated' 
+      });
     }
 
-    const updatedEmails = await Email.updateMany(
-      query,
-      { focusFolder: folderName }
-    );
+    if (!type || !value || !queryEmail) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Email, type, and value are required' 
+      });
+    }
 
-    // Update email count
-    newFocusItem.emailCount = updatedEmails.modifiedCount;
-    await emailAccount.save();
+    let criteria;
+    try {
+      criteria = focusAssignmentService.normalizeFocusItem({ type, value, matchMode, scope });
+    } catch (error) {
+      return res.status(400).json({ 
+        success: false,
+        error: error.message 
+      });
+    }
+
+    // Get user
+    const user = await User.findOne({ worxstreamUserId });
+    if (!user) {
+      console.error('❌ User not found for worxstreamUserId:', worxstreamUserId);
+      return res.status(404).json({ 
+        success: false,
+        error: 'User not found' 
+      });
+    }
 
-    console.log(`📧 Updated ${updatedEmails.modifiedCount} emails for focus folder: ${folderName}`);
+    const matchCount = await focusAssignmentService.countMatches(user._id, queryEmail, criteria);
 
     res.json({
       success: true,
-      data: newFocusItem,
-      emailsUpdated: updatedEmails.modifiedCount
+      data: {
+        ...criteria,
+        matchCount
+      }
     });
   } catch (error) {
-    console.error('❌ Error in addFocusItem:', error);
+    console.error('❌ Error in previewFocusItem:', error);
     res.status(500).json({ 
       success: false,
       error: 'Internal server error' 
@@ -214,19 +258,15 @@ export const removeFocusItem = async (req, res) => {
 
     const removedFocusItem = emailAccount.focusedItems.splice(focusItemIndex, 1)[0];
     await emailAccount.save();
+    focusAssignmentService.clearCache(user._id, queryEmail);
 
-    // Remove focus folder from all emails
-    const updatedEmails = await Email.updateMany(
-      { userId: user._id, email: queryEmail, focusFolder: folderName },
-      { $unset: { focusFolder: 1 } }
-    );
-
-    console.log(`📧 Removed focus folder from ${updatedEmails.modifiedCount} emails`);
+    // Take emails out of the folder in the background, the same way they were assigned
+    const backfillJobId = focusBackfillService.start(user, queryEmail, removedFocusItem, 'clear');
 
     res.json({
       success: true,
       data: removedFocusItem,
-      emailsUpdated: updatedEmails.modifiedCount
+      backfillJobId
     });
   } catch (error) {
     console.error('❌ Error in removeFocusItem:', error);
@@ -293,20 +333,16 @@ export const getFocusItems = async (req, res) => {
     }
 
     // Get email counts for each focus item
-    const focusItemsWithCounts = await Promise.all(
-      emailAccount.focusedItems.map(async (focusItem) => {
-        const emailCount = await Email.countDocuments({
-          userId: user._id,
-          email: targetEmail,
-          focusFolder: focusItem.folderName
-        });
-
-        return {
-          ...focusItem.toObject(),
-          emailCount
-        };
-      })
+    const counts = await focusAssignmentService.getFocusFolderCounts(
+      user._id,
+      targetEmail,
+      emailAccount.focusedItems.map(focusItem => focusItem.folderName)
     );
+    const focusItemsWithCounts = emailAccount.focusedItems.map(focusItem => ({
+      ...focusItem.toObject(),
+      emailCount: counts.get(focusItem.folderName)?.emailCount || 0,
+      unreadCount: counts.get(focusItem.folderName)?.unreadCount || 0
+    }));
 
     console.log('📋 Returning focus items:', focusItemsWithCounts.length, 'items');
     res.json({
@@ -368,7 +404,7 @@ export const getFocusFolderEmails = async (req, res) => {
     const filterCriteria = {
       userId: user._id,
       email: queryEmail,
-      focusFolder: folderName
+      focusFolders: folderName
     };
 
     // Add AI metadata filters if provided
@@ -432,7 +468,7 @@ export const updateFocusItemActivity = async (userId, email, focusFolder) => {
       focusItem.emailCount = await Email.countDocuments({
         userId,
         email,
-        focusFolder
+        focusFolders: focusFolder
       });
       await emailAccount.save();
     }
@@ -0,0 +1,647 @@
+// controllers/mailController.js
+import fs from 'fs';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import threadService from '../services/threadService.js';
+import searchService from '../services/searchService.js';
+import composeService from '../services/composeService.js';
+import scheduledSendService from '../services/scheduledSendService.js';
+import emailService from '../services/emailService.js';
+import unifiedMailService from '../services/unifiedMailService.js';
+import mailExportService from '../services/mailExportService.js';
+import mailImportService from '../services/mailImportService.js';
+import { resolveMailbox } from '../services/mailboxAdapter.js';
+
+// Parse a single-range "bytes=" header. Returns null for no/unsupported ranges,
+// { start, end } for "start-end"/"start-" and { suffix } for "-N".
+const parseRangeHeader = (header) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  if (match[1] === '') {
+    return { suffix: Number(match[2]) };
+  }
+
+  const start = Number(match[1]);
+  const end = match[2] === '' ? null : Number(match[2]);
+  if (end !== null && end < start) return null;
+  return { start, end };
+};
+
+// Pass through only the bytes from start to end (inclusive) of a stream
+const createRangeStream = (start, end) => {
+  let position = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const chunkStart = position;
+      position += chunk.length;
+      if (position <= start || chunkStart > end) {
+        return callback();
+      }
+      callback(null, chunk.subarray(Math.max(0, start - chunkStart), Math.min(chunk.length, end - chunkStart + 1)));
+    }
+  });
+};
+
+const contentDispositionHeader = (type, filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
+// Stream an attachment from the provider, with support for range requests
+export const downloadAttachment = async (req, res) => {
+  try {
+    const { email, id: messageId, attachmentId } = req.params;
+    const worxstreamUserId = req.user.id;
+
+    if (!worxstreamUserId) {
+      console.error('❌ No worXstream user ID found');
+      return res.status(401).json({ 
+        success: false,
+        error: 'User not authenticated' 
+      });
+    }
+
+    // The account has to be linked to the authenticated user
+    const mailbox = await resolveMailbox(worxstreamUserId, email);
+    if (!mailbox) {
+      return res.status(404).json({
+        success: false,
+        error: `No valid token found for email ${email}`,
+        code: 'TOKEN_NOT_FOUND'
+      });
+    }
+
+    const range = parseRangeHeader(req.headers.range);
+    const providerRange = range && range.suffix === undefined ? range : null;
+
+    let attachment;
+    try {
+      attachment = await mailbox.adapter.getAttachmentContent(mailbox.token, messageId, attachmentId, providerRange);
+    } catch (error) {
+      if (error.response?.status === 416) {
+        return res.status(416).json({ 
+          success: false,
+          error: 'Requested range not satisfiable' 
+        });
+      }
+      throw error;
+    }
+
+    if (!attachment) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Attachment not found' 
+      });
+    }
+
+    const { size, stream } = attachment;
+    const disposition = req.query.inline === 'true' ? 'inline' : 'attachment';
+
+    res.setHeader('Content-Type', attachment.contentType);
+    res.setHeader('Content-Disposition', contentDispositionHeader(disposition, attachment.filename));
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('Cache-Control', 'private, no-store');
+
+    if (!range) {
+      if (size) res.setHeader('Content-Length', size);
+      return await pipeline(stream, res);
+    }
+
+    const start = range.suffix !== undefined ? Math.max(0, size - range.suffix) : range.start;
+    const end = range.suffix !== undefined || range.end === null ? size - 1 : Math.min(range.end, size - 1);
+
+    if (start >= size) {
+      stream.destroy();
+      res.setHeader('Content-Range', `bytes */${size}`);
+      return res.status(416).end();
+    }
+
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+    res.setHeader('Content-Length', end - start + 1);
+
+    if (attachment.rangeApplied) {
+      await pipeline(stream, res);
+    } else {
+      // The provider sent the whole file, cut the range out here
+      await pipeline(stream, createRangeStream(start, end), res);
+    }
+  } catch (error) {
+    console.error('❌ Error in downloadAttachment:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+};
+
+// Download the RFC 822 source of a message as an .eml file
+export const downloadRawMessage = async (req, res) => {
+  try {
+    const { email, id: messageId } = req.params;
+    const worxstreamUserId = req.user.id;
+
+    if (!worxstreamUserId) {
+      console.error('❌ No worXstream user ID found');
+      return res.status(401).json({ 
+        success: false,
+        error: 'User not authenticated' 
+      });
+    }
+
+    // The account has to be linked to the authenticated user
+    const mailbox = await resolveMailbox(worxstreamUserId, email);
+    if (!mailbox) {
+      return res.status(404).json({
+        success: false,
+        error: `No valid token found for email ${email}`,
+        code: 'TOKEN_NOT_FOUND'
+      });
+    }
+
+    const message = await mailExportService.getRawMessage(mailbox, email, messageId);
+    if (!message) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Message not found' 
+      });
+    }
+
+    res.setHeader('Content-Type', 'message/rfc822');
+    res.setHeader('Content-Disposition', contentDispositionHeader('attachment', message.filename));
+    res.setHeader('Content-Length', message.content.length);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.send(message.content);
+  } catch (error) {
+    console.error('❌ Error in downloadRawMessage:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+};
+
+// Start an mbox export of a folder or of search results, progress goes to the socket
+export const startExport = async (req, res) => {
+  try {
+    const { email, folderId, query } = req.body;
+    const worxstreamUserId = req.user.id;
+
+    if (!worxstreamUserId) {
+      console.error('❌ No worXstream user ID found');
+      return res.status(401).json({ 
+        success: false,
+        error: 'User not authenticated' 
+      });
+    }
+
+    const job = await mailExportService.startExport(worxstreamUserId, { email, folderId, query });
+
+    res.status(202).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_EXPORT' || error.code === 'INVALID_QUERY' || error.code === 'TOKEN_NOT_FOUND') {
+      return res.status(error.code === 'TOKEN_NOT_FOUND' ? 404 : 400).json({ 
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('❌ Error in startExport:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+};
+
+// Status of an export
+export const getExport = async (req, res) => {
+  try {
+    const worxstreamUserId = req.user.id;
+
+    if (!worxstreamUserId) {
+      console.error('❌ No worXstream user ID found');
+      return res.status(401).json({ 
+        success: false,
+        error: 'User not authenticated' 
+      });
+    }
+
+    const job = await mailExportService.getExport(worxstreamUserId, req.params.exportId);
+    if (!job) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Export not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('❌ Error in getExport:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+};
+
+// Download the mbox file of a finished export
+export const downloadExport = async (req, res) => {
+  try {
+    const worxstreamUserId = req.user.id;
+
+    if (!worxstreamUserId) {
+      console.error('❌ No worXstream user ID found');
+      return res.status(401).json({ 
+        success: false,
+        error: 'User not authenticated' 
+      });
+    }
+
+    const download = await mailExportService.getDownload(worxstreamUserId, req.params.exportId);
+    if (!download) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Export not found, not finished or expired' 
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/mbox');
+    res.setHeader('Content-Disposition', contentDispositionHeader('attachment', download.filename));
+    res.setHeader('Content-Length', download.size);
+    res.setHeader('Cache-Control', 'private, no-store');
+    await pipeline(fs.createReadStream(download.filePath), res);
+  } catch (error) {
+    console.error('❌ Error in downloadExport:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+};
+
+// Import .eml files or mbox archives (multipart field "files") into the Imported folder of an account
+export const importMail = async (req, res) => {
+  try {
+    const worxstreamUserId = req.user.id;
+
+    if (!worxstreamUserId) {
+      console.error('❌ No worXstream user ID found');
+      return res.status(401).json({ 
+        success: false,
+        error: 'User not authenticated' 
+      });
+    }
+
+    const result = await mailImportService.importFiles(worxstreamUserId, req.params.email, req.files || []);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_IMPORT' || error.code === 'TOKEN_NOT_FOUND') {
+      return res.status(error.code === 'TOKEN_NOT_FOUND' ? 404 : 400).json({ 
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('❌ Error in importMail:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+};
+
+// Upload compose attachments (multipart field "files"), set inline=true for cid: images
+export const uploadAttachments = async (req, res) => {
+  try {
+    const worxstreamUserId = req.user.id;
+
+    if (!worxstreamUserId) {
+      console.error('❌ No worXstream user ID found');
+      return res.status(401).json({ 
+        success: false,
+        error: 'User not authenticated' 
+      });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'At least one file is required' 
+      });
+    }
+
+    const inline = req.body.inline === 'true' || req.body.inline === true;
+    const uploads = await composeService.saveUploads(worxstreamUserId, req.files, { inline });
+
+    res.json({
+      success: true,
+      data: uploads
+    });
+  } catch (error) {
+    console.error('❌ Error in uploadAttachments:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+};
+
+// Send an email from a linked account, right away (the undo send window only applies to socket sends)
+export const sendMail = async (req, res) => {
+  try {
+    const { email } = req.params;
+    const { to, cc, bcc, subject, body, text, html, attachments, sendAt } = req.body;
+    const worxstreamUserId = req.user.id;
+
+    if (!worxstreamUserId) {
+      console.error('❌ No worXstream user ID found');
+      return res.status(401).json({ 
+        success: false,
+        error: 'User not authenticated' 
+      });
+    }
+
+    const mailbox = await resolveMailbox(worxstreamUserId, email);
+    if (!mailbox) {
+      return res.status(404).json({
+        success: false,
+        error: `No valid token found for email ${email}`,
+        code: 'TOKEN_NOT_FOUND'
+      });
+    }
+
+    // Send later: hold the message for the scheduled send worker
+    if (sendAt) {
+      try {
+        const scheduled = await scheduledSendService.schedule(worxstreamUserId, email, 'send', {
+          to, cc, bcc, subject, body, text, html, attachments
+        }, sendAt);
+        return res.status(202).json({
+          success: true,
+          message: 'Email scheduled',
+          scheduled
+        });
+      } catch (error) {
+        return res.status(400).json({ 
+          success: false,
+          error: error.message 
+        });
+      }
+    }
+
+    let payload;
+    try {
+      payload = await composeService.buildSendPayload(worxstreamUserId, {
+        to, cc, bcc, subject, body, text, html, attachments
+      });
+    } catch (error) {
+      return res.status(400).json({ 
+        success: false,
+        error: error.message 
+      });
+    }
+
+    const result = await mailbox.adapter.sendEmail(mailbox.token, payload);
+    if (!result.success) {
+      return res.status(502).json({ 
+        success: false,
+        error: result.error 
+      });
+    }
+
+    await composeService.releaseUploads(worxstreamUserId, attachments);
+
+    res.json({
+      success: true,
+      message: 'Email sent'
+    });
+  } catch (error) {
+    console.error('❌ Error in sendMail:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+};
+
+// Flagged messages whose follow-up date has passed (?upcoming=true for all dated ones)
+export const getFollowUps = async (req, res) => {
+  try {
+    const { email, upcoming } = req.query;
+    const worxstreamUserId = req.user.id;
+
+    if (!worxstreamUserId) {
+      console.error('❌ No worXstream user ID found');
+      return res.status(401).json({ 
+        success: false,
+        error: 'User not authenticated' 
+      });
+    }
+
+    const messages = await emailService.getFollowUps(worxstreamUserId, {
+      email: email || null,
+      includeUpcoming: upcoming === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: messages
+    });
+  } catch (error) {
+    console.error('❌ Error in getFollowUps:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+};
+
+// Search mail across every linked account
+export const searchMail = async (req, res) => {
+  try {
+    const { q = '', page = 1, limit = 20, email } = req.query;
+    const worxstreamUserId = req.user.id;
+
+    if (!worxstreamUserId) {
+      console.error('❌ No worXstream user ID found');
+      return res.status(401).json({ 
+        success: false,
+        error: 'User not authenticated' 
+      });
+    }
+
+    const results = await searchService.search(worxstreamUserId, q, {
+      page,
+      pageSize: limit,
+      email: email || null
+    });
+
+    res.json({
+      success: true,
+      data: results
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_QUERY') {
+      return res.status(400).json({ 
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('❌ Error in searchMail:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+};
+
+// One folder of every linked account merged into a single list, newest first
+export const getUnifiedFolder = async (req, res) => {
+  try {
+    const { folder } = req.params;
+    const { cursor, limit = 20, category, priority, sentiment } = req.query;
+    const worxstreamUserId = req.user.id;
+
+    if (!worxstreamUserId) {
+      console.error('❌ No worXstream user ID found');
+      return res.status(401).json({ 
+        success: false,
+        error: 'User not authenticated' 
+      });
+    }
+
+    const result = await unifiedMailService.getUnifiedFolder(worxstreamUserId, folder, {
+      cursor: cursor || null,
+      pageSize: limit,
+      filters: { category, priority, sentiment }
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_CURSOR' || error.code === 'INVALID_FOLDER') {
+      return res.status(400).json({ 
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('❌ Error in getUnifiedFolder:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+};
+
+// List one folder of an email account, newest first
+export const getFolderMessages = async (req, res) => {
+  try {
+    const { email, folderId } = req.params;
+    const { cursor, limit = 20, category, priority, sentiment } = req.query;
+    const worxstreamUserId = req.user.id;
+
+    if (!worxstreamUserId) {
+      console.error('❌ No worXstream user ID found');
+      return res.status(401).json({ 
+        success: false,
+        error: 'User not authenticated' 
+      });
+    }
+
+    const result = await emailService.listFolderMessages(worxstreamUserId, email, folderId, {
+      cursor: cursor || null,
+      pageSize: limit,
+      filters: { category, priority, sentiment }
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({ 
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('❌ Error in getFolderMessages:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+};
+
+// Get a whole conversation for an email account
+export const getThread = async (req, res) => {
+  try {
+    const { email, threadId } = req.params;
+    const worxstreamUserId = req.user.id;
+
+    if (!worxstreamUserId) {
+      console.error('❌ No worXstream user ID found');
+      return res.status(401).json({ 
+        success: false,
+        error: 'User not authenticated' 
+      });
+    }
+
+    if (!email || !threadId) {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Email and thread ID are required' 
+      });
+    }
+
+    const thread = await threadService.getThread(worxstreamUserId, email, threadId);
+    if (!thread) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Thread not found' 
+      });
+    }
+
+    res.json({
+      success: true,
+      data: thread
+    });
+  } catch (error) {
+    console.error('❌ Error in getThread:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Internal server error' 
+    });
+  }
+};
@@ -0,0 +1,205 @@
+// controllers/rulesController.js
+import rulesService from '../services/rulesService.js';
+
+// Map service errors to a response: invalid rules are the client's fault, unknown accounts are 404
+const sendRuleError = (res, error, handlerName) => {
+  if (error.code === 'INVALID_RULE') {
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+  if (error.message === 'User not found' || error.message === 'Email account not found') {
+    return res.status(404).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  console.error(`❌ Error in ${handlerName}:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'Internal server error'
+  });
+};
+
+// Get the rules of an email account in evaluation order
+export const getRules = async (req, res) => {
+  try {
+    const { email } = req.query;
+    const worxstreamUserId = req.user.id;
+
+    if (!worxstreamUserId) {
+      console.error('❌ No worXstream user ID found');
+      return res.status(401).json({
+        success: false,
+        error: 'User not authenticated'
+      });
+    }
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is required'
+      });
+    }
+
+    const rules = await rulesService.listRules(worxstreamUserId, email);
+
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    sendRuleError(res, error, 'getRules');
+  }
+};
+
+// Add a rule at the end of the account's rules
+export const createRule = async (req, res) => {
+  try {
+    const { email, ...fields } = req.body;
+    const worxstreamUserId = req.user.id;
+
+    if (!worxstreamUserId) {
+      console.error('❌ No worXstream user ID found');
+      return res.status(401).json({
+        success: false,
+        error: 'User not authenticated'
+      });
+    }
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is required'
+      });
+    }
+
+    const rule = await rulesService.createRule(worxstreamUserId, email, fields);
+
+    res.status(201).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    sendRuleError(res, error, 'createRule');
+  }
+};
+
+// Update a rule, `position` moves it within the evaluation order
+export const updateRule = async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    const { email, ...fields } = req.body;
+    const worxstreamUserId = req.user.id;
+
+    if (!worxstreamUserId) {
+      console.error('❌ No worXstream user ID found');
+      return res.status(401).json({
+        success: false,
+        error: 'User not authenticated'
+      });
+    }
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is required'
+      });
+    }
+
+    const rule = await rulesService.updateRule(worxstreamUserId, email, ruleId, fields);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    sendRuleError(res, error, 'updateRule');
+  }
+};
+
+// Delete a rule
+export const deleteRule = async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    const { email } = req.query;
+    const worxstreamUserId = req.user.id;
+
+    if (!worxstreamUserId) {
+      console.error('❌ No worXstream user ID found');
+      return res.status(401).json({
+        success: false,
+        error: 'User not authenticated'
+      });
+    }
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is required'
+      });
+    }
+
+    const rule = await rulesService.deleteRule(worxstreamUserId, email, ruleId);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    sendRuleError(res, error, 'deleteRule');
+  }
+};
+
+// Show which stored emails a saved or unsaved rule would match without running it
+export const dryRunRule = async (req, res) => {
+  try {
+    const { email, ruleId, rule, limit } = req.body;
+    const worxstreamUserId = req.user.id;
+
+    if (!worxstreamUserId) {
+      console.error('❌ No worXstream user ID found');
+      return res.status(401).json({
+        success: false,
+        error: 'User not authenticated'
+      });
+    }
+
+    if (!email || (!ruleId && !rule)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email and either ruleId or rule are required'
+      });
+    }
+
+    const result = await rulesService.dryRun(worxstreamUserId, email, { ruleId, rule, limit });
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendRuleError(res, error, 'dryRunRule');
+  }
+};
@@ -136,6 +136,7 @@ export const getUserProfile = async (req, res) => {
     const totalAccounts = linkedAccounts.length;
     const outlookAccounts = linkedAccounts.filter(acc => acc.provider === 'outlook').length;
     const gmailAccounts = linkedAccounts.filter(acc => acc.provider === 'gmail').length;
+    const imapAccounts = linkedAccounts.filter(acc => acc.provider === 'imap').length;
 
     const profile = {
       user: {
@@ -148,6 +149,7 @@ export const getUserProfile = async (req, res) => {
         total: totalAccounts,
         outlook: outlookAccounts,
         gmail: gmailAccounts,
+        imap: imapAccounts,
         linkedAccounts
       }
     };
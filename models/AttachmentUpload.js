@@ -0,0 +1,18 @@
+// models/AttachmentUpload.js
+import mongoose from 'mongoose';
+
+// Files uploaded for compose, referenced by id from mail:send and the send endpoint
+const attachmentUploadSchema = new mongoose.Schema({
+  worxstreamUserId: { type: Number, required: true, index: true },
+  filename: { type: String, required: true },
+  contentType: { type: String, default: 'application/octet-stream' },
+  size: { type: Number, required: true },
+  data: { type: Buffer, required: true },
+  isInline: { type: Boolean, default: false },
+  contentId: { type: String, default: null }, // Referenced as cid:<contentId> in HTML bodies
+  // Unsent uploads expire a day after this. Null while a draft references the upload,
+  // the TTL index skips documents without a date.
+  createdAt: { type: Date, default: Date.now, expires: 60 * 60 * 24 }
+});
+
+export default mongoose.model('AttachmentUpload', attachmentUploadSchema);
@@ -68,7 +68,7 @@ const calendarEventSchema = new mongoose.Schema({
   },
   source: {
     type: String,
-    enum: ['outlook', 'gmail'],
+    enum: ['outlook', 'gmail', 'imap'],
     required: true
   },
   worxstreamUserId: {
@@ -0,0 +1,50 @@
+// models/Draft.js
+import mongoose from 'mongoose';
+
+// Compose state saved by the server (autosave and AI output), mirrored to the
+// provider's native drafts through providerDraftId
+const draftAttachmentSchema = new mongoose.Schema({
+  uploadId: { type: String, required: true }, // AttachmentUpload id
+  filename: String,
+  contentType: String,
+  size: Number,
+  isInline: { type: Boolean, default: false },
+  contentId: { type: String, default: null },
+  providerAttachmentId: { type: String, default: null } // Outlook attachment id, unchanged files are not uploaded again
+}, { _id: false });
+
+const draftSchema = new mongoose.Schema({
+  worxstreamUserId: { type: Number, required: true },
+  email: { type: String, required: true },
+  provider: {
+    type: String,
+    enum: ['outlook', 'gmail', 'imap'],
+    required: true
+  },
+  providerDraftId: { type: String, default: null },
+  to: { type: [String], default: [] },
+  cc: { type: [String], default: [] },
+  bcc: { type: [String], default: [] },
+  subject: { type: String, default: '' },
+  text: { type: String, default: '' },
+  html: { type: String, default: null },
+  attachments: { type: [draftAttachmentSchema], default: [] },
+  // Set for reply drafts: the provider id of the message being answered
+  replyTo: {
+    messageId: { type: String, default: null },
+    replyAll: { type: Boolean, default: false }
+  },
+  source: {
+    type: String,
+    enum: ['user', 'ai-compose', 'ai-improve'],
+    default: 'user'
+  },
+  syncedAt: { type: Date, default: null },
+  syncError: { type: String, default: null }
+}, {
+  timestamps: true
+});
+
+draftSchema.index({ worxstreamUserId: 1, email: 1, updatedAt: -1 });
+
+export default mongoose.model('Draft', draftSchema);
@@ -14,7 +14,7 @@ const emailAccountSchema = new mongoose.Schema({
   },
   provider: {
     type: String,
-    enum: ['outlook', 'gmail'],
+    enum: ['outlook', 'gmail', 'imap'],
     required: true
   },
   categories: {
@@ -31,6 +31,8 @@ const emailAccountSchema = new mongoose.Schema({
     type: [{
       type: { type: String, enum: ['subject', 'email'], required: true },
       value: { type: String, required: true }, // subject text or email address
+      matchMode: { type: String, enum: ['exact', 'contains', 'regex', 'domain'], default: 'contains' }, // domain: email items only
+      scope: { type: String, enum: ['sender', 'any'], default: 'any' }, // email items: from only, or from/to/cc/bcc
       folderName: { type: String, required: true }, // generated folder name
       createdAt: { type: Date, default: Date.now },
       lastActivity: { type: Date, default: Date.now },
@@ -39,6 +41,40 @@ const emailAccountSchema = new mongoose.Schema({
     }],
     default: []
   },
+  // Mail rules, evaluated in order on new messages. Every set condition has to match.
+  rules: {
+    type: [{
+      name: { type: String, required: true },
+      conditions: {
+        from: { type: String, default: null }, // sender contains, "@acme.com" for a domain
+        recipients: { type: String, default: null }, // any of to/cc/bcc contains
+        subjectRegex: { type: String, default: null },
+        category: { type: String, default: null }, // AI category
+        priority: { type: String, enum: ['urgent', 'high', 'medium', 'low', null], default: null }, // AI priority
+        hasAttachments: { type: Boolean, default: null },
+        olderThanDays: { type: Number, min: 0, default: null },
+        newerThanDays: { type: Number, min: 0, default: null }
+      },
+      actions: [{
+        type: {
+          type: String,
+          enum: ['move', 'label', 'markRead', 'setCategory', 'forward', 'autoReply', 'notify'],
+          required: true
+        },
+        folderId: { type: String }, // move
+        label: { type: String }, // label
+        category: { type: String }, // setCategory
+        to: { type: [String], default: undefined }, // forward
+        template: { type: String } // autoReply, {{sender}} and {{subject}} are filled in
+      }],
+      stopProcessing: { type: Boolean, default: false }, // skip later rules once this one matched
+      isActive: { type: Boolean, default: true },
+      matchCount: { type: Number, default: 0 },
+      lastMatchedAt: { type: Date, default: null },
+      createdAt: { type: Date, default: Date.now }
+    }],
+    default: []
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -0,0 +1,33 @@
+// models/MailExport.js
+import mongoose from 'mongoose';
+
+// An mbox export of a folder or a search, written in the background and
+// downloadable until expiresAt
+const mailExportSchema = new mongoose.Schema({
+  worxstreamUserId: { type: Number, required: true },
+  email: { type: String, default: null }, // null: a search over every linked account
+  source: {
+    type: { type: String, enum: ['folder', 'search'], required: true },
+    folderId: { type: String, default: null },
+    query: { type: String, default: null }
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  total: { type: Number, default: 0 }, // Folder exports start from the provider's count
+  processed: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 }, // Messages that could not be fetched
+  size: { type: Number, default: 0 },
+  error: { type: String, default: null },
+  completedAt: { type: Date, default: null },
+  expiresAt: { type: Date, required: true }
+}, {
+  timestamps: true
+});
+
+mailExportSchema.index({ worxstreamUserId: 1, createdAt: -1 });
+mailExportSchema.index({ expiresAt: 1 });
+
+export default mongoose.model('MailExport', mailExportSchema);
@@ -0,0 +1,27 @@
+// models/MailSyncState.js
+import mongoose from 'mongoose';
+
+// Per-account, per-folder sync cursor: a Gmail history ID, an Outlook delta/next link
+// or the UID state of an IMAP folder
+const mailSyncStateSchema = new mongoose.Schema({
+  worxstreamUserId: { type: Number, required: true },
+  email: { type: String, required: true },
+  provider: {
+    type: String,
+    enum: ['outlook', 'gmail', 'imap'],
+    required: true
+  },
+  folderId: { type: String, required: true },
+  cursor: { type: String, default: null },
+  // Provider page token for the mail below what has been stored so far, null once the
+  // whole folder is stored. Unset for folders synced before it was kept.
+  backfillToken: { type: String },
+  lastSyncedAt: { type: Date, default: null },
+  lastError: { type: String, default: null }
+}, {
+  timestamps: true
+});
+
+mailSyncStateSchema.index({ worxstreamUserId: 1, email: 1, folderId: 1 }, { unique: true });
+
+export default mongoose.model('MailSyncState', mailSyncStateSchema);
@@ -0,0 +1,41 @@
+// models/ScheduledMessage.js
+import mongoose from 'mongoose';
+
+// A send, reply or forward held until sendAt and dispatched by the scheduled send worker.
+// Undo send uses the same collection with a sendAt a few seconds ahead.
+const scheduledMessageSchema = new mongoose.Schema({
+  worxstreamUserId: { type: Number, required: true },
+  email: { type: String, required: true },
+  provider: {
+    type: String,
+    enum: ['outlook', 'gmail', 'imap'],
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['send', 'reply', 'replyAll', 'forward'],
+    required: true
+  },
+  // The mail:send / mail:reply / mail:forward payload as the client sent it (attachments by uploadId)
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  sendAt: { type: Date, required: true },
+  holdForUndo: { type: Boolean, default: false }, // Held by the undo send window, not scheduled by the user
+  nextAttemptAt: { type: Date, required: true }, // sendAt, pushed back after a failed attempt
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  lastError: { type: String, default: null },
+  sentAt: { type: Date, default: null },
+  // When it was sent, cancelled or given up on; finished messages are removed a week later
+  completedAt: { type: Date, default: null, expires: 60 * 60 * 24 * 7 }
+}, {
+  timestamps: true
+});
+
+scheduledMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+scheduledMessageSchema.index({ worxstreamUserId: 1, status: 1, sendAt: 1 });
+
+export default mongoose.model('ScheduledMessage', scheduledMessageSchema);
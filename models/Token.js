@@ -1,4 +1,10 @@
 import mongoose from "mongoose";
+
+// IMAP accounts log in with a password, they have no OAuth tokens
+function isOAuth() {
+    return this.provider !== "imap";
+}
+
 const tokenSchema = new mongoose.Schema({
     worxstreamUserId: {
         type: Number,
@@ -11,23 +17,28 @@ const tokenSchema = new mongoose.Schema({
     provider:{
         type: String,
         required: true,
-        enum: ["gmail", "outlook"],
+        enum: ["gmail", "outlook", "imap"],
     },
     access_token: {
         type: String,
-        required: true,
+        required: isOAuth,
     },
     refresh_token: {
         type: String,
-        required: true,
+        required: isOAuth,
     },
     expires_in: {
         type: Number,
-        required: true,
+        required: isOAuth,
     },
     timestamp: {
         type: Number,
-        required: true,
+        required: isOAuth,
+    },
+    // imap: server settings and password, encrypted (utils/credentials.js)
+    credentials: {
+        type: String,
+        default: null,
     },
 },
 {timestamps: true}
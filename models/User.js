@@ -31,6 +31,17 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  mailSettings: {
+    // Seconds a send is held so it can be undone, 0 sends immediately (opt-in)
+    undoSendDelay: {
+      type: Number,
+      default: 0,
+      validate: {
+        validator: (value) => value === 0 || (value >= 5 && value <= 30),
+        message: 'undoSendDelay must be 0 or between 5 and 30 seconds'
+      }
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
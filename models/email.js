@@ -15,9 +15,24 @@ const emailSchema = new mongoose.Schema({
   timestamp: { type: Date, required: true },
   read: { type: Boolean, default: false },
   folder: { type: String, required: true },
-  focusFolder: { type: String, default: null }, // Focus folder this email belongs to
+  focusFolders: { type: [String], default: [] }, // Focus folders this email belongs to, it can match several
   important: { type: Boolean, default: false },
   flagged: { type: Boolean, default: false },
+  followUpAt: { type: Date, default: null }, // Follow-up due date of a flagged message
+  followUpNotifiedAt: { type: Date, default: null }, // When the due reminder was sent
+  snoozedUntil: { type: Date, default: null }, // When a snoozed message comes back
+  snoozedFromFolder: { type: String, default: null }, // Folder it returns to
+  snoozeAttempts: { type: Number, default: 0 }, // Failed attempts to bring it back
+  snoozeRetryAt: { type: Date, default: null }, // No new attempt before this after a failure
+  appliedRules: { type: [mongoose.Schema.Types.ObjectId], default: [] }, // Rules already run on this message
+  rulesStopped: { type: Boolean, default: false }, // A stopProcessing rule matched, later rules are skipped
+  hasAttachments: { type: Boolean, default: false },
+
+  // Threading
+  threadId: { type: String, default: null }, // Gmail threadId, Outlook conversationId or derived from headers
+  messageId: { type: String, default: null }, // RFC 5322 Message-ID header
+  inReplyTo: { type: String, default: null },
+  references: { type: [String], default: [] },
   
   // AI Enrichment
   aiMeta: {
@@ -51,7 +66,16 @@ emailSchema.index({ userId: 1, timestamp: -1 });
 emailSchema.index({ userId: 1, 'aiMeta.category': 1 });
 emailSchema.index({ userId: 1, 'aiMeta.priority': 1 });
 emailSchema.index({ userId: 1, isProcessed: 1 });
-emailSchema.index({ userId: 1, focusFolder: 1 }); // Index for focus folder queries
+emailSchema.index({ userId: 1, email: 1, focusFolders: 1 }); // Index for focus folder queries
+emailSchema.index({ email: 1, threadId: 1, timestamp: 1 }); // Index for thread views
+emailSchema.index({ email: 1, messageId: 1 }); // Index for header-based threading
+emailSchema.index({ followUpAt: 1, followUpNotifiedAt: 1 }); // Index for due follow-up reminders
+emailSchema.index({ snoozedUntil: 1 }); // Index for the unsnooze scheduler
+// Full-text index for mail search
+emailSchema.index(
+  { subject: 'text', from: 'text', to: 'text', preview: 'text', content: 'text', 'aiMeta.summary': 'text' },
+  { name: 'email_text_search', weights: { subject: 10, from: 5, to: 3, 'aiMeta.summary': 2, preview: 1, content: 1 } }
+);
 // Compound unique index: message ID should be unique per email account
 emailSchema.index({ email: 1, id: 1 }, { unique: true });
 
@@ -1,5 +1,5 @@
 import express from 'express';
-import { generateReply, generateComposeEmail, improveEmail } from '../controllers/aiReplyController.js';
+import { generateReply, generateComposeEmail, improveEmail, summarizeForward } from '../controllers/aiReplyController.js';
 import { authenticateUser } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -13,4 +13,7 @@ router.post('/generate-compose', authenticateUser, generateComposeEmail);
 // Improve existing email content
 router.post('/improve-email', authenticateUser, improveEmail);
 
+// Summarize an email before forwarding it
+router.post('/summarize-forward', authenticateUser, summarizeForward);
+
 export default router; 
\ No newline at end of file
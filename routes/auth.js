@@ -5,6 +5,7 @@ import {
   outlookRedirect, 
   gmailLogin, 
   gmailRedirect, 
+  imapConnect,
   handleCallback 
 } from '../controllers/authController.js';
 import { authenticateUser } from '../middleware/auth.js';
@@ -19,6 +20,9 @@ router.get('/gmail/login', authenticateUser, gmailLogin);
 router.get('/outlook/redirect', outlookRedirect);
 router.get('/gmail/redirect', gmailRedirect);
 
+// IMAP/SMTP accounts connect with server settings instead of OAuth
+router.post('/imap/connect', authenticateUser, imapConnect);
+
 // Frontend callback verification (requires worXstream authentication)
 router.post('/callback', authenticateUser, handleCallback);
 
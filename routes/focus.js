@@ -1,6 +1,7 @@
 import express from 'express';
 import {
   addFocusItem,
+  previewFocusItem,
   removeFocusItem,
   getFocusItems,
   getFocusFolderEmails
@@ -13,8 +14,12 @@ const router = express.Router();
 router.use(authenticateUser);
 
 // Add a new focus item (subject or email)
+// Body: { email, type, value, matchMode (exact|contains|regex|domain), scope (sender|any) }
 router.post('/add', addFocusItem);
 
+// Count the stored emails a focus item would match (same body as /add)
+router.post('/preview', previewFocusItem);
+
 // Remove a focus item
 router.post('/:folderName/remove', removeFocusItem);
 
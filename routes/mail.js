@@ -0,0 +1,84 @@
+import express from 'express';
+import multer from 'multer';
+import { getThread, searchMail, getUnifiedFolder, getFolderMessages, uploadAttachments, sendMail, downloadAttachment, downloadRawMessage, startExport, getExport, downloadExport, importMail, getFollowUps } from '../controllers/mailController.js';
+import { authenticateUser } from '../middleware/auth.js';
+import { MAX_ATTACHMENT_SIZE } from '../services/composeService.js';
+import { MAX_IMPORT_SIZE } from '../services/mailImportService.js';
+
+const router = express.Router();
+
+// Compose uploads are kept in memory and stored with the upload record
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_SIZE, files: 10 }
+});
+
+// Imported .eml and mbox files are parsed straight from memory
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_SIZE, files: 5 }
+});
+
+// Turn multer limit errors into 400 responses
+const withUploadErrors = (middleware) => (req, res, next) => {
+  middleware(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    next();
+  });
+};
+
+const handleUpload = withUploadErrors(upload.array('files', 10));
+const handleImportUpload = withUploadErrors(importUpload.array('files', 5));
+
+// Apply authentication middleware to all routes
+router.use(authenticateUser);
+
+// Search mail across all linked accounts
+// Query params: q, page (optional), limit (optional), email (optional, restricts to one account)
+router.get('/search', searchMail);
+
+// One folder (inbox, sent, drafts, trash, spam, archive) of every linked account, newest first
+// Query params: cursor (nextCursor of the previous page), limit, category, priority, sentiment
+router.get('/unified/:folder', getUnifiedFolder);
+
+// One folder of an email account, newest first
+// Query params: cursor (nextCursor of the previous page), limit, category, priority, sentiment
+router.get('/:email/folders/:folderId/messages', getFolderMessages);
+
+// Upload attachments for compose (multipart field "files", optional inline=true)
+router.post('/attachments', handleUpload, uploadAttachments);
+
+// Send an email
+// Body: { to, cc, bcc, subject, text (or body), html, attachments: [{ uploadId }] }
+router.post('/:email/send', sendMail);
+
+// Import .eml files or mbox archives into the account's Imported folder (multipart field "files")
+router.post('/:email/import', handleImportUpload, importMail);
+
+// Download an attachment (supports Range requests, ?inline=true to display instead of download)
+router.get('/:email/messages/:id/attachments/:attachmentId', downloadAttachment);
+
+// Download the RFC 822 source of a message as .eml
+router.get('/:email/messages/:id/raw', downloadRawMessage);
+
+// Export a folder or search results to mbox in the background
+// Body: { email, folderId } or { query, email (optional) }
+router.post('/exports', startExport);
+
+// Export status, and the mbox file once it is finished
+router.get('/exports/:exportId', getExport);
+router.get('/exports/:exportId/download', downloadExport);
+
+// Flagged messages with a due follow-up date
+router.get('/follow-ups', getFollowUps);
+
+// Get a whole conversation in chronological order
+router.get('/:email/threads/:threadId', getThread);
+
+export default router;
@@ -0,0 +1,33 @@
+import express from 'express';
+import {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  dryRunRule
+} from '../controllers/rulesController.js';
+import { authenticateUser } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(authenticateUser);
+
+// Preview which stored emails a rule would match
+// Body: { email, ruleId } for a saved rule or { email, rule: { conditions } }, limit (optional)
+router.post('/dry-run', dryRunRule);
+
+// Get the rules of an email account (query param: email)
+router.get('/', getRules);
+
+// Add a rule
+// Body: { email, name, conditions, actions, stopProcessing, isActive }
+router.post('/', createRule);
+
+// Update a rule, position (optional) reorders it
+router.put('/:ruleId', updateRule);
+
+// Delete a rule (query param: email)
+router.delete('/:ruleId', deleteRule);
+
+export default router;
@@ -0,0 +1,48 @@
+// scripts/migrate-focus-folders.js - Move Email.focusFolder (one folder) to Email.focusFolders (several).
+// Safe to run more than once: emails that were already migrated are left alone.
+import mongoose from 'mongoose';
+import connectDB from '../utils/db.js';
+
+const migrateFocusFolders = async () => {
+  try {
+    console.log('🔄 Migrating focus folders...');
+    const emails = mongoose.connection.collection('emails');
+
+    // Emails that were in a focus folder keep it as their only one
+    const assigned = await emails.updateMany(
+      { focusFolder: { $type: 'string' } },
+      [
+        { $set: { focusFolders: { $setUnion: [{ $ifNull: ['$focusFolders', []] }, ['$focusFolder']] } } },
+        { $unset: 'focusFolder' }
+      ]
+    );
+    console.log(`✅ Moved ${assigned.modifiedCount} emails to focusFolders`);
+
+    // The rest get an empty list, including the ones stored with focusFolder: null
+    const unassigned = await emails.updateMany(
+      { focusFolders: { $exists: false } },
+      [
+        { $set: { focusFolders: [] } },
+        { $unset: 'focusFolder' }
+      ]
+    );
+    console.log(`✅ Set an empty focusFolders on ${unassigned.modifiedCount} emails`);
+
+    // The single-folder index is replaced by the one on focusFolders
+    const indexes = await emails.indexes();
+    if (indexes.some(index => index.name === 'userId_1_focusFolder_1')) {
+      await emails.dropIndex('userId_1_focusFolder_1');
+      console.log('✅ Dropped the userId_1_focusFolder_1 index');
+    }
+
+    console.log('🎉 Focus folder migration completed');
+  } catch (error) {
+    console.error('❌ Focus folder migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+  }
+};
+
+connectDB().then(migrateFocusFolders);
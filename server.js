@@ -18,10 +18,18 @@ import aiReplyRoutes from './routes/aiReply.js';
 import tokenRefreshRoutes from './routes/tokenRefresh.js';
 import calendarRoutes from './routes/calendar.js';
 import focusRoutes from './routes/focus.js';
+import mailRoutes from './routes/mail.js';
+import rulesRoutes from './routes/rules.js';
 
 import './services/enrichmentQueueService.js'; // This will initialize the service
 import tokenRefreshService from './services/tokenRefreshService.js';
 import notificationService from './services/notificationService.js';
+import mailSyncService from './services/mailSyncService.js';
+import scheduledSendService from './services/scheduledSendService.js';
+import followUpService from './services/followUpService.js';
+import snoozeService from './services/snoozeService.js';
+import mailExportService from './services/mailExportService.js';
+import imapIdleService from './services/imapIdleService.js';
 
 dotenv.config();
 
@@ -106,6 +114,15 @@ emailEnrichmentService.setIO(io);
 // Set the IO instance for the notification service
 notificationService.setIO(io);
 
+// Set the IO instance for the mail sync service
+mailSyncService.setIO(io);
+
+// Set the IO instance for the scheduled send worker
+scheduledSendService.setIO(io);
+
+// Set the IO instance for the IMAP push watchers
+imapIdleService.setIO(io);
+
 // Memory management and cleanup
 const cleanup = () => {
   console.log('🧹 Running memory cleanup...');
@@ -153,6 +170,8 @@ app.use('/ai-reply', aiReplyRoutes);
 app.use('/token-refresh', tokenRefreshRoutes);
 app.use('/calendar', calendarRoutes);
 app.use('/focus', focusRoutes);
+app.use('/mail', mailRoutes);
+app.use('/rules', rulesRoutes);
 
 // Health check endpoint
 app.get('/', (req, res) => {
@@ -291,4 +310,28 @@ httpServer.listen(PORT, () => {
   // Start the token refresh service
   tokenRefreshService.start();
   console.log('🔄 Token refresh service started');
+
+  // Start the incremental mailbox sync
+  mailSyncService.start();
+  console.log('🔄 Mail sync service started');
+
+  // Start the send-later worker
+  scheduledSendService.start();
+  console.log('⏰ Scheduled send service started');
+
+  // Start the follow-up reminders
+  followUpService.start();
+  console.log('⏰ Follow-up reminder service started');
+
+  // Start bringing back snoozed messages
+  snoozeService.start();
+  console.log('💤 Snooze service started');
+
+  // Start removing expired mail exports
+  mailExportService.start();
+  console.log('📦 Mail export service started');
+
+  // Start watching IMAP inboxes of connected users
+  imapIdleService.start();
+  console.log('📡 IMAP idle service started');
 });
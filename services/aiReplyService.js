@@ -1,5 +1,6 @@
 import Anthropic from '@anthropic-ai/sdk';
 import dotenv from 'dotenv';
+import { htmlToText } from '../utils/html.js';
 
 dotenv.config();
 
@@ -17,7 +18,8 @@ export class AIReplyService {
         additionalContext = '',
         maxLength = 200,
         recipientName = '',
-        senderName = ''
+        senderName = '',
+        threadMessages = []
       } = context;
 
       const systemPrompt = `You are an AI assistant that helps generate email replies. You should:
@@ -34,7 +36,13 @@ export class AIReplyService {
 10. Use the sender's name ('${senderName}') in the signature if available.
 11. DO NOT include any introductory phrases, explanations, or meta-comments. Only return the final email content, ready to send.`;
 
-      const userPrompt = `Original Email:\nFrom: ${originalEmail.from}\nSubject: ${originalEmail.subject}\nContent: ${originalEmail.content || originalEmail.body || ''}\nTimestamp: ${originalEmail.timestamp}\n\nRecipient Name: ${recipientName}\nSender Name: ${senderName}\n\nPlease generate a ${userTone} reply for this email, using the names above.`;
+      const threadHistory = threadMessages.length > 0
+        ? `Earlier messages in this conversation (oldest first):\n${threadMessages.map(msg =>
+            `From: ${msg.from}\nTimestamp: ${msg.timestamp}\nContent: ${msg.content || msg.preview || ''}`
+          ).join('\n---\n')}\n\n`
+        : '';
+
+      const userPrompt = `${threadHistory}Original Email:\nFrom: ${originalEmail.from}\nSubject: ${originalEmail.subject}\nContent: ${originalEmail.content || originalEmail.body || ''}\nTimestamp: ${originalEmail.timestamp}\n\nRecipient Name: ${recipientName}\nSender Name: ${senderName}\n\nPlease generate a ${userTone} reply for this email, using the names above.`;
 
       const response = await anthropic.messages.create({
         model: 'claude-3-haiku-20240307',
@@ -187,4 +195,59 @@ Additional context: ${additionalContext}`;
       };
     }
   }
+
+  static async summarizeForForward(context) {
+    try {
+      const {
+        originalEmail,
+        userTone = 'professional',
+        maxLength = 120,
+        comment = ''
+      } = context;
+
+      const systemPrompt = `You are an AI assistant that summarizes an email that is about to be forwarded. You should:
+
+1. Summarize the key points, decisions, requests and deadlines of the email
+2. Mention attachments by name if they matter to the summary
+3. Match the tone specified by the user (${userTone})
+4. Keep the summary concise (max ${maxLength} words)
+5. Write plain text, a short paragraph or a few bullet points starting with "- "
+6. DO NOT include a greeting, a signature, introductory phrases, explanations, or meta-comments. Only return the summary, ready to be placed above the forwarded email.`;
+
+      // Forwarded bodies are usually HTML, the model only needs the text
+      const content = (originalEmail.text || htmlToText(originalEmail.content || originalEmail.body || originalEmail.preview || ''))
+        .slice(0, 12000);
+      const attachments = (originalEmail.attachments || [])
+        .filter(att => !att.isInline)
+        .map(att => att.name || att.filename)
+        .filter(Boolean);
+
+      const userPrompt = `Email to forward:\nFrom: ${originalEmail.from}\nSubject: ${originalEmail.subject}\nTimestamp: ${originalEmail.timestamp}\nAttachments: ${attachments.join(', ') || 'None'}\nContent: ${content}\n\n${comment ? `The sender's note to the recipients: ${comment}\n\n` : ''}Please write a ${userTone} summary of this email for the people it is forwarded to.`;
+
+      const response = await anthropic.messages.create({
+        model: 'claude-3-haiku-20240307',
+        max_tokens: 1000,
+        system: systemPrompt,
+        messages: [
+          {
+            role: 'user',
+            content: userPrompt
+          }
+        ]
+      });
+
+      return {
+        success: true,
+        summary: response.content[0].text.trim(),
+        usage: response.usage
+      };
+
+    } catch (error) {
+      console.error('Error summarizing email for forward:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to summarize email'
+      };
+    }
+  }
 } 
\ No newline at end of file
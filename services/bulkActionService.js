@@ -0,0 +1,189 @@
+// services/bulkActionService.js
+import crypto from 'crypto';
+import Email from '../models/email.js';
+import User from '../models/User.js';
+import emailService from './emailService.js';
+import searchService from './searchService.js';
+import { resolveMailbox } from './mailboxAdapter.js';
+
+export const BULK_ACTIONS = ['markRead', 'markUnread', 'delete', 'move', 'flag', 'unflag', 'setCategory'];
+const MAX_BULK_MESSAGES = 5000;
+
+class BulkActionService {
+  // Stored messages a bulk action targets: explicit ids, or a filter with a folder,
+  // a search query (same language as mail:search) and the AI metadata filters
+  async resolveTargets(user, email, { messageIds, filter }) {
+    const query = { userId: user._id, email };
+
+    if (Array.isArray(messageIds) && messageIds.length > 0) {
+      const ids = [...new Set(messageIds)];
+      if (ids.length > MAX_BULK_MESSAGES) {
+        throw new Error(`A bulk action can change at most ${MAX_BULK_MESSAGES} messages`);
+      }
+
+      // Ids that are not stored yet still go to the provider, only their folder is unknown
+      const stored = await Email.find({ ...query, id: { $in: ids } }).select('id folder');
+      const folders = new Map(stored.map(doc => [doc.id, doc.folder]));
+      return ids.map(id => ({ id, folder: folders.get(id) || null }));
+    }
+
+    if (filter) {
+      if (filter.folderId) {
+        query.folder = filter.folderId;
+      }
+      if (filter.query) {
+        const { filter: searchFilter, errors } = searchService.parseQuery(filter.query);
+        if (errors.length > 0) {
+          const error = new Error(errors.join('; '));
+          error.code = 'INVALID_QUERY';
+          throw error;
+        }
+        Object.assign(query, searchFilter);
+      }
+      if (filter.category && filter.category !== 'All') {
+        query['aiMeta.category'] = filter.category;
+      }
+      if (filter.priority && filter.priority !== 'All') {
+        query['aiMeta.priority'] = filter.priority;
+      }
+      if (filter.sentiment && filter.sentiment !== 'All') {
+        query['aiMeta.sentiment'] = filter.sentiment;
+      }
+    } else {
+      throw new Error('Either messageIds or a filter is required');
+    }
+
+    const targets = await Email.find(query)
+      .sort({ timestamp: -1 })
+      .limit(MAX_BULK_MESSAGES + 1)
+      .select('id folder');
+
+    if (targets.length > MAX_BULK_MESSAGES) {
+      throw new Error(`A bulk action can change at most ${MAX_BULK_MESSAGES} messages`);
+    }
+    return targets;
+  }
+
+  // Run an action over many messages. onEvent(event, payload) receives a
+  // mail:bulkProgress after every provider batch and a final mail:bulkComplete.
+  async run(worxstreamUserId, email, { action, messageIds, filter, folderId, category, requestId = null }, onEvent = () => {}) {
+    if (!BULK_ACTIONS.includes(action)) {
+      throw new Error(`Unsupported bulk action: ${action}`);
+    }
+    if (action === 'move' && !folderId) {
+      throw new Error('Destination folder is required');
+    }
+    if (action === 'setCategory' && !category) {
+      throw new Error('Category is required');
+    }
+
+    const user = await User.findOne({ worxstreamUserId: Number(worxstreamUserId) });
+    if (!user) {
+      console.error(`❌ User not found for worxstreamUserId: ${worxstreamUserId}`);
+      throw new Error('User not found');
+    }
+
+    const targets = await this.resolveTargets(user, email, { messageIds, filter });
+    const sourceFolders = [...new Set(targets.map(target => target.folder).filter(Boolean))];
+
+    const progress = {
+      jobId: crypto.randomUUID(),
+      requestId,
+      email,
+      action,
+      total: targets.length,
+      processed: 0,
+      succeeded: 0,
+      failed: 0
+    };
+    const failures = [];
+
+    // Mirror each finished batch locally, then report it
+    const handleBatch = async (results) => {
+      await this.applyLocally(user, email, action, results, { category });
+
+      const batchFailures = results
+        .filter(result => !result.success)
+        .map(({ id, error }) => ({ id, error }));
+      failures.push(...batchFailures);
+
+      progress.processed += results.length;
+      progress.failed += batchFailures.length;
+      progress.succeeded += results.length - batchFailures.length;
+      onEvent('mail:bulkProgress', { ...progress, failures: batchFailures });
+    };
+
+    if (targets.length > 0) {
+      if (action === 'setCategory') {
+        // AI categories only exist here
+        await handleBatch(targets.map(target => ({ id: target.id, success: true })));
+      } else {
+        const mailbox = await resolveMailbox(worxstreamUserId, email);
+        if (!mailbox) {
+          throw new Error('Token not found');
+        }
+
+        await mailbox.adapter.bulkUpdateMessages(mailbox.token, targets.map(target => target.id), action, {
+          folderId,
+          sourceFolders,
+          onProgress: handleBatch
+        });
+      }
+    }
+
+    const summary = {
+      ...progress,
+      failures,
+      counts: await emailService.getFolderCounts(user._id, email, [...sourceFolders, folderId])
+    };
+    console.log(`📦 Bulk ${action} for ${email}: ${summary.succeeded}/${summary.total} succeeded`);
+    onEvent('mail:bulkComplete', summary);
+
+    return summary;
+  }
+
+  async applyLocally(user, email, action, results, { category }) {
+    const succeeded = results.filter(result => result.success);
+    if (succeeded.length === 0) return;
+
+    const query = { userId: user._id, email, id: { $in: succeeded.map(result => result.id) } };
+    const updatedAt = new Date();
+
+    switch (action) {
+      case 'markRead':
+      case 'markUnread':
+        await Email.updateMany(query, { $set: { read: action === 'markRead', updatedAt } });
+        break;
+      case 'flag':
+      case 'unflag':
+        await Email.updateMany(query, { $set: { flagged: action === 'flag', updatedAt } });
+        break;
+      case 'setCategory':
+        await Email.updateMany(query, { $set: { 'aiMeta.category': category, updatedAt } });
+        break;
+      case 'delete':
+        await Email.deleteMany(query);
+        break;
+      case 'move': {
+        // Outlook gives moved messages new ids; drop copies a sync already stored under them
+        const changedIds = succeeded
+          .filter(result => result.newId && result.newId !== result.id)
+          .map(result => result.newId);
+        if (changedIds.length > 0) {
+          await Email.deleteMany({ email, id: { $in: changedIds } });
+        }
+
+        await Email.bulkWrite(succeeded.map(result => ({
+          updateOne: {
+            filter: { userId: user._id, email, id: result.id },
+            update: { $set: { id: result.newId || result.id, folder: result.folder, updatedAt } }
+          }
+        })));
+        break;
+      }
+    }
+  }
+}
+
+const bulkActionService = new BulkActionService();
+export default bulkActionService;
@@ -21,6 +21,9 @@ class CalendarService {
         events = await this.getOutlookEvents(email, accessToken, startDate, endDate);
       } else if (provider === 'gmail') {
         events = await this.getGmailEvents(email, accessToken, startDate, endDate);
+      } else if (provider === 'imap') {
+        // IMAP accounts have no calendar
+        return [];
       } else {
         throw new Error(`Unsupported provider: ${provider}`);
       }
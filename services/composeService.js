@@ -0,0 +1,155 @@
+// services/composeService.js
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import AttachmentUpload from '../models/AttachmentUpload.js';
+
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024; // 10 MB per file
+const MAX_TOTAL_ATTACHMENT_SIZE = 25 * 1024 * 1024; // Gmail's limit for a whole message
+
+class ComposeService {
+  // Store uploaded files (multer memory storage) so a later send can reference them
+  async saveUploads(worxstreamUserId, files, { inline = false } = {}) {
+    const uploads = await AttachmentUpload.insertMany(files.map(file => ({
+      worxstreamUserId: Number(worxstreamUserId),
+      filename: file.originalname,
+      contentType: file.mimetype || 'application/octet-stream',
+      size: file.size,
+      data: file.buffer,
+      isInline: inline,
+      contentId: inline ? `${crypto.randomUUID()}@mail-agent` : null
+    })));
+
+    return uploads.map(upload => this.describeUpload(upload));
+  }
+
+  describeUpload(upload) {
+    return {
+      uploadId: upload._id.toString(),
+      filename: upload.filename,
+      contentType: upload.contentType,
+      size: upload.size,
+      isInline: upload.isInline,
+      contentId: upload.contentId
+    };
+  }
+
+  // Turn attachment references into { filename, contentType, content, contentId, isInline }.
+  // Accepts { uploadId } for uploaded files or inline { filename, contentType, content|contentBytes }.
+  async resolveAttachments(worxstreamUserId, attachments = []) {
+    if (!Array.isArray(attachments) || attachments.length === 0) {
+      return [];
+    }
+
+    const uploadIds = attachments
+      .filter(att => att.uploadId)
+      .map(att => att.uploadId);
+
+    if (uploadIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw new Error('Invalid attachment upload ID');
+    }
+
+    const uploads = uploadIds.length > 0
+      ? await AttachmentUpload.find({ _id: { $in: uploadIds }, worxstreamUserId: Number(worxstreamUserId) })
+      : [];
+    const uploadMap = new Map(uploads.map(upload => [upload._id.toString(), upload]));
+
+    const resolved = attachments.map(att => {
+      if (att.uploadId) {
+        const upload = uploadMap.get(att.uploadId);
+        if (!upload) {
+          throw new Error(`Attachment upload ${att.uploadId} not found or expired`);
+        }
+        return {
+          filename: upload.filename,
+          contentType: upload.contentType,
+          content: upload.data,
+          contentId: upload.contentId,
+          isInline: upload.isInline
+        };
+      }
+
+      const content = Buffer.isBuffer(att.content)
+        ? att.content
+        : Buffer.from(att.contentBytes || '', 'base64');
+      if (!att.filename || content.length === 0) {
+        throw new Error('Attachment needs a filename and content');
+      }
+
+      return {
+        filename: att.filename,
+        contentType: att.contentType || 'application/octet-stream',
+        content,
+        contentId: att.contentId || null,
+        isInline: !!att.isInline
+      };
+    });
+
+    const totalSize = resolved.reduce((sum, att) => sum + att.content.length, 0);
+    if (totalSize > MAX_TOTAL_ATTACHMENT_SIZE) {
+      throw new Error('Attachments exceed the 25 MB message limit');
+    }
+
+    return resolved;
+  }
+
+  // Normalize a compose request into the payload provider sendEmail functions take
+  async buildSendPayload(worxstreamUserId, { to, cc, bcc, subject = '', body, text, html, attachments }) {
+    if (!to || (Array.isArray(to) && to.length === 0)) {
+      throw new Error('At least one recipient is required');
+    }
+
+    const joinRecipients = (recipients) =>
+      Array.isArray(recipients) ? recipients.join(', ') : recipients || '';
+
+    return {
+      to: joinRecipients(to),
+      cc: joinRecipients(cc),
+      bcc: joinRecipients(bcc),
+      subject,
+      // `body` is the plain-text field older clients send
+      text: text ?? body ?? '',
+      html: html || null,
+      attachments: await this.resolveAttachments(worxstreamUserId, attachments)
+    };
+  }
+
+  // Push back the expiry of uploads a draft or scheduled send still references,
+  // they are kept for a day after `from`
+  async retainUploads(worxstreamUserId, uploadIds = [], from = new Date()) {
+    if (uploadIds.length === 0) return;
+
+    await AttachmentUpload.updateMany(
+      { _id: { $in: uploadIds }, worxstreamUserId: Number(worxstreamUserId) },
+      { $set: { createdAt: from } }
+    );
+  }
+
+  // Keep uploads for as long as a draft references them, releaseUploads or
+  // retainUploads gives them back to the expiry
+  async holdUploads(worxstreamUserId, uploadIds = []) {
+    if (uploadIds.length === 0) return;
+
+    await AttachmentUpload.updateMany(
+      { _id: { $in: uploadIds }, worxstreamUserId: Number(worxstreamUserId) },
+      { $set: { createdAt: null } }
+    );
+  }
+
+  // Drop uploads once the message that used them has been handed to the provider
+  async releaseUploads(worxstreamUserId, attachments = []) {
+    const uploadIds = (attachments || [])
+      .map(att => att.uploadId)
+      .filter(id => id && mongoose.Types.ObjectId.isValid(id));
+
+    if (uploadIds.length === 0) return;
+
+    try {
+      await AttachmentUpload.deleteMany({ _id: { $in: uploadIds }, worxstreamUserId: Number(worxstreamUserId) });
+    } catch (error) {
+      console.error('⚠️ Failed to release attachment uploads:', error);
+    }
+  }
+}
+
+const composeService = new ComposeService();
+export default composeService;
@@ -0,0 +1,262 @@
+// services/draftService.js
+import mongoose from 'mongoose';
+import Draft from '../models/Draft.js';
+import composeService from './composeService.js';
+import { resolveMailbox } from './mailboxAdapter.js';
+
+const DRAFT_FIELDS = ['to', 'cc', 'bcc', 'subject', 'text', 'html', 'replyTo', 'source'];
+
+// Recipients arrive as an array or a comma separated string
+const toAddressList = (recipients) => {
+  if (!recipients) return [];
+  const list = Array.isArray(recipients) ? recipients : recipients.split(',');
+  return list.map(addr => addr.trim()).filter(Boolean);
+};
+
+class DraftService {
+  constructor() {
+    this.inFlight = new Map(); // Provider syncs keyed by draft id
+  }
+
+  toClientDraft(draft) {
+    return {
+      ...draft.toObject(),
+      draftId: draft._id.toString()
+    };
+  }
+
+  async findDraft(worxstreamUserId, draftId) {
+    if (!mongoose.Types.ObjectId.isValid(draftId)) {
+      return null;
+    }
+    return Draft.findOne({ _id: draftId, worxstreamUserId: Number(worxstreamUserId) });
+  }
+
+  // Create or update a draft (draftId = our id) and mirror it to the provider.
+  // The local copy is kept even when the provider sync fails; syncError says why.
+  async saveDraft(worxstreamUserId, email, fields) {
+    if (!worxstreamUserId || (!email && !fields.draftId)) {
+      throw new Error('Missing required parameters');
+    }
+
+    let draft;
+    if (fields.draftId) {
+      draft = await this.findDraft(worxstreamUserId, fields.draftId);
+      if (!draft) {
+        throw new Error('Draft not found');
+      }
+    } else {
+      const mailbox = await resolveMailbox(worxstreamUserId, email);
+      if (!mailbox) {
+        throw new Error('Token not found');
+      }
+      draft = new Draft({
+        worxstreamUserId: Number(worxstreamUserId),
+        email,
+        provider: mailbox.provider
+      });
+    }
+
+    for (const field of DRAFT_FIELDS) {
+      if (fields[field] === undefined) continue;
+      draft[field] = ['to', 'cc', 'bcc'].includes(field) ? toAddressList(fields[field]) : fields[field];
+    }
+    // `body` is the plain-text field older clients send
+    if (fields.text === undefined && fields.body !== undefined) {
+      draft.text = fields.body;
+    }
+    if (fields.attachments !== undefined) {
+      // Files that stay on the draft keep the provider attachment they were synced to
+      const synced = new Map(draft.attachments.map(att => [att.uploadId, att.providerAttachmentId]));
+      draft.attachments = (await this.resolveDraftAttachments(worxstreamUserId, fields.attachments))
+        .map(att => ({ ...att, providerAttachmentId: synced.get(att.uploadId) || null }));
+
+      // Files taken off the draft expire like any other unsent upload
+      const kept = new Set(draft.attachments.map(att => att.uploadId));
+      await composeService.retainUploads(worxstreamUserId, [...synced.keys()].filter(id => !kept.has(id)));
+    }
+    // Every save, so drafts from before uploads were held get theirs held too
+    await composeService.holdUploads(worxstreamUserId, draft.attachments.map(att => att.uploadId));
+
+    await draft.save();
+    await this.syncDraft(draft._id);
+
+    return this.toClientDraft(await Draft.findById(draft._id));
+  }
+
+  // Drafts only reference uploads (POST /mail/attachments). saveDraft holds them until the
+  // draft is sent or deleted, which release them.
+  async resolveDraftAttachments(worxstreamUserId, attachments = []) {
+    if (attachments.some(att => !att.uploadId)) {
+      throw new Error('Draft attachments must be uploaded first');
+    }
+
+    const uploadIds = attachments.map(att => att.uploadId);
+    if (uploadIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw new Error('Invalid attachment upload ID');
+    }
+
+    // Validates ownership and that the uploads still exist
+    const resolved = await composeService.resolveAttachments(worxstreamUserId, attachments.map(att => ({ uploadId: att.uploadId })));
+    return resolved.map((att, index) => ({
+      uploadId: uploadIds[index],
+      filename: att.filename,
+      contentType: att.contentType,
+      size: att.content.length,
+      isInline: att.isInline,
+      contentId: att.contentId
+    }));
+  }
+
+  // Mirror a draft to the provider. Saves that arrive while a sync is running
+  // are picked up by one more pass instead of syncing concurrently.
+  async syncDraft(draftId) {
+    const key = String(draftId);
+    const running = this.inFlight.get(key);
+    if (running) {
+      running.again = true;
+      return running.promise;
+    }
+
+    const entry = { again: false };
+    entry.promise = (async () => {
+      do {
+        entry.again = false;
+        await this.pushToProvider(key);
+      } while (entry.again);
+    })().finally(() => this.inFlight.delete(key));
+
+    this.inFlight.set(key, entry);
+    return entry.promise;
+  }
+
+  async pushToProvider(draftId) {
+    const draft = await Draft.findById(draftId);
+    if (!draft) return;
+
+    try {
+      const mailbox = await resolveMailbox(draft.worxstreamUserId, draft.email);
+      if (!mailbox) {
+        throw new Error('Token not found');
+      }
+
+      const attachments = await composeService.resolveAttachments(
+        draft.worxstreamUserId,
+        draft.attachments.map(att => ({ uploadId: att.uploadId }))
+      );
+      const payload = {
+        to: draft.to.join(', '),
+        cc: draft.cc.join(', '),
+        bcc: draft.bcc.join(', '),
+        subject: draft.subject,
+        text: draft.text,
+        html: draft.html,
+        attachments: attachments.map((att, index) => ({
+          ...att,
+          providerAttachmentId: draft.attachments[index].providerAttachmentId
+        })),
+        replyTo: draft.replyTo?.messageId ? draft.replyTo : null
+      };
+
+      let result;
+      try {
+        result = await mailbox.adapter.saveDraft(mailbox.token, { ...payload, draftId: draft.providerDraftId });
+      } catch (error) {
+        // Deleted in the provider's own client, start a new one
+        if (draft.providerDraftId && error.response?.status === 404) {
+          result = await mailbox.adapter.saveDraft(mailbox.token, {
+            ...payload,
+            draftId: null,
+            attachments: payload.attachments.map(att => ({ ...att, providerAttachmentId: null }))
+          });
+        } else {
+          throw error;
+        }
+      }
+
+      draft.providerDraftId = result.draftId;
+      draft.syncedAt = new Date();
+      draft.syncError = null;
+
+      // Set per upload, a save that changed the attachments meanwhile is not overwritten
+      for (const [index, att] of draft.attachments.entries()) {
+        await Draft.updateOne(
+          { _id: draft._id, 'attachments.uploadId': att.uploadId },
+          { $set: { 'attachments.$.providerAttachmentId': result.attachmentIds?.[index] ?? null } }
+        );
+      }
+    } catch (error) {
+      console.error(`❌ Failed to sync draft ${draftId}:`, error?.response?.data || error.message);
+      draft.syncError = error.message;
+    }
+
+    await draft.save();
+  }
+
+  // Drafts of one account or of all accounts, most recently edited first
+  async listDrafts(worxstreamUserId, email = null) {
+    const query = { worxstreamUserId: Number(worxstreamUserId) };
+    if (email) {
+      query.email = email;
+    }
+
+    const drafts = await Draft.find(query).sort({ updatedAt: -1 });
+    return drafts.map(draft => this.toClientDraft(draft));
+  }
+
+  // Send through the provider's draft and drop the local copy, without the undo send window
+  async sendDraft(worxstreamUserId, draftId) {
+    const draft = await this.findDraft(worxstreamUserId, draftId);
+    if (!draft) {
+      throw new Error('Draft not found');
+    }
+    if (draft.to.length === 0 && !draft.replyTo?.messageId) {
+      throw new Error('At least one recipient is required');
+    }
+
+    // Make sure the provider has the latest version
+    await this.syncDraft(draft._id);
+    const synced = await Draft.findById(draft._id);
+    if (!synced.providerDraftId || synced.syncError) {
+      return { success: false, error: synced.syncError || 'Draft is not saved at the provider' };
+    }
+
+    const mailbox = await resolveMailbox(worxstreamUserId, synced.email);
+    if (!mailbox) {
+      throw new Error('Token not found');
+    }
+
+    const result = await mailbox.adapter.sendDraft(mailbox.token, synced.providerDraftId);
+    if (result.success) {
+      await Draft.deleteOne({ _id: synced._id });
+      await composeService.releaseUploads(worxstreamUserId, synced.attachments);
+    }
+
+    return result;
+  }
+
+  async deleteDraft(worxstreamUserId, draftId) {
+    const draft = await this.findDraft(worxstreamUserId, draftId);
+    if (!draft) {
+      throw new Error('Draft not found');
+    }
+
+    // Let a running sync finish so it cannot recreate the provider draft afterwards
+    await this.inFlight.get(String(draft._id))?.promise;
+    const current = await Draft.findById(draft._id);
+
+    if (current.providerDraftId) {
+      const mailbox = await resolveMailbox(worxstreamUserId, current.email);
+      if (!mailbox) {
+        throw new Error('Token not found');
+      }
+      await mailbox.adapter.deleteDraft(mailbox.token, current.providerDraftId);
+    }
+
+    await Draft.deleteOne({ _id: current._id });
+    await composeService.releaseUploads(worxstreamUserId, current.attachments);
+  }
+}
+
+const draftService = new DraftService();
+export default draftService;
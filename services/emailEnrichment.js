@@ -3,6 +3,8 @@ import emailService from './emailService.js';
 import User from '../models/User.js';
 import EmailAccount from '../models/EmailAccount.js';
 import { makeClaudeApiCall } from './claudeApiService.js';
+import rulesService from './rulesService.js';
+import { htmlToText } from '../utils/html.js';
 
 class EmailEnrichmentService {
   constructor() {
@@ -120,6 +122,16 @@ class EmailEnrichmentService {
         { new: true }
       );
 
+      // Rules on AI category/priority can only match now
+      if (updatedEmail) {
+        try {
+          await rulesService.applyRules(user, email.email, [updatedEmail], { afterEnrichment: true });
+          cleanedAnalysis.category = updatedEmail.aiMeta.category;
+        } catch (error) {
+          console.error('⚠️ Error applying mail rules after enrichment:', error);
+        }
+      }
+
       // Emit completion status to specific user
       if (userSocket) {
         console.log(`📤 Emitting enrichment status for message ${email.id} to socket ${userSocket.id}`);
@@ -165,6 +177,7 @@ class EmailEnrichmentService {
               message: 'Please create email categories first to enable AI analysis'
             });
           }
+          await this.runWaitingRules(user, email._id);
         }
         
         // Return the email without enrichment
@@ -192,12 +205,25 @@ class EmailEnrichmentService {
             message: error.message
           });
         }
+        await this.runWaitingRules(user, email._id);
       }
 
       throw error;
     }
   }
 
+  // Rules that wait for enrichment still run when it fails, their AI conditions just do not match
+  async runWaitingRules(user, emailId) {
+    try {
+      const current = await Email.findById(emailId);
+      if (current) {
+        await rulesService.applyRules(user, current.email, [current], { afterEnrichment: true });
+      }
+    } catch (error) {
+      console.error('⚠️ Error applying mail rules after failed enrichment:', error);
+    }
+  }
+
   // Register a socket for unified access
   registerSocket(socket) {
     if (!this.io) {
@@ -531,7 +557,7 @@ Email Details:
 Subject: ${subject}
 From: ${from}
 To: ${to}
-Content: ${content}
+Content: ${htmlToText(content || '')}
 
 Available Categories (choose the most appropriate one):
 ${categoryInfo}
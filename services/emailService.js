@@ -1,8 +1,15 @@
-import { getToken } from '../utils/tokenManager.js';
-import { getMessagesByFolder, getMessageById } from './outlookService.js';
+import { resolveMailbox } from './mailboxAdapter.js';
 import Email from '../models/email.js';
 import User from '../models/User.js';
 import focusAssignmentService from './focusAssignmentService.js';
+import threadService from './threadService.js';
+import rulesService from './rulesService.js';
+import mailSyncService from './mailSyncService.js';
+import { IMPORTED_FOLDER } from './mailImportService.js';
+import { encodeCursor, decodeCursor, cursorPosition, afterPosition, INVALID_CURSOR } from '../utils/cursor.js';
+
+const MAX_PAGE_SIZE = 100;
+const MAX_PROVIDER_PAGES = 3; // Provider pages pulled for one listing page when filters hide most messages
 
 class EmailService {
   async getFolderMessages(worxstreamUserId, email, folderId, page = 1, pageSize = 20, filters = {}) {
@@ -51,96 +58,21 @@ class EmailService {
         .select('-content'); // Exclude content for performance
 
 
-      // If no messages found in database, try to fetch from Outlook and save them
+      // If no messages found in database, try to fetch from the provider and save them
       if (messages.length === 0 && page === 1) {
         
-        const token = await getToken(worxstreamUserId, email, 'outlook');
-        if (!token) {
+        const mailbox = await resolveMailbox(worxstreamUserId, email);
+        if (!mailbox) {
           console.error(`❌ Token not found for ${email}`);
           throw new Error('Token not found');
         }
 
-        const { messages: outlookMessages } = await getMessagesByFolder(token, folderId, null, pageSize);
+        const { messages: providerMessages } = await mailbox.adapter.getMessagesByFolder(mailbox.token, folderId, null, pageSize);
 
-        if (outlookMessages && outlookMessages.length > 0) {
+        if (providerMessages && providerMessages.length > 0) {
 
           // Store messages in database with user reference
-          const savedMessages = await Promise.all(outlookMessages.map(async msg => {
-            try {
-              // Ensure all required fields are present
-              const emailData = {
-                id: msg.id,
-                userId: user._id,
-                email: email,
-                from: msg.from || '',
-                to: msg.to || '',
-                cc: msg.cc || '',
-                bcc: msg.bcc || '',
-                subject: msg.subject || '(No Subject)',
-                content: msg.content || '',
-                preview: msg.preview || '',
-                timestamp: (() => {
-                  if (msg.timestamp && msg.timestamp !== '') {
-                    const receivedTime = new Date(msg.timestamp);
-                    return receivedTime;
-                  } else {
-                    return new Date();
-                  }
-                })(),
-                read: msg.read || false,
-                folder: folderId,
-                important: msg.important || false,
-                flagged: msg.flagged || false,
-                isProcessed: false,
-                updatedAt: new Date()
-              };
-
-              // Validate required fields before saving
-              if (!emailData.id || !emailData.userId || !emailData.email) {
-                console.error('❌ Message missing required fields:', {
-                  id: emailData.id,
-                  hasUserId: !!emailData.userId,
-                  email: emailData.email
-                });
-                return null;
-              }
-
-              // Check if this email should be assigned to a focus folder
-              let focusFolder = null;
-              try {
-                focusFolder = await focusAssignmentService.assignFocusFolder(
-                  emailData, 
-                  user._id, 
-                  email
-                );
-              } catch (error) {
-                console.error('⚠️ Error assigning focus folder:', error);
-                // Continue without focus folder assignment
-              }
-              
-              // Add focus folder to email data if assigned
-              if (focusFolder) {
-                emailData.focusFolder = focusFolder;
-              }
-              
-              const savedMsg = await Email.findOneAndUpdate(
-                { id: msg.id, email: email },
-                { $set: emailData },
-                { 
-                  upsert: true, 
-                  new: true,
-                  setDefaultsOnInsert: true
-                }
-              );
-
-              return savedMsg;
-            } catch (error) {
-              console.error(`❌ Failed to save message ${msg.id}:`, error);
-              return null;
-            }
-          }));
-
-          const validMessages = savedMessages.filter(Boolean);
+          const validMessages = await this.saveProviderMessages(user, email, folderId, providerMessages);
 
           // Apply filters to the saved messages if any filters are provided
           if (Object.keys(filters).length > 0) {
@@ -159,6 +91,200 @@ class EmailService {
     }
   }
 
+  // List a folder page by page with stateless cursors. A cursor carries the position of the last
+  // message returned and the provider's token for its next page, so any socket or request can
+  // continue a listing. The first page (no cursor) brings the folder up to date; later pages read
+  // the stored emails after the cursor and pull older provider pages once those run out, starting
+  // below the oldest stored page of a folder that was synced before.
+  async listFolderMessages(worxstreamUserId, email, folderId, { cursor = null, pageSize = 20, filters = {} } = {}) {
+    if (!worxstreamUserId || !email || !folderId) {
+      throw new Error('Missing required parameters');
+    }
+
+    const state = cursor ? decodeCursor(cursor) : null;
+    if (state && (state.email !== email || state.folderId !== folderId)) {
+      const error = new Error('Cursor belongs to a different folder');
+      error.code = INVALID_CURSOR;
+      throw error;
+    }
+
+    const user = await User.findOne({ worxstreamUserId: Number(worxstreamUserId) });
+    if (!user) {
+      console.error(`❌ User not found for worxstreamUserId: ${worxstreamUserId}`);
+      throw new Error('User not found');
+    }
+
+    const mailbox = await resolveMailbox(worxstreamUserId, email);
+    if (!mailbox) {
+      console.error(`❌ Token not found for ${email}`);
+      throw new Error('Token not found');
+    }
+
+    // Imported mail has no provider folder to refresh or page through
+    let pageToken = null;
+    if (state) {
+      pageToken = state.pageToken || null;
+    } else if (folderId !== IMPORTED_FOLDER) {
+      pageToken = await mailSyncService.refreshFolder(Number(worxstreamUserId), email, folderId, mailbox, user);
+    }
+
+    const query = {
+      userId: user._id,
+      email: email,
+      folder: folderId,
+      ...(state?.ts != null ? afterPosition(state) : {})
+    };
+    if (filters.category && filters.category !== 'All') {
+      query['aiMeta.category'] = filters.category;
+    }
+    if (filters.priority && filters.priority !== 'All') {
+      query['aiMeta.priority'] = filters.priority;
+    }
+    if (filters.sentiment && filters.sentiment !== 'All') {
+      query['aiMeta.sentiment'] = filters.sentiment;
+    }
+
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(pageSize) || 20));
+    // One extra message tells whether there is another page
+    const findPage = () => Email.find(query)
+      .sort({ timestamp: -1, _id: -1 })
+      .limit(limit + 1)
+      .select('-content'); // Exclude content for performance
+
+    let found = await findPage();
+    for (let fetched = 0; found.length < limit && pageToken && fetched < MAX_PROVIDER_PAGES; fetched++) {
+      // The stored emails ran out, pull the next provider page
+      const { messages: providerMessages, nextLink } = await mailbox.adapter.getMessagesByFolder(mailbox.token, folderId, pageToken);
+      await this.saveProviderMessages(user, email, folderId, providerMessages);
+      await mailSyncService.advanceBackfill(worxstreamUserId, email, folderId, pageToken, nextLink);
+      pageToken = nextLink || null;
+      found = await findPage();
+    }
+
+    const messages = found.slice(0, limit);
+    const hasMore = found.length > limit || !!pageToken;
+
+    // A page the filters emptied keeps the previous position
+    const last = messages[messages.length - 1];
+    const position = last ? cursorPosition(last) : { ts: state?.ts, id: state?.id };
+
+    // Per-thread counts so the client can group the list into conversations
+    const threadCounts = messages.length > 0
+      ? await threadService.getThreadCounts(user._id, email, messages.map(msg => msg.threadId))
+      : new Map();
+
+    return {
+      folderId,
+      messages: messages.map(msg => ({
+        ...msg.toObject(),
+        dbId: msg._id.toString(), // Include the MongoDB ObjectId as dbId
+        thread: threadCounts.get(msg.threadId) || null
+      })),
+      nextCursor: hasMore ? encodeCursor({ email, folderId, ...position, pageToken }) : null
+    };
+  }
+
+  // Upsert messages fetched from a provider into the Email collection and run mail rules on new ones.
+  // Returns the saved documents; messages that fail to save or that a rule moved away are left out.
+  async saveProviderMessages(user, email, folderId, providerMessages) {
+    const savedMessages = await Promise.all(providerMessages.map(async msg => {
+      try {
+        // Ensure all required fields are present
+        const emailData = {
+          id: msg.id,
+          userId: user._id,
+          email: email,
+          from: msg.from || '',
+          to: msg.to || '',
+          cc: msg.cc || '',
+          bcc: msg.bcc || '',
+          subject: msg.subject || '(No Subject)',
+          content: msg.content || '',
+          preview: msg.preview || '',
+          timestamp: msg.timestamp && msg.timestamp !== '' ? new Date(msg.timestamp) : new Date(),
+          read: msg.read || false,
+          folder: folderId,
+          important: msg.important || false,
+          flagged: msg.flagged || false,
+          hasAttachments: msg.hasAttachments || false,
+          messageId: msg.messageId || null,
+          inReplyTo: msg.inReplyTo || null,
+          references: msg.references || [],
+          updatedAt: new Date()
+        };
+        emailData.threadId = await threadService.resolveThreadId(msg, email);
+
+        // Outlook has follow-up dates, Gmail's are only stored here and end with the star
+        if (msg.followUpAt !== undefined) {
+          emailData.followUpAt = msg.followUpAt;
+        } else if (!emailData.flagged) {
+          emailData.followUpAt = null;
+        }
+
+        // Validate required fields before saving
+        if (!emailData.id || !emailData.userId || !emailData.email) {
+          console.error('❌ Message missing required fields:', {
+            id: emailData.id,
+            hasUserId: !!emailData.userId,
+            email: emailData.email
+          });
+          return null;
+        }
+
+        // Check which focus folders this email belongs to. Matches are only added, a
+        // failed lookup or a manual addition must not lose the folders it is already in.
+        let focusFolders = [];
+        try {
+          focusFolders = await focusAssignmentService.assignFocusFolders(
+            emailData, 
+            user._id, 
+            email
+          );
+        } catch (error) {
+          console.error('⚠️ Error assigning focus folders:', error);
+          // Continue without focus folder assignment
+        }
+
+        const result = await Email.findOneAndUpdate(
+          { id: msg.id, email: email },
+          {
+            $set: emailData,
+            // Keep the enrichment state of messages we already have
+            $setOnInsert: { isProcessed: false },
+            ...(focusFolders.length > 0 ? { $addToSet: { focusFolders: { $each: focusFolders } } } : {})
+          },
+          { 
+            upsert: true, 
+            new: true,
+            setDefaultsOnInsert: true,
+            includeResultMetadata: true
+          }
+        );
+        return { doc: result.value, inserted: !result.lastErrorObject?.updatedExisting };
+      } catch (error) {
+        console.error(`❌ Failed to save message ${msg.id}:`, error);
+        return null;
+      }
+    }));
+
+    const saved = savedMessages.filter(Boolean);
+
+    // Mail rules only run on messages we see for the first time
+    let movedIds = new Set();
+    const inserted = saved.filter(result => result.inserted).map(result => result.doc);
+    if (inserted.length > 0) {
+      try {
+        movedIds = await rulesService.applyRules(user, email, inserted);
+      } catch (error) {
+        console.error('⚠️ Error applying mail rules:', error);
+      }
+    }
+
+    return saved
+      .map(result => result.doc)
+      .filter(doc => !movedIds.has(doc._id.toString()));
+  }
+
   async getFolderMessageCount(worxstreamUserId, email, folderId, filters = {}) {
     try {
       // Get user from database
@@ -204,8 +330,8 @@ class EmailService {
       }
 
 
-      const token = await getToken(worxstreamUserId, email, 'outlook');
-      if (!token) {
+      const mailbox = await resolveMailbox(worxstreamUserId, email);
+      if (!mailbox) {
         console.error(`❌ Token not found for ${email}`);
         throw new Error('Token not found');
       }
@@ -226,17 +352,26 @@ class EmailService {
       } else {
       }
 
-      // Always fetch fresh message data from Outlook (including attachments)
-      const outlookMessage = await getMessageById(token, messageId);
-      if (!outlookMessage) {
-        console.error(`❌ Message ${messageId} not found in Outlook`);
+      // Imported messages have no provider copy, the stored one is all there is
+      if (dbMessage?.folder === IMPORTED_FOLDER) {
+        return {
+          ...dbMessage.toObject(),
+          attachments: [],
+          dbId: dbMessage._id.toString()
+        };
+      }
+
+      // Always fetch fresh message data from the provider (including attachments)
+      const providerMessage = await mailbox.adapter.getMessageById(mailbox.token, messageId);
+      if (!providerMessage) {
+        console.error(`❌ Message ${messageId} not found in ${mailbox.provider}`);
         throw new Error('Message not found');
       }
 
       // Process content to replace cid: URLs with data URLs for inline attachments
-      let processedContent = outlookMessage.content;
-      if (outlookMessage.attachments && outlookMessage.attachments.length > 0) {
-        outlookMessage.attachments.forEach((attachment) => {
+      let processedContent = providerMessage.content;
+      if (providerMessage.attachments && providerMessage.attachments.length > 0) {
+        providerMessage.attachments.forEach((attachment) => {
           if (attachment.contentId && attachment.contentBytes) {
             const cidUrl = `cid:${attachment.contentId}`;
             const dataUrl = `data:${attachment.contentType};base64,${attachment.contentBytes}`;
@@ -258,9 +393,9 @@ class EmailService {
         );
       }
 
-      // Combine Outlook data with AI metadata from database
+      // Combine provider data with AI metadata from database
       const combinedMessage = {
-        ...outlookMessage,
+        ...providerMessage,
         content: processedContent, // Use processed content
         aiMeta: aiMetadata, // Include AI metadata if available
         dbId: dbMessage?._id?.toString() // Include database ID for short URLs
@@ -269,29 +404,48 @@ class EmailService {
       // If message doesn't exist in DB, save it with AI metadata
       if (!dbMessage) {
         
-        // Check if this email should be assigned to a focus folder
-        let focusFolder = null;
+        // Check which focus folders this email belongs to
+        let focusFolders = [];
         try {
-          focusFolder = await focusAssignmentService.assignFocusFolder(
-            outlookMessage, 
+          focusFolders = await focusAssignmentService.assignFocusFolders(
+            providerMessage, 
             user._id, 
             email
           );
         } catch (error) {
-          console.error('⚠️ Error assigning focus folder:', error);
+          console.error('⚠️ Error assigning focus folders:', error);
           // Continue without focus folder assignment
         }
         
         const savedMessage = await Email.create({
-          ...outlookMessage,
+          ...providerMessage,
           userId: user._id,
           email: email,
-          focusFolder: focusFolder, // Add focus folder if assigned
+          focusFolders, // Focus folders the message matched
+          threadId: await threadService.resolveThreadId(providerMessage, email),
           isProcessed: false
         });
         
         // Update the combined message with the new database ID
         combinedMessage.dbId = savedMessage._id.toString();
+        combinedMessage.threadId = savedMessage.threadId;
+      } else if (!dbMessage.threadId) {
+        // Messages stored before threading was added get their thread on first open
+        const threadId = await threadService.resolveThreadId(providerMessage, email);
+        await Email.updateOne(
+          { _id: dbMessage._id },
+          {
+            $set: {
+              threadId,
+              messageId: providerMessage.messageId || null,
+              inReplyTo: providerMessage.inReplyTo || null,
+              references: providerMessage.references || []
+            }
+          }
+        );
+        combinedMessage.threadId = threadId;
+      } else {
+        combinedMessage.threadId = dbMessage.threadId;
       }
 
       return combinedMessage;
@@ -355,6 +509,178 @@ class EmailService {
     }
   }
 
+  // Mark a message read or unread at the provider and locally
+  async setReadState(worxstreamUserId, email, messageId, read) {
+    const mailbox = await resolveMailbox(worxstreamUserId, email);
+    if (!mailbox) {
+      throw new Error('Token not found');
+    }
+
+    await mailbox.adapter.markMessageRead(mailbox.token, messageId, read);
+    const updated = await Email.findOneAndUpdate(
+      { email, id: messageId },
+      { $set: { read, updatedAt: new Date() } },
+      { new: true }
+    );
+
+    return {
+      messageId,
+      read,
+      counts: updated ? await this.getFolderCounts(updated.userId, email, [updated.folder]) : []
+    };
+  }
+
+  // Flag (Gmail: star) a message, optionally with a follow-up due date
+  async setFlag(worxstreamUserId, email, messageId, { flagged = true, dueDate = null } = {}) {
+    let followUpAt = null;
+    if (flagged && dueDate) {
+      followUpAt = new Date(dueDate);
+      if (isNaN(followUpAt.getTime())) {
+        throw new Error('Invalid follow-up due date');
+      }
+    }
+
+    const mailbox = await resolveMailbox(worxstreamUserId, email);
+    if (!mailbox) {
+      throw new Error('Token not found');
+    }
+
+    await mailbox.adapter.flagMessage(mailbox.token, messageId, { flagged, dueDate: followUpAt });
+    await Email.updateOne(
+      { email, id: messageId },
+      {
+        $set: {
+          flagged,
+          followUpAt,
+          // A new due date gets a new reminder
+          followUpNotifiedAt: null,
+          updatedAt: new Date()
+        }
+      }
+    );
+
+    return { messageId, flagged, followUpAt };
+  }
+
+  // Flagged messages with a follow-up date, soonest first. Only overdue ones unless includeUpcoming.
+  async getFollowUps(worxstreamUserId, { email = null, includeUpcoming = false } = {}) {
+    const user = await User.findOne({ worxstreamUserId: Number(worxstreamUserId) });
+    if (!user) {
+      console.error(`❌ User not found for worxstreamUserId: ${worxstreamUserId}`);
+      throw new Error('User not found');
+    }
+
+    const query = {
+      userId: user._id,
+      flagged: true,
+      followUpAt: includeUpcoming ? { $ne: null } : { $ne: null, $lte: new Date() }
+    };
+    if (email) {
+      query.email = email;
+    }
+
+    const messages = await Email.find(query)
+      .sort({ followUpAt: 1 })
+      .select('-content');
+
+    return messages.map(msg => ({
+      ...msg.toObject(),
+      dbId: msg._id.toString()
+    }));
+  }
+
+  // Total and unread counts of folders, computed from the stored emails
+  async getFolderCounts(userId, email, folderIds) {
+    const ids = [...new Set(folderIds.filter(Boolean))];
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const counts = await Email.aggregate([
+      { $match: { userId, email, folder: { $in: ids } } },
+      {
+        $group: {
+          _id: '$folder',
+          totalCount: { $sum: 1 },
+          unreadCount: { $sum: { $cond: ['$read', 0, 1] } }
+        }
+      }
+    ]);
+
+    return ids.map(folderId => {
+      const count = counts.find(c => c._id === folderId);
+      return {
+        folderId,
+        totalCount: count?.totalCount || 0,
+        unreadCount: count?.unreadCount || 0
+      };
+    });
+  }
+
+  // Move, archive or copy a message at the provider and mirror it locally.
+  // Returns the new id (Outlook ids change on move/copy) and counts of the affected folders.
+  async fileMessage(worxstreamUserId, email, messageId, action, destinationFolderId = null) {
+    if (!worxstreamUserId || !email || !messageId) {
+      throw new Error('Missing required parameters');
+    }
+    if (action !== 'archive' && !destinationFolderId) {
+      throw new Error('Destination folder is required');
+    }
+
+    const user = await User.findOne({ worxstreamUserId: Number(worxstreamUserId) });
+    if (!user) {
+      console.error(`❌ User not found for worxstreamUserId: ${worxstreamUserId}`);
+      throw new Error('User not found');
+    }
+
+    const mailbox = await resolveMailbox(worxstreamUserId, email);
+    if (!mailbox) {
+      throw new Error('Token not found');
+    }
+
+    let result;
+    if (action === 'archive') {
+      result = await mailbox.adapter.archiveMessage(mailbox.token, messageId);
+    } else if (action === 'move') {
+      result = await mailbox.adapter.moveMessage(mailbox.token, messageId, destinationFolderId);
+    } else if (action === 'copy') {
+      result = await mailbox.adapter.copyMessage(mailbox.token, messageId, destinationFolderId);
+    } else {
+      throw new Error(`Unsupported action: ${action}`);
+    }
+
+    const existing = await Email.findOne({ userId: user._id, email, id: messageId });
+    const fromFolder = existing?.folder || null;
+
+    if (existing) {
+      // A sync may already have stored the message under its new id
+      if (result.id !== messageId) {
+        await Email.deleteOne({ email, id: result.id });
+      }
+
+      if (action === 'copy') {
+        // Gmail copies are the same message with one more label, nothing to add locally
+        if (result.id !== messageId) {
+          const { _id, createdAt, ...fields } = existing.toObject();
+          await Email.create({ ...fields, id: result.id, folder: result.folder, updatedAt: new Date() });
+        }
+      } else {
+        await Email.updateOne(
+          { _id: existing._id },
+          { $set: { id: result.id, folder: result.folder, updatedAt: new Date() } }
+        );
+      }
+    }
+
+    return {
+      messageId,
+      newMessageId: result.id,
+      from: fromFolder,
+      to: result.folder,
+      counts: await this.getFolderCounts(user._id, email, [fromFolder, result.folder])
+    };
+  }
+
   // Apply filters to messages
   applyFilters(messages, filters) {
     return messages.filter(message => {
@@ -3,6 +3,20 @@ import EmailAccount from '../models/EmailAccount.js';
 import Email from '../models/email.js';
 import User from '../models/User.js';
 import { updateFocusItemActivity } from '../controllers/focusController.js';
+import { checkPattern, MAX_MATCH_INPUT } from '../utils/regex.js';
+
+// Match modes each focus item type supports. Email items can also be scoped to the sender.
+export const FOCUS_MATCH_MODES = {
+  subject: ['exact', 'contains', 'regex'],
+  email: ['exact', 'contains', 'regex', 'domain']
+};
+export const FOCUS_SCOPES = ['sender', 'any'];
+
+// What may surround an address in a header like "Jane <jane@acme.com>, bob@acme.com"
+const ADDRESS_START = '(^|[\\s<,;"\'])';
+const ADDRESS_END = '($|[\\s>,;"\'])';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 class FocusAssignmentService {
   constructor() {
@@ -36,87 +50,143 @@ class FocusAssignmentService {
     }
   }
 
-  // Check if an email matches any focus criteria and assign focus folder
-  async assignFocusFolder(emailData, userId, email) {
+  // Focus folders an email belongs to, one for every active focus item it matches
+  async assignFocusFolders(emailData, userId, email) {
     try {
       const focusItems = await this.getFocusItems(userId, email);
       if (!focusItems || focusItems.length === 0) {
-        return null; // No focus items to check
+        return []; // No focus items to check
       }
 
-      let assignedFocusFolder = null;
+      const assignedFocusFolders = [];
 
       for (const focusItem of focusItems) {
         if (!focusItem.isActive) continue;
 
-        let isMatch = false;
-
-        if (focusItem.type === 'subject') {
-          // Check if email subject matches focus criteria
-          isMatch = this.matchSubject(emailData.subject, focusItem.value);
-        } else if (focusItem.type === 'email') {
-          // Check if email address appears in from/to/cc/bcc
-          isMatch = this.matchEmailAddress(emailData, focusItem.value);
-        }
-
-        if (isMatch) {
-          assignedFocusFolder = focusItem.folderName;
-          console.log(`🎯 Email ${emailData.id} assigned to focus folder: ${assignedFocusFolder}`);
+        if (this.matchFocusItem(emailData, focusItem)) {
+          assignedFocusFolders.push(focusItem.folderName);
+          console.log(`🎯 Email ${emailData.id} assigned to focus folder: ${focusItem.folderName}`);
           
           // Update focus item activity
-          await updateFocusItemActivity(userId, email, assignedFocusFolder);
-          break; // Use first match
+          await updateFocusItemActivity(userId, email, focusItem.folderName);
         }
       }
 
-      return assignedFocusFolder;
+      return assignedFocusFolders;
     } catch (error) {
-      console.error('❌ Error assigning focus folder:', error);
-      return null;
+      console.error('❌ Error assigning focus folders:', error);
+      return [];
     }
   }
 
-  // Check if subject matches focus criteria
-  matchSubject(emailSubject, focusSubject) {
-    if (!emailSubject || !focusSubject) return false;
-    
-    // Convert to lowercase for case-insensitive comparison
-    const emailSubjectLower = emailSubject.toLowerCase();
-    const focusSubjectLower = focusSubject.toLowerCase();
-    
-    // Check for exact match or contains
-    return emailSubjectLower === focusSubjectLower || 
-           emailSubjectLower.includes(focusSubjectLower) ||
-           focusSubjectLower.includes(emailSubjectLower);
+  // Validate a focus item from a request and fill in the default match mode and scope.
+  // Throws an error with code INVALID_FOCUS_ITEM the controller turns into a 400.
+  normalizeFocusItem({ type, value, matchMode, scope }) {
+    const invalid = (message) => {
+      const error = new Error(message);
+      error.code = 'INVALID_FOCUS_ITEM';
+      return error;
+    };
+
+    if (!FOCUS_MATCH_MODES[type]) {
+      throw invalid('Type must be either "subject" or "email"');
+    }
+
+    const trimmedValue = typeof value === 'string' ? value.trim() : '';
+    if (!trimmedValue) {
+      throw invalid('Value is required');
+    }
+
+    const mode = matchMode || 'contains';
+    if (!FOCUS_MATCH_MODES[type].includes(mode)) {
+      throw invalid(`Match mode for ${type} items must be one of: ${FOCUS_MATCH_MODES[type].join(', ')}`);
+    }
+
+    const itemScope = type === 'email' ? scope || 'any' : 'any';
+    if (!FOCUS_SCOPES.includes(itemScope)) {
+      throw invalid(`Scope must be one of: ${FOCUS_SCOPES.join(', ')}`);
+    }
+
+    let normalizedValue = trimmedValue;
+    if (mode === 'regex') {
+      const problem = checkPattern(trimmedValue);
+      if (problem) {
+        throw invalid(problem);
+      }
+    } else if (mode === 'domain') {
+      // "acme.com" and "@acme.com" both mean the whole domain
+      normalizedValue = `@${trimmedValue.replace(/^@/, '').toLowerCase()}`;
+      if (!/^@[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(normalizedValue)) {
+        throw invalid('Domain must look like @acme.com');
+      }
+    } else if (type === 'email' && mode === 'exact' && !/^[^\s@<>]+@[^\s@<>]+$/.test(trimmedValue)) {
+      throw invalid('Exact email matching needs a full email address');
+    }
+
+    return { type, value: normalizedValue, matchMode: mode, scope: itemScope };
   }
 
-  // Check if email address appears in email data
-  matchEmailAddress(emailData, focusEmail) {
-    if (!focusEmail) return false;
-    
-    const focusEmailLower = focusEmail.toLowerCase();
-    
-    // Check from field
-    if (emailData.from && emailData.from.toLowerCase().includes(focusEmailLower)) {
-      return true;
+  // Fields and regex source a focus item matches on. Live assignment and the
+  // stored-email queries both use this, so they agree on what matches.
+  getFocusPattern(focusItem) {
+    const mode = focusItem.matchMode || 'contains';
+    const value = focusItem.value;
+
+    if (focusItem.type === 'subject') {
+      return {
+        fields: ['subject'],
+        pattern: mode === 'regex' ? value : mode === 'exact' ? `^${escapeRegex(value)}$` : escapeRegex(value)
+      };
     }
-    
-    // Check to field
-    if (emailData.to && emailData.to.toLowerCase().includes(focusEmailLower)) {
-      return true;
+
+    const fields = focusItem.scope === 'sender' ? ['from'] : ['from', 'to', 'cc', 'bcc'];
+    let pattern;
+    if (mode === 'regex') {
+      pattern = value;
+    } else if (mode === 'exact') {
+      // The whole address, not part of a longer one (bob@acme.com must not match jimbob@acme.com)
+      pattern = `${ADDRESS_START}${escapeRegex(value)}${ADDRESS_END}`;
+    } else if (mode === 'domain') {
+      pattern = `${escapeRegex(value)}${ADDRESS_END}`;
+    } else {
+      pattern = escapeRegex(value);
     }
-    
-    // Check cc field
-    if (emailData.cc && emailData.cc.toLowerCase().includes(focusEmailLower)) {
-      return true;
+
+    return { fields, pattern };
+  }
+
+  // Check if an email matches a focus item
+  matchFocusItem(emailData, focusItem) {
+    const { fields, pattern } = this.getFocusPattern(focusItem);
+
+    // Items saved before patterns were checked are skipped rather than run
+    if (focusItem.matchMode === 'regex' && checkPattern(pattern)) {
+      console.error(`❌ Unsafe focus pattern for ${focusItem.folderName}, skipping it`);
+      return false;
     }
-    
-    // Check bcc field
-    if (emailData.bcc && emailData.bcc.toLowerCase().includes(focusEmailLower)) {
-      return true;
+
+    try {
+      const regex = new RegExp(pattern, 'i');
+      return fields.some(field => emailData[field] && regex.test(String(emailData[field]).slice(0, MAX_MATCH_INPUT)));
+    } catch (error) {
+      console.error(`❌ Invalid focus pattern for ${focusItem.folderName}:`, error.message);
+      return false;
     }
-    
-    return false;
+  }
+
+  // MongoDB filter for the stored emails of an account a focus item matches
+  buildFocusQuery(userId, email, focusItem) {
+    const { fields, pattern } = this.getFocusPattern(focusItem);
+    return {
+      userId,
+      email,
+      $or: fields.map(field => ({ [field]: { $regex: pattern, $options: 'i' } }))
+    };
+  }
+
+  // How many stored emails a focus item would match, used to preview it before saving
+  async countMatches(userId, email, focusItem) {
+    return Email.countDocuments(this.buildFocusQuery(userId, email, focusItem));
   }
 
   // Clear cache for a specific user/email combination
@@ -130,17 +200,17 @@ class FocusAssignmentService {
     this.focusCache.clear();
   }
 
-  // Update focus folder for an existing email
-  async updateEmailFocusFolder(emailId, userId, email, focusFolder) {
+  // Add an existing email to a focus folder, keeping the folders it is already in
+  async addEmailToFocusFolder(emailId, userId, email, focusFolder) {
     try {
       const result = await Email.findOneAndUpdate(
         { id: emailId, userId, email },
-        { focusFolder },
+        { $addToSet: { focusFolders: focusFolder } },
         { new: true }
       );
       
       if (result) {
-        console.log(`✅ Updated focus folder for email ${emailId}: ${focusFolder}`);
+        console.log(`✅ Added email ${emailId} to focus folder: ${focusFolder}`);
         return true;
       }
       return false;
@@ -158,7 +228,7 @@ class FocusAssignmentService {
       const emails = await Email.find({
         userId,
         email,
-        focusFolder
+        focusFolders: focusFolder
       })
       .sort({ timestamp: -1 })
       .skip(skip)
@@ -168,7 +238,7 @@ class FocusAssignmentService {
       const total = await Email.countDocuments({
         userId,
         email,
-        focusFolder
+        focusFolders: focusFolder
       });
 
       return {
@@ -186,34 +256,42 @@ class FocusAssignmentService {
     }
   }
 
+  // Email and unread counts per focus folder. An email in several folders counts in each of them.
+  async getFocusFolderCounts(userId, email, folderNames) {
+    if (folderNames.length === 0) {
+      return new Map();
+    }
+
+    const counts = await Email.aggregate([
+      { $match: { userId, email, focusFolders: { $in: folderNames } } },
+      { $unwind: '$focusFolders' },
+      { $match: { focusFolders: { $in: folderNames } } },
+      {
+        $group: {
+          _id: '$focusFolders',
+          emailCount: { $sum: 1 },
+          unreadCount: { $sum: { $cond: ['$read', 0, 1] } }
+        }
+      }
+    ]);
+
+    return new Map(counts.map(count => [count._id, {
+      emailCount: count.emailCount,
+      unreadCount: count.unreadCount
+    }]));
+  }
+
   // Get focus statistics for a user
   async getFocusStatistics(userId, email) {
     try {
       const focusItems = await this.getFocusItems(userId, email);
-      const stats = [];
-
-      for (const focusItem of focusItems) {
-        const emailCount = await Email.countDocuments({
-          userId,
-          email,
-          focusFolder: focusItem.folderName
-        });
-
-        const unreadCount = await Email.countDocuments({
-          userId,
-          email,
-          focusFolder: focusItem.folderName,
-          read: false
-        });
-
-        stats.push({
-          ...focusItem.toObject(),
-          emailCount,
-          unreadCount
-        });
-      }
+      const counts = await this.getFocusFolderCounts(userId, email, focusItems.map(item => item.folderName));
 
-      return stats;
+      return focusItems.map(focusItem => ({
+        ...focusItem.toObject(),
+        emailCount: counts.get(focusItem.folderName)?.emailCount || 0,
+        unreadCount: counts.get(focusItem.folderName)?.unreadCount || 0
+      }));
     } catch (error) {
       console.error('❌ Error getting focus statistics:', error);
       return [];
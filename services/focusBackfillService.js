@@ -0,0 +1,112 @@
+// services/focusBackfillService.js
+import crypto from 'crypto';
+import Email from '../models/email.js';
+import focusAssignmentService from './focusAssignmentService.js';
+import emailEnrichmentService from './emailEnrichment.js';
+import { updateFocusItemActivity } from '../controllers/focusController.js';
+
+const BATCH_SIZE = 500;
+
+// Assigns stored emails to a new focus folder, or takes them out of a removed one,
+// in batches in the background. Progress goes to the user's socket.
+class FocusBackfillService {
+  constructor() {
+    this.jobs = new Map(); // Running jobs keyed by account/folder, so a removal can stop an assign
+  }
+
+  // Start a job and return its id right away. action is 'assign' or 'clear'.
+  start(user, email, focusItem, action) {
+    const key = `${user._id}:${email}:${focusItem.folderName}`;
+    // A folder that is being removed must not keep filling up
+    const running = this.jobs.get(key);
+    if (running) {
+      running.cancelled = true;
+    }
+
+    const job = {
+      jobId: crypto.randomUUID(),
+      action,
+      cancelled: false
+    };
+    this.jobs.set(key, job);
+
+    this.run(job, user, email, focusItem)
+      .catch(error => {
+        console.error(`❌ Focus backfill ${action} failed for ${focusItem.folderName}:`, error);
+        this.emitToUser(user.worxstreamUserId, 'focus:backfillComplete', {
+          jobId: job.jobId,
+          email,
+          folderName: focusItem.folderName,
+          action,
+          success: false,
+          error: error.message
+        });
+      })
+      .finally(() => {
+        if (this.jobs.get(key) === job) {
+          this.jobs.delete(key);
+        }
+      });
+
+    return job.jobId;
+  }
+
+  async run(job, user, email, focusItem) {
+    const { folderName } = focusItem;
+    const query = job.action === 'assign'
+      ? { ...focusAssignmentService.buildFocusQuery(user._id, email, focusItem), focusFolders: { $ne: folderName } }
+      : { userId: user._id, email, focusFolders: folderName };
+    const update = job.action === 'assign'
+      ? { $addToSet: { focusFolders: folderName } }
+      : { $pull: { focusFolders: folderName } };
+
+    const progress = {
+      jobId: job.jobId,
+      email,
+      folderName,
+      action: job.action,
+      total: await Email.countDocuments(query),
+      processed: 0,
+      updated: 0
+    };
+    this.emitToUser(user.worxstreamUserId, 'focus:backfillProgress', progress);
+
+    let lastId = null;
+
+    while (!job.cancelled) {
+      const batch = await Email.find(lastId ? { ...query, _id: { $gt: lastId } } : query)
+        .sort({ _id: 1 })
+        .limit(BATCH_SIZE)
+        .select('_id');
+      if (batch.length === 0) break;
+
+      lastId = batch[batch.length - 1]._id;
+
+      const result = await Email.updateMany({ _id: { $in: batch.map(doc => doc._id) } }, update);
+      progress.updated += result.modifiedCount;
+      progress.processed += batch.length;
+      this.emitToUser(user.worxstreamUserId, 'focus:backfillProgress', progress);
+    }
+
+    if (job.action === 'assign' && !job.cancelled) {
+      await updateFocusItemActivity(user._id, email, folderName);
+    }
+
+    console.log(`🎯 Focus backfill ${job.action} for ${folderName}: ${progress.updated} of ${progress.total} emails${job.cancelled ? ' (cancelled)' : ''}`);
+    this.emitToUser(user.worxstreamUserId, 'focus:backfillComplete', {
+      ...progress,
+      success: true,
+      cancelled: job.cancelled
+    });
+  }
+
+  emitToUser(worxstreamUserId, event, payload) {
+    const userSocket = emailEnrichmentService.findUserSocket(worxstreamUserId);
+    if (userSocket) {
+      userSocket.emit(event, payload);
+    }
+  }
+}
+
+const focusBackfillService = new FocusBackfillService();
+export default focusBackfillService;
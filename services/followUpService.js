@@ -0,0 +1,110 @@
+// services/followUpService.js
+import cron from 'node-cron';
+import Email from '../models/email.js';
+import User from '../models/User.js';
+import emailEnrichmentService from './emailEnrichment.js';
+
+class FollowUpService {
+  constructor() {
+    this.task = null;
+    this.isRunning = false;
+    this.cronExpression = '* * * * *'; // Check for due follow-ups every minute
+  }
+
+  start() {
+    if (this.isRunning) {
+      console.log('🔄 Follow-up reminder service is already running');
+      return;
+    }
+
+    console.log('🚀 Starting follow-up reminder service...');
+    this.isRunning = true;
+
+    this.task = cron.schedule(this.cronExpression, () => this.notifyDue(), {
+      name: 'follow-up-reminders',
+      noOverlap: true
+    });
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      console.log('🔄 Follow-up reminder service is not running');
+      return;
+    }
+
+    console.log('🛑 Stopping follow-up reminder service...');
+    this.isRunning = false;
+
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  // One open socket per connected user, keyed by worxstreamUserId
+  getConnectedSockets() {
+    const sockets = new Map();
+    if (!emailEnrichmentService.io) return sockets;
+
+    emailEnrichmentService.io.sockets.sockets.forEach((socket) => {
+      const socketUserId = socket.worxstreamUserId ?? socket.user?.id;
+      if (socketUserId != null && !sockets.has(String(socketUserId))) {
+        sockets.set(String(socketUserId), socket);
+      }
+    });
+    return sockets;
+  }
+
+  // Emit mail:followUpDue for flagged messages whose due date has passed. Only connected
+  // users are queried, a reminder for anyone else stays pending until they connect.
+  async notifyDue() {
+    try {
+      const sockets = this.getConnectedSockets();
+      if (sockets.size === 0) return;
+
+      const users = await User.find({ worxstreamUserId: { $in: [...sockets.keys()].map(Number).filter(Number.isFinite) } })
+        .select('worxstreamUserId');
+      if (users.length === 0) return;
+      const worxstreamIds = new Map(users.map(user => [String(user._id), user.worxstreamUserId]));
+
+      const due = await Email.find({
+        userId: { $in: users.map(user => user._id) },
+        flagged: true,
+        followUpAt: { $ne: null, $lte: new Date() },
+        followUpNotifiedAt: null
+      })
+        .sort({ followUpAt: 1 })
+        .limit(500)
+        .select('id userId email subject from followUpAt folder');
+
+      const notifiedIds = [];
+      for (const msg of due) {
+        const userSocket = sockets.get(String(worxstreamIds.get(String(msg.userId))));
+        if (!userSocket) continue;
+
+        userSocket.emit('mail:followUpDue', {
+          messageId: msg.id,
+          email: msg.email,
+          folder: msg.folder,
+          subject: msg.subject,
+          from: msg.from,
+          followUpAt: msg.followUpAt
+        });
+        notifiedIds.push(msg._id);
+      }
+
+      if (notifiedIds.length > 0) {
+        await Email.updateMany(
+          { _id: { $in: notifiedIds } },
+          { $set: { followUpNotifiedAt: new Date() } }
+        );
+        console.log(`⏰ Sent ${notifiedIds.length} follow-up reminders`);
+      }
+    } catch (error) {
+      console.error('❌ Error in follow-up reminder service:', error);
+    }
+  }
+}
+
+const followUpService = new FollowUpService();
+export default followUpService;
@@ -1,6 +1,10 @@
 import axios from 'axios';
+import { Readable } from 'stream';
 import { google } from 'googleapis';
 import { simpleParser } from 'mailparser';
+import MailComposer from 'nodemailer/lib/mail-composer/index.js';
+import { sanitizeHtml } from '../utils/html.js';
+import { formatRecipients, toMailAttachments, buildReplyOptions, buildForwardOptions } from '../utils/mailMessage.js';
 
 // Initialize Gmail API client
 const getGmailClient = (accessToken) => {
@@ -32,6 +36,160 @@ async function getMailFolders(accessToken) {
   }
 }
 
+// Header lookup is case-insensitive, some clients send Message-Id or In-reply-to
+const getHeader = (headers, name) =>
+  headers?.find(h => h.name.toLowerCase() === name.toLowerCase())?.value || '';
+
+// Collect every part of a message payload, including nested multiparts
+const flattenParts = (payload) => {
+  if (!payload) return [];
+  const parts = [payload];
+  for (const part of payload.parts || []) {
+    parts.push(...flattenParts(part));
+  }
+  return parts;
+};
+
+const getPartHeader = (part, name) => getHeader(part.headers, name);
+
+// Thread ID and RFC 5322 threading headers of a Gmail message resource
+const getThreadingHeaders = (data) => {
+  const headers = data.payload?.headers;
+  return {
+    threadId: data.threadId || null,
+    messageId: getHeader(headers, 'Message-ID') || null,
+    inReplyTo: getHeader(headers, 'In-Reply-To') || null,
+    references: getHeader(headers, 'References').split(/\s+/).filter(Boolean)
+  };
+};
+
+// Named files and parts marked as attachments. Inline images count too, the HTML
+// references them by Content-ID.
+const isAttachmentPart = (part) =>
+  !!part.filename || getPartHeader(part, 'Content-Disposition').trim().toLowerCase().startsWith('attachment');
+
+const getContentId = (part) => getPartHeader(part, 'Content-ID').trim().replace(/^<|>$/g, '');
+
+// Recursive MIME walker: collects the body parts of a payload the way a mail client shows
+// them. multipart/alternative contributes its richest HTML and its first text version,
+// other multiparts every body part in order. Attachments and attached messages are skipped.
+const collectBodyParts = (part, body = { html: [], text: [] }) => {
+  const mimeType = (part.mimeType || '').toLowerCase();
+  if (isAttachmentPart(part) || mimeType === 'message/rfc822') {
+    return body;
+  }
+
+  if (mimeType === 'multipart/alternative') {
+    const alternatives = (part.parts || []).map(child => collectBodyParts(child));
+    body.html.push(...(alternatives.findLast(alt => alt.html.length > 0)?.html || []));
+    body.text.push(...(alternatives.find(alt => alt.text.length > 0)?.text || []));
+  } else if (mimeType.startsWith('multipart/')) {
+    (part.parts || []).forEach(child => collectBodyParts(child, body));
+  } else if (mimeType === 'text/html') {
+    body.html.push(part);
+  } else if (mimeType === 'text/plain') {
+    body.text.push(part);
+  }
+  return body;
+};
+
+// Decode one body part with mailparser, which applies the charset of its Content-Type
+// and renders plain text for an HTML part. Gmail has already undone the transfer encoding.
+const parseBodyPart = async (gmail, messageId, part) => {
+  let data = part.body?.data;
+  if (!data && part.body?.attachmentId) {
+    // Large body parts are handed out like attachments
+    const attachment = await gmail.users.messages.attachments.get({
+      userId: 'me',
+      messageId,
+      id: part.body.attachmentId
+    });
+    data = attachment.data.data;
+  }
+
+  const contentType = getPartHeader(part, 'Content-Type') || part.mimeType;
+  return simpleParser(Buffer.concat([
+    Buffer.from(`Content-Type: ${contentType}\r\nContent-Transfer-Encoding: 8bit\r\n\r\n`),
+    Buffer.from(data || '', 'base64url')
+  ]));
+};
+
+// Body of a Gmail payload: sanitized HTML for the reader, a plain-text rendering for
+// previews, reply quotes and AI prompts, and the part ID of every Content-ID
+const parseMessageBody = async (gmail, messageId, payload) => {
+  const { html, text } = collectBodyParts(payload);
+  const [htmlParts, textParts] = await Promise.all([
+    Promise.all(html.map(part => parseBodyPart(gmail, messageId, part))),
+    Promise.all(text.map(part => parseBodyPart(gmail, messageId, part)))
+  ]);
+
+  // Text-only mail gets mailparser's HTML rendering, HTML-only mail its text rendering
+  const bodyHtml = htmlParts.map(parsed => parsed.html || '').join('\n') ||
+    textParts.map(parsed => parsed.textAsHtml || '').join('\n');
+  const bodyText = textParts.map(parsed => parsed.text || '').join('\n\n') ||
+    htmlParts.map(parsed => parsed.text || '').join('\n\n');
+
+  const cids = {};
+  for (const part of flattenParts(payload)) {
+    const contentId = getContentId(part);
+    if (contentId && part.partId) {
+      cids[contentId] = part.partId;
+    }
+  }
+
+  return { html: sanitizeHtml(bodyHtml), text: bodyText.trim(), cids };
+};
+
+// Map a full Gmail message resource to our message shape. content is the sanitized HTML
+// body like Outlook's, text its plain-text rendering.
+const mapGmailMessage = async (gmail, data, folderId) => {
+  const headers = data.payload.headers;
+  const subject = headers.find(h => h.name === 'Subject')?.value || '(No Subject)';
+  const from = headers.find(h => h.name === 'From')?.value || '';
+  const to = headers.find(h => h.name === 'To')?.value || '';
+  const cc = headers.find(h => h.name === 'Cc')?.value || '';
+  const bcc = headers.find(h => h.name === 'Bcc')?.value || '';
+  const labelIds = data.labelIds || [];
+
+  const { html, text } = await parseMessageBody(gmail, data.id, data.payload);
+
+  return {
+    id: data.id,
+    from,
+    to,
+    cc,
+    bcc,
+    subject,
+    content: html,
+    text,
+    preview: text.replace(/\s+/g, ' ').substring(0, 100),
+    timestamp: new Date(parseInt(data.internalDate)),
+    read: !labelIds.includes('UNREAD'),
+    folder: folderId,
+    important: labelIds.includes('IMPORTANT'),
+    flagged: labelIds.includes('STARRED'),
+    hasAttachments: flattenParts(data.payload).some(part => part.filename && part.body?.attachmentId),
+    ...getThreadingHeaders(data)
+  };
+};
+
+// Labels a message is filed under when it leaves a folder, in order of preference
+const PRIMARY_LABELS = ['INBOX', 'SENT', 'DRAFT', 'SPAM', 'TRASH'];
+
+// Gmail has no archive label, archived means none of the system folders above.
+// Messages are stored locally under this id; it is never sent to Gmail as a label.
+const ARCHIVE_FOLDER = 'ARCHIVE';
+const ARCHIVE_QUERY = '-in:inbox -in:spam -in:trash -in:sent -in:drafts';
+
+const getPrimaryLabel = (labelIds = []) =>
+  PRIMARY_LABELS.find(label => labelIds.includes(label)) ||
+  labelIds.find(label => label.startsWith('Label_')) ||
+  ARCHIVE_FOLDER;
+
+const isInFolder = (labelIds, folderId) => folderId === ARCHIVE_FOLDER
+  ? !labelIds.some(label => PRIMARY_LABELS.includes(label))
+  : labelIds.includes(folderId);
+
 // Get messages by folder (label)
 async function getMessagesByFolder(accessToken, folderId, nextPageToken = null, maxResults = 20) {
   try {
@@ -39,54 +197,20 @@ async function getMessagesByFolder(accessToken, folderId, nextPageToken = null,
     
     const response = await gmail.users.messages.list({
       userId: 'me',
-      labelIds: [folderId],
+      ...(folderId === ARCHIVE_FOLDER ? { q: ARCHIVE_QUERY } : { labelIds: [folderId] }),
       maxResults,
       pageToken: nextPageToken
     });
 
     const messages = await Promise.all(
-      response.data.messages.map(async (message) => {
+      (response.data.messages || []).map(async (message) => {
         const fullMessage = await gmail.users.messages.get({
           userId: 'me',
           id: message.id,
           format: 'full'
         });
 
-        const headers = fullMessage.data.payload.headers;
-        const subject = headers.find(h => h.name === 'Subject')?.value || '(No Subject)';
-        const from = headers.find(h => h.name === 'From')?.value || '';
-        const to = headers.find(h => h.name === 'To')?.value || '';
-        const cc = headers.find(h => h.name === 'Cc')?.value || '';
-        const bcc = headers.find(h => h.name === 'Bcc')?.value || '';
-        
-        // Get message body
-        let content = '';
-        if (fullMessage.data.payload.parts) {
-          const textPart = fullMessage.data.payload.parts.find(
-            part => part.mimeType === 'text/plain'
-          );
-          if (textPart) {
-            content = Buffer.from(textPart.body.data, 'base64').toString();
-          }
-        } else if (fullMessage.data.payload.body.data) {
-          content = Buffer.from(fullMessage.data.payload.body.data, 'base64').toString();
-        }
-
-        return {
-          id: message.id,
-          from,
-          to,
-          cc,
-          bcc,
-          subject,
-          content,
-          preview: content.substring(0, 100),
-          timestamp: new Date(parseInt(fullMessage.data.internalDate)),
-          read: !fullMessage.data.labelIds.includes('UNREAD'),
-          folder: folderId,
-          important: fullMessage.data.labelIds.includes('IMPORTANT'),
-          flagged: fullMessage.data.labelIds.includes('STARRED')
-        };
+        return mapGmailMessage(gmail, fullMessage.data, folderId);
       })
     );
 
@@ -100,6 +224,83 @@ async function getMessagesByFolder(accessToken, folderId, nextPageToken = null,
   }
 }
 
+// Get changes in a folder (label) since the stored history ID.
+// Without a cursor this only records the current history ID as the starting point.
+async function getFolderChanges(accessToken, folderId, cursor = null) {
+  const gmail = getGmailClient(accessToken);
+
+  if (!cursor) {
+    const profile = await gmail.users.getProfile({ userId: 'me' });
+    return { changes: [], cursor: profile.data.historyId, hasMore: false };
+  }
+
+  const touchedIds = new Set();
+  const deletedIds = new Set();
+  let latestHistoryId = cursor;
+  let pageToken = null;
+
+  try {
+    do {
+      const response = await gmail.users.history.list({
+        userId: 'me',
+        startHistoryId: cursor,
+        // Only history of this folder's label, not every change in the mailbox
+        ...(folderId === ARCHIVE_FOLDER ? {} : { labelId: folderId }),
+        historyTypes: ['messageAdded', 'messageDeleted', 'labelAdded', 'labelRemoved'],
+        pageToken
+      });
+
+      for (const record of response.data.history || []) {
+        (record.messagesDeleted || []).forEach(({ message }) => deletedIds.add(message.id));
+        [...(record.messagesAdded || []), ...(record.labelsAdded || []), ...(record.labelsRemoved || [])]
+          .forEach(({ message }) => touchedIds.add(message.id));
+      }
+
+      latestHistoryId = response.data.historyId || latestHistoryId;
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+  } catch (err) {
+    // Gmail only keeps history for a limited time
+    if (err.code === 404 || err.response?.status === 404) {
+      const expiredError = new Error('Gmail history ID expired');
+      expiredError.code = 'SYNC_CURSOR_EXPIRED';
+      throw expiredError;
+    }
+    console.error('❌ Failed to fetch Gmail history:', err?.response?.data || err.message);
+    throw err;
+  }
+
+  const changes = [...deletedIds].map(id => ({ type: 'delete', id }));
+
+  for (const id of touchedIds) {
+    if (deletedIds.has(id)) continue;
+
+    try {
+      const fullMessage = await gmail.users.messages.get({
+        userId: 'me',
+        id,
+        format: 'full'
+      });
+      const labelIds = fullMessage.data.labelIds || [];
+
+      if (isInFolder(labelIds, folderId)) {
+        changes.push({ type: 'upsert', message: await mapGmailMessage(gmail, fullMessage.data, folderId) });
+      } else {
+        // The label was removed, so the message now lives somewhere else
+        changes.push({ type: 'move', id, folder: getPrimaryLabel(labelIds) });
+      }
+    } catch (err) {
+      if (err.code === 404 || err.response?.status === 404) {
+        changes.push({ type: 'delete', id });
+      } else {
+        console.error(`❌ Failed to fetch changed Gmail message ${id}:`, err?.response?.data || err.message);
+      }
+    }
+  }
+
+  return { changes, cursor: latestHistoryId, hasMore: false };
+}
+
 // Get message by ID
 async function getMessageById(accessToken, messageId) {
   try {
@@ -118,27 +319,42 @@ async function getMessageById(accessToken, messageId) {
     const cc = headers.find(h => h.name === 'Cc')?.value || '';
     const bcc = headers.find(h => h.name === 'Bcc')?.value || '';
 
-    // Get message body and attachments
-    let content = '';
-    const attachments = [];
-
-    if (message.payload.parts) {
-      for (const part of message.payload.parts) {
-        if (part.mimeType === 'text/plain') {
-          content = Buffer.from(part.body.data, 'base64').toString();
-        } else if (part.filename) {
-          attachments.push({
-            id: part.body.attachmentId,
-            name: part.filename,
-            contentType: part.mimeType,
-            size: part.body.size,
-            isInline: part.headers.some(h => h.name === 'Content-Disposition' && h.value.includes('inline'))
-          });
+    const { html, text, cids } = await parseMessageBody(gmail, messageId, message.payload);
+    const inlineIds = new Set(Object.entries(cids)
+      .filter(([contentId]) => html.includes(`cid:${contentId}`))
+      .map(([, partId]) => partId));
+
+    // Attachments anywhere in the tree. Images the HTML shows come with their content,
+    // so the reader can swap the cid: URLs for data URLs.
+    const attachments = await Promise.all(flattenParts(message.payload)
+      .filter(part => isAttachmentPart(part) && (part.body?.attachmentId || part.body?.data))
+      .map(async (part) => {
+        const isInline = inlineIds.has(part.partId) ||
+          getPartHeader(part, 'Content-Disposition').trim().toLowerCase().startsWith('inline');
+
+        let contentBytes;
+        if (inlineIds.has(part.partId)) {
+          const data = part.body.data || (await gmail.users.messages.attachments.get({
+            userId: 'me',
+            messageId,
+            id: part.body.attachmentId
+          })).data.data;
+          // Gmail returns base64url, the frontend expects standard base64
+          contentBytes = Buffer.from(data, 'base64url').toString('base64');
         }
-      }
-    } else if (message.payload.body.data) {
-      content = Buffer.from(message.payload.body.data, 'base64').toString();
-    }
+
+        return {
+          // Gmail attachment IDs change on every fetch, the part ID is stable
+          id: part.partId,
+          attachmentId: part.body.attachmentId,
+          name: part.filename,
+          contentId: getContentId(part) || undefined,
+          contentType: part.mimeType,
+          size: part.body.size,
+          isInline,
+          contentBytes
+        };
+      }));
 
     return {
       id: messageId,
@@ -147,12 +363,14 @@ async function getMessageById(accessToken, messageId) {
       cc,
       bcc,
       subject,
-      content,
+      content: html,
+      text,
       timestamp: new Date(parseInt(message.internalDate)),
       read: !message.labelIds.includes('UNREAD'),
       folder: message.labelIds[0], // Primary label
       important: message.labelIds.includes('IMPORTANT'),
       flagged: message.labelIds.includes('STARRED'),
+      ...getThreadingHeaders(message),
       attachments
     };
   } catch (err) {
@@ -161,20 +379,57 @@ async function getMessageById(accessToken, messageId) {
   }
 }
 
-// Mark message as read
-async function markMessageRead(accessToken, messageId) {
+// Get the RFC 822 source of a message, null when it does not exist
+async function getRawMessage(accessToken, messageId) {
+  try {
+    const gmail = getGmailClient(accessToken);
+    const response = await gmail.users.messages.get({
+      userId: 'me',
+      id: messageId,
+      format: 'raw'
+    });
+    return Buffer.from(response.data.raw, 'base64url');
+  } catch (err) {
+    if (err.code === 404 || err.response?.status === 404 || err.code === 400 || err.response?.status === 400) {
+      return null;
+    }
+    console.error('❌ Failed to fetch raw Gmail message:', err?.response?.data || err.message);
+    throw err;
+  }
+}
+
+// Mark message as read (or unread with read = false)
+async function markMessageRead(accessToken, messageId, read = true) {
+  try {
+    const gmail = getGmailClient(accessToken);
+    await gmail.users.messages.modify({
+      userId: 'me',
+      id: messageId,
+      requestBody: {
+        [read ? 'removeLabelIds' : 'addLabelIds']: ['UNREAD']
+      }
+    });
+    return true;
+  } catch (err) {
+    console.error('❌ Failed to update Gmail read state:', err?.response?.data || err.message);
+    throw err;
+  }
+}
+
+// Flag = star. Gmail has no due dates, the follow-up date is only kept locally.
+async function flagMessage(accessToken, messageId, { flagged = true } = {}) {
   try {
     const gmail = getGmailClient(accessToken);
     await gmail.users.messages.modify({
       userId: 'me',
       id: messageId,
       requestBody: {
-        removeLabelIds: ['UNREAD']
+        [flagged ? 'addLabelIds' : 'removeLabelIds']: ['STARRED']
       }
     });
     return true;
   } catch (err) {
-    console.error('❌ Failed to mark Gmail message as read:', err?.response?.data || err.message);
+    console.error('❌ Failed to star Gmail message:', err?.response?.data || err.message);
     throw err;
   }
 }
@@ -197,34 +452,233 @@ async function markMessageImportant(accessToken, messageId, important = true) {
   }
 }
 
-// Send email
-async function sendEmail(accessToken, { to, subject = '', body, cc, bcc }) {
+// Folder labels a move may take away; Gmail rejects changes to SENT and DRAFT
+const MOVABLE_LABELS = ['INBOX', 'SPAM', 'TRASH'];
+const isMovableLabel = (label) => MOVABLE_LABELS.includes(label) || label.startsWith('Label_');
+
+// Label changes that file a message under destinationFolderId, archive only takes labels away
+const getMoveLabelChanges = (currentLabels, destinationFolderId) => {
+  if (destinationFolderId === 'SENT' || destinationFolderId === 'DRAFT') {
+    throw new Error(`Messages cannot be moved to ${destinationFolderId}`);
+  }
+  return {
+    addLabelIds: destinationFolderId === ARCHIVE_FOLDER ? [] : [destinationFolderId],
+    removeLabelIds: currentLabels.filter(label => isMovableLabel(label) && label !== destinationFolderId)
+  };
+};
+
+// System labels of the folders the unified views cover
+const WELL_KNOWN_FOLDERS = {
+  inbox: 'INBOX',
+  sent: 'SENT',
+  drafts: 'DRAFT',
+  trash: 'TRASH',
+  spam: 'SPAM',
+  archive: ARCHIVE_FOLDER
+};
+
+// Ids a well-known folder (inbox, sent, drafts, trash, spam, archive) is stored under
+async function getWellKnownFolderIds(accessToken, name) {
+  if (!WELL_KNOWN_FOLDERS[name]) {
+    throw new Error(`Unknown folder: ${name}`);
+  }
+  return [WELL_KNOWN_FOLDERS[name]];
+}
+
+// Move = add the destination label and drop the other inbox, spam, trash and user labels.
+// The message keeps its id, Gmail ids do not change with labels.
+async function moveMessage(accessToken, messageId, destinationFolderId) {
+  try {
+    const gmail = getGmailClient(accessToken);
+    const response = await gmail.users.messages.get({
+      userId: 'me',
+      id: messageId,
+      format: 'minimal'
+    });
+    await gmail.users.messages.modify({
+      userId: 'me',
+      id: messageId,
+      requestBody: getMoveLabelChanges(response.data.labelIds || [], destinationFolderId)
+    });
+    return { id: messageId, folder: destinationFolderId };
+  } catch (err) {
+    console.error('❌ Failed to move Gmail message:', err?.response?.data || err.message);
+    throw err;
+  }
+}
+
+// Copy = add the destination label, the message shows up in both places
+async function copyMessage(accessToken, messageId, destinationFolderId) {
+  try {
+    const gmail = getGmailClient(accessToken);
+    await gmail.users.messages.modify({
+      userId: 'me',
+      id: messageId,
+      requestBody: { addLabelIds: [destinationFolderId] }
+    });
+    return { id: messageId, folder: destinationFolderId };
+  } catch (err) {
+    console.error('❌ Failed to copy Gmail message:', err?.response?.data || err.message);
+    throw err;
+  }
+}
+
+// Archive = take the message out of the inbox
+async function archiveMessage(accessToken, messageId) {
+  try {
+    const gmail = getGmailClient(accessToken);
+    await gmail.users.messages.modify({
+      userId: 'me',
+      id: messageId,
+      requestBody: { removeLabelIds: ['INBOX'] }
+    });
+    return { id: messageId, folder: ARCHIVE_FOLDER };
+  } catch (err) {
+    console.error('❌ Failed to archive Gmail message:', err?.response?.data || err.message);
+    throw err;
+  }
+}
+
+// Id of a user label by name, created when it does not exist yet
+const findOrCreateLabel = async (gmail, name) => {
+  const response = await gmail.users.labels.list({ userId: 'me' });
+  const existing = (response.data.labels || []).find(label => label.name === name);
+  if (existing) {
+    return existing.id;
+  }
+
+  const created = await gmail.users.labels.create({
+    userId: 'me',
+    requestBody: {
+      name,
+      labelListVisibility: 'labelShow',
+      messageListVisibility: 'show'
+    }
+  });
+  return created.data.id;
+};
+
+// Snoozed messages wait under this user label, the Gmail API has no native snooze
+const SNOOZE_LABEL_NAME = 'Snoozed';
+
+// Id of the snooze label, created on first use
+async function getSnoozeFolder(accessToken) {
+  try {
+    const gmail = getGmailClient(accessToken);
+    return await findOrCreateLabel(gmail, SNOOZE_LABEL_NAME);
+  } catch (err) {
+    console.error('❌ Failed to get Gmail snooze label:', err?.response?.data || err.message);
+    throw err;
+  }
+}
+
+// Add a label by name to a message, creating the label on first use
+async function labelMessage(accessToken, messageId, label) {
+  try {
+    const gmail = getGmailClient(accessToken);
+    const labelId = await findOrCreateLabel(gmail, label);
+    await gmail.users.messages.modify({
+      userId: 'me',
+      id: messageId,
+      requestBody: { addLabelIds: [labelId] }
+    });
+    return true;
+  } catch (err) {
+    console.error('❌ Failed to label Gmail message:', err?.response?.data || err.message);
+    throw err;
+  }
+}
+
+// batchModify takes up to 1000 ids, smaller chunks give the client progress updates
+const BULK_CHUNK_SIZE = 100;
+
+// Label changes behind each bulk action
+const BULK_LABEL_CHANGES = {
+  markRead: { removeLabelIds: ['UNREAD'] },
+  markUnread: { addLabelIds: ['UNREAD'] },
+  flag: { addLabelIds: ['STARRED'] },
+  unflag: { removeLabelIds: ['STARRED'] },
+  delete: { addLabelIds: ['TRASH'] }
+};
+
+// Apply one action to many messages with batchModify. Returns a result per message;
+// onProgress is called with the results of every chunk.
+async function bulkUpdateMessages(accessToken, messageIds, action, { folderId = null, sourceFolders = [], onProgress } = {}) {
+  const gmail = getGmailClient(accessToken);
+
+  const labelChanges = action === 'move'
+    ? getMoveLabelChanges(sourceFolders, folderId)
+    : BULK_LABEL_CHANGES[action];
+  if (!labelChanges) {
+    throw new Error(`Unsupported bulk action: ${action}`);
+  }
+
+  const toResult = (id) => ({ id, success: true, ...(action === 'move' ? { folder: folderId } : {}) });
+  const results = [];
+
+  for (let start = 0; start < messageIds.length; start += BULK_CHUNK_SIZE) {
+    const ids = messageIds.slice(start, start + BULK_CHUNK_SIZE);
+    let chunkResults;
+
+    try {
+      await gmail.users.messages.batchModify({
+        userId: 'me',
+        requestBody: { ids, ...labelChanges }
+      });
+      chunkResults = ids.map(toResult);
+    } catch (err) {
+      // batchModify is all or nothing, go one by one to find the messages that fail
+      console.error('⚠️ Gmail batchModify failed, retrying per message:', err?.response?.data || err.message);
+      chunkResults = [];
+      for (const id of ids) {
+        try {
+          await gmail.users.messages.modify({ userId: 'me', id, requestBody: labelChanges });
+          chunkResults.push(toResult(id));
+        } catch (itemErr) {
+          chunkResults.push({ id, success: false, error: itemErr.message });
+        }
+      }
+    }
+
+    results.push(...chunkResults);
+    if (onProgress) {
+      await onProgress(chunkResults);
+    }
+  }
+
+  return results;
+}
+
+// Build an RFC 822 message and encode it as base64url, the way the Gmail API expects it
+const buildRawMessage = async (mailOptions) => {
+  const mail = new MailComposer(mailOptions).compile();
+  // Gmail reads the Bcc header to deliver blind copies
+  mail.keepBcc = true;
+  const message = await mail.build();
+  return message.toString('base64url');
+};
+
+// Send email with optional HTML alternative, attachments and inline (cid:) images
+async function sendEmail(accessToken, { to, subject = '', body, text, html, cc, bcc, attachments = [] }) {
   try {
     const gmail = getGmailClient(accessToken);
     
-    // Create email message
-    const message = [
-      'Content-Type: text/plain; charset="UTF-8"\n',
-      'MIME-Version: 1.0\n',
-      `To: ${to}\n`,
-      cc ? `Cc: ${cc}\n` : '',
-      bcc ? `Bcc: ${bcc}\n` : '',
-      `Subject: ${subject}\n\n`,
-      body
-    ].join('');
-
-    // Encode message
-    const encodedMessage = Buffer.from(message)
-      .toString('base64')
-      .replace(/\+/g, '-')
-      .replace(/\//g, '_')
-      .replace(/=+$/, '');
+    // Create and encode email message
+    const raw = await buildRawMessage({
+      to,
+      cc: cc || undefined,
+      bcc: bcc || undefined,
+      subject,
+      text: text ?? body ?? '',
+      html: html || undefined,
+      attachments: toMailAttachments(attachments)
+    });
 
     // Send message
     await gmail.users.messages.send({
       userId: 'me',
       requestBody: {
-        raw: encodedMessage
+        raw
       }
     });
 
@@ -235,6 +689,261 @@ async function sendEmail(accessToken, { to, subject = '', body, cc, bcc }) {
   }
 }
 
+// Build the MailComposer options and thread of a reply to messageId, with
+// In-Reply-To/References headers and the original body quoted below the comment
+async function buildReplyMessage(gmail, replyOptions, replyAll) {
+  const originalResponse = await gmail.users.messages.get({
+    userId: 'me',
+    id: replyOptions.messageId,
+    format: 'full'
+  });
+  const original = await mapGmailMessage(gmail, originalResponse.data, null);
+  const profile = await gmail.users.getProfile({ userId: 'me' });
+
+  return {
+    threadId: originalResponse.data.threadId,
+    mailOptions: buildReplyOptions(
+      { ...original, replyTo: getHeader(originalResponse.data.payload.headers, 'Reply-To') },
+      replyOptions,
+      replyAll,
+      profile.data.emailAddress
+    )
+  };
+}
+
+// Send a reply in the thread of the original message
+async function sendReply(accessToken, replyOptions, replyAll) {
+  const gmail = getGmailClient(accessToken);
+  const { threadId, mailOptions } = await buildReplyMessage(gmail, replyOptions, replyAll);
+
+  await gmail.users.messages.send({
+    userId: 'me',
+    requestBody: {
+      raw: await buildRawMessage(mailOptions),
+      threadId
+    }
+  });
+}
+
+// Reply to email
+async function replyToEmail(accessToken, replyOptions) {
+  try {
+    console.log(`📧 Replying to Gmail message ${replyOptions.messageId}`);
+    await sendReply(accessToken, replyOptions, false);
+    console.log(`✅ Reply sent successfully for message ${replyOptions.messageId}`);
+    return { success: true };
+  } catch (err) {
+    console.error('❌ Failed to reply to Gmail message:', err?.response?.data || err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+// Reply all to email
+async function replyAllToEmail(accessToken, replyOptions) {
+  try {
+    console.log(`📧 Reply all to Gmail message ${replyOptions.messageId}`);
+    await sendReply(accessToken, replyOptions, true);
+    console.log(`✅ Reply all sent successfully for message ${replyOptions.messageId}`);
+    return { success: true };
+  } catch (err) {
+    console.error('❌ Failed to reply all to Gmail message:', err?.response?.data || err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+// Forward a message. Gmail has no forward endpoint, so the original is parsed from
+// its raw MIME and rebuilt with the comment, a forwarded header block and its attachments.
+async function forwardMessage(accessToken, { messageId, comment = '', toRecipients }) {
+  try {
+    console.log(`📧 Forwarding Gmail message ${messageId}`);
+    const gmail = getGmailClient(accessToken);
+
+    const to = formatRecipients(toRecipients);
+    if (to.length === 0) {
+      throw new Error('At least one recipient is required');
+    }
+
+    const rawResponse = await gmail.users.messages.get({
+      userId: 'me',
+      id: messageId,
+      format: 'raw'
+    });
+    const original = await simpleParser(Buffer.from(rawResponse.data.raw, 'base64url'));
+
+    await gmail.users.messages.send({
+      userId: 'me',
+      requestBody: {
+        raw: await buildRawMessage(buildForwardOptions(original, { comment, to }))
+      }
+    });
+
+    console.log(`✅ Gmail message ${messageId} forwarded`);
+    return { success: true };
+  } catch (err) {
+    console.error('❌ Failed to forward Gmail message:', err?.response?.data || err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+// 📝 Create or update a native Gmail draft. Reply drafts are built like sendReply
+// so they stay in the original thread. Errors are thrown so the caller can
+// recreate a draft that was removed in Gmail.
+async function saveDraft(accessToken, { draftId = null, to, cc, bcc, subject = '', text = '', html, attachments = [], replyTo = null }) {
+  const gmail = getGmailClient(accessToken);
+
+  let mailOptions;
+  let threadId;
+
+  if (replyTo?.messageId) {
+    ({ mailOptions, threadId } = await buildReplyMessage(gmail, {
+      messageId: replyTo.messageId,
+      comment: html || text || '',
+      toRecipients: to || undefined,
+      ccRecipients: cc || undefined,
+      bccRecipients: bcc || undefined
+    }, replyTo.replyAll));
+    if (subject) mailOptions.subject = subject;
+  } else {
+    mailOptions = {
+      to: to || undefined,
+      cc: cc || undefined,
+      bcc: bcc || undefined,
+      subject,
+      text: text || '',
+      html: html || undefined
+    };
+  }
+
+  const raw = await buildRawMessage({
+    ...mailOptions,
+    attachments: toMailAttachments(attachments)
+  });
+  const requestBody = { message: { raw, threadId } };
+
+  const response = draftId
+    ? await gmail.users.drafts.update({ userId: 'me', id: draftId, requestBody })
+    : await gmail.users.drafts.create({ userId: 'me', requestBody });
+
+  return {
+    draftId: response.data.id,
+    messageId: response.data.message?.id || null
+  };
+}
+
+// 📤 Send a draft as it is stored in Gmail
+async function sendDraft(accessToken, draftId) {
+  try {
+    const gmail = getGmailClient(accessToken);
+    await gmail.users.drafts.send({
+      userId: 'me',
+      requestBody: { id: draftId }
+    });
+    return { success: true };
+  } catch (err) {
+    console.error('❌ Failed to send Gmail draft:', err?.response?.data || err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+// 🗑️ Delete a draft, a draft that is already gone counts as deleted
+async function deleteDraft(accessToken, draftId) {
+  try {
+    const gmail = getGmailClient(accessToken);
+    await gmail.users.drafts.delete({ userId: 'me', id: draftId });
+    return true;
+  } catch (err) {
+    if (err.code === 404 || err.response?.status === 404) {
+      return true;
+    }
+    console.error('❌ Failed to delete Gmail draft:', err?.response?.data || err.message);
+    throw err;
+  }
+}
+
+// Get inline attachments (with content) by message id
+async function getAttachmentsByMessageId(accessToken, messageId) {
+  try {
+    const gmail = getGmailClient(accessToken);
+    const response = await gmail.users.messages.get({
+      userId: 'me',
+      id: messageId,
+      format: 'full'
+    });
+
+    const inlineParts = flattenParts(response.data.payload).filter(part =>
+      part.body?.attachmentId &&
+      (getPartHeader(part, 'Content-ID') || getPartHeader(part, 'Content-Disposition').includes('inline'))
+    );
+
+    const attachments = await Promise.all(inlineParts.map(async (part) => {
+      const attachment = await gmail.users.messages.attachments.get({
+        userId: 'me',
+        messageId,
+        id: part.body.attachmentId
+      });
+
+      return {
+        id: part.body.attachmentId,
+        name: part.filename,
+        contentId: getPartHeader(part, 'Content-ID').replace(/^<|>$/g, ''),
+        contentType: part.mimeType,
+        size: part.body.size,
+        isInline: true,
+        // Gmail returns base64url, the frontend expects standard base64
+        contentBytes: Buffer.from(attachment.data.data, 'base64url').toString('base64')
+      };
+    }));
+
+    return attachments;
+  } catch (err) {
+    console.error('❌ Failed to fetch Gmail attachments:', err?.response?.data || err.message);
+    return [];
+  }
+}
+
+// Get the content of one attachment. attachmentId is a part ID from getMessageById,
+// a raw Gmail attachment ID is accepted as well. Gmail has no ranged download,
+// so the requested range is cut from the decoded content.
+async function getAttachmentContent(accessToken, messageId, attachmentId, range = null) {
+  try {
+    const gmail = getGmailClient(accessToken);
+    const response = await gmail.users.messages.get({
+      userId: 'me',
+      id: messageId,
+      format: 'full'
+    });
+
+    const parts = flattenParts(response.data.payload);
+    const part = parts.find(p => p.partId === attachmentId && p.body?.attachmentId) ||
+      parts.find(p => p.body?.attachmentId === attachmentId);
+
+    const attachment = await gmail.users.messages.attachments.get({
+      userId: 'me',
+      messageId,
+      id: part ? part.body.attachmentId : attachmentId
+    });
+
+    const content = Buffer.from(attachment.data.data, 'base64url');
+    const body = range
+      ? content.subarray(range.start, range.end === null || range.end === undefined ? content.length : range.end + 1)
+      : content;
+
+    return {
+      filename: part?.filename || 'attachment',
+      contentType: part?.mimeType || 'application/octet-stream',
+      size: content.length,
+      stream: Readable.from([body]),
+      rangeApplied: !!range
+    };
+  } catch (err) {
+    if (err.code === 404 || err.response?.status === 404 || err.code === 400 || err.response?.status === 400) {
+      return null;
+    }
+    console.error('❌ Failed to fetch Gmail attachment:', err?.response?.data || err.message);
+    throw err;
+  }
+}
+
 // Delete message
 async function deleteMessage(accessToken, messageId) {
   try {
@@ -252,10 +961,28 @@ async function deleteMessage(accessToken, messageId) {
 
 export {
   getMailFolders,
+  getWellKnownFolderIds,
   getMessagesByFolder,
+  getFolderChanges,
   getMessageById,
+  getRawMessage,
   markMessageRead,
   markMessageImportant,
+  flagMessage,
+  labelMessage,
+  moveMessage,
+  copyMessage,
+  archiveMessage,
+  getSnoozeFolder,
+  bulkUpdateMessages,
   sendEmail,
+  replyToEmail,
+  replyAllToEmail,
+  forwardMessage,
+  getAttachmentsByMessageId,
+  getAttachmentContent,
+  saveDraft,
+  sendDraft,
+  deleteDraft,
   deleteMessage
 }; 
\ No newline at end of file
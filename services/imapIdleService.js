@@ -0,0 +1,185 @@
+// services/imapIdleService.js
+import Token from '../models/Token.js';
+import mailSyncService from './mailSyncService.js';
+import { createImapClient } from './imapService.js';
+import { getToken } from '../utils/tokenManager.js';
+
+const WATCHED_FOLDER = 'INBOX';
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+const MAX_AUTH_FAILURES = 3; // Rejected logins in a row before an account is no longer watched
+
+// Push for IMAP accounts: while a user has a socket open, each of their IMAP accounts keeps
+// a connection idling on the inbox. Whatever the server announces there triggers a sync,
+// which sends the changes as mail:delta like the periodic sync does for other providers.
+class ImapIdleService {
+  constructor() {
+    this.io = null;
+    this.interval = null;
+    this.isRunning = false;
+    this.checkInterval = 60 * 1000; // Match watchers to connected users every minute
+    this.debounceDelay = 2000; // Servers announce a change in several untagged responses
+    this.watchers = new Map(); // Idling connections keyed by user/account
+    this.failures = new Map(); // Failed watch attempts keyed by user/account, for the backoff
+  }
+
+  setIO(io) {
+    this.io = io;
+  }
+
+  start() {
+    if (this.isRunning) {
+      console.log('📡 IMAP idle service is already running');
+      return;
+    }
+
+    console.log('🚀 Starting IMAP idle service...');
+    this.isRunning = true;
+
+    this.interval = setInterval(() => {
+      this.updateWatchers();
+    }, this.checkInterval);
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      console.log('📡 IMAP idle service is not running');
+      return;
+    }
+
+    console.log('🛑 Stopping IMAP idle service...');
+    this.isRunning = false;
+
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+
+    for (const key of [...this.watchers.keys()]) {
+      this.unwatch(key);
+    }
+    this.failures.clear();
+  }
+
+  // Watch the IMAP accounts of connected users and close the watchers of users that left
+  async updateWatchers() {
+    if (!this.io) return;
+
+    try {
+      const connectedUserIds = new Set();
+      this.io.sockets.sockets.forEach((socket) => {
+        const socketUserId = socket.worxstreamUserId ?? socket.user?.id;
+        if (socketUserId) {
+          connectedUserIds.add(Number(socketUserId));
+        }
+      });
+
+      const tokens = connectedUserIds.size > 0
+        ? await Token.find({ worxstreamUserId: { $in: [...connectedUserIds] }, provider: 'imap' }).select('worxstreamUserId email updatedAt')
+        : [];
+
+      const wanted = new Set();
+      for (const { worxstreamUserId, email, updatedAt } of tokens) {
+        const key = `${worxstreamUserId}:${email}`;
+        wanted.add(key);
+        if (!this.watchers.has(key) && this.shouldRetry(key, updatedAt)) {
+          await this.watch(worxstreamUserId, email, updatedAt);
+        }
+      }
+
+      for (const key of [...this.watchers.keys()]) {
+        if (!wanted.has(key)) {
+          this.unwatch(key);
+        }
+      }
+      // Accounts given up on stay remembered, so a reconnecting user does not restart the logins
+      for (const [key, failure] of [...this.failures]) {
+        if (!wanted.has(key) && failure.authFailures < MAX_AUTH_FAILURES) {
+          this.failures.delete(key);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error in IMAP idle service:', error);
+    }
+  }
+
+  // Whether a failed account is due for another attempt. Saving new credentials
+  // (the account's token changes) clears its failures.
+  shouldRetry(key, updatedAt) {
+    const failure = this.failures.get(key);
+    if (!failure) return true;
+
+    if (Number(failure.updatedAt) !== Number(updatedAt)) {
+      this.failures.delete(key);
+      return true;
+    }
+    return failure.authFailures < MAX_AUTH_FAILURES && Date.now() >= failure.retryAt;
+  }
+
+  recordFailure(key, email, updatedAt, error) {
+    const failure = this.failures.get(key) || { attempts: 0, authFailures: 0, updatedAt };
+    failure.attempts++;
+    failure.authFailures = error.authenticationFailed ? failure.authFailures + 1 : 0;
+    failure.retryAt = Date.now() + Math.min(this.checkInterval * 2 ** (failure.attempts - 1), MAX_RETRY_DELAY);
+    this.failures.set(key, failure);
+
+    if (failure.authFailures >= MAX_AUTH_FAILURES) {
+      console.error(`❌ IMAP login for ${email} rejected ${failure.authFailures} times, no longer watching it until it is reconnected`);
+    }
+  }
+
+  async watch(worxstreamUserId, email, updatedAt = null) {
+    const key = `${worxstreamUserId}:${email}`;
+    const watcher = { client: null, timer: null };
+    this.watchers.set(key, watcher);
+
+    try {
+      const account = await getToken(worxstreamUserId, email, 'imap');
+      if (!account) {
+        throw new Error('No credentials');
+      }
+
+      watcher.client = await createImapClient(account);
+
+      const onChange = () => {
+        clearTimeout(watcher.timer);
+        watcher.timer = setTimeout(() => {
+          mailSyncService.syncFolder(worxstreamUserId, email, WATCHED_FOLDER).catch(error => {
+            console.error(`⚠️ IMAP push sync failed for ${email}:`, error.message);
+          });
+        }, this.debounceDelay);
+      };
+      watcher.client.on('exists', onChange);
+      watcher.client.on('expunge', onChange);
+      watcher.client.on('flags', onChange);
+
+      // The next update picks the account up again after a dropped connection
+      watcher.client.on('close', () => {
+        clearTimeout(watcher.timer);
+        if (this.watchers.get(key) === watcher) {
+          this.watchers.delete(key);
+        }
+      });
+
+      // An open mailbox without pending commands goes into IDLE by itself
+      await watcher.client.mailboxOpen(WATCHED_FOLDER);
+      this.failures.delete(key);
+      console.log(`📡 Watching ${email} for new mail`);
+    } catch (error) {
+      console.error(`❌ Failed to watch IMAP account ${email}:`, error.message);
+      this.unwatch(key);
+      this.recordFailure(key, email, updatedAt, error);
+    }
+  }
+
+  unwatch(key) {
+    const watcher = this.watchers.get(key);
+    if (!watcher) return;
+
+    this.watchers.delete(key);
+    clearTimeout(watcher.timer);
+    watcher.client?.logout().catch(() => {});
+  }
+}
+
+const imapIdleService = new ImapIdleService();
+export default imapIdleService;
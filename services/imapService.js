@@ -0,0 +1,1137 @@
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import net from 'net';
+import { Readable } from 'stream';
+import { ImapFlow } from 'imapflow';
+import nodemailer from 'nodemailer';
+import { simpleParser } from 'mailparser';
+import MailComposer from 'nodemailer/lib/mail-composer/index.js';
+import { sanitizeHtml } from '../utils/html.js';
+import { formatRecipients, toMailAttachments, fromParsedAttachments, buildReplyOptions, buildForwardOptions } from '../utils/mailMessage.js';
+
+// IMAP/SMTP accounts (Fastmail, Zoho, self-hosted servers). Every operation takes the
+// account settings that getToken returns for the imap provider in place of an access token:
+// { email, imap: { host, port, secure, user, pass }, smtp: { host, port, secure, user, pass } }
+
+// Local stand-ins usually have self-signed certificates
+const REJECT_UNAUTHORIZED = process.env.IMAP_TLS_REJECT_UNAUTHORIZED !== 'false';
+const IDLE_TIMEOUT = 5 * 60 * 1000; // Pooled connections are closed after this long without use
+const SYNC_PAGE_SIZE = 50;
+const BULK_CHUNK_SIZE = 100;
+const IMPORTANT_KEYWORD = '$Important';
+const MESSAGE_NOT_FOUND = 'MESSAGE_NOT_FOUND';
+
+const accountError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const messageNotFound = () => accountError('Message not found', MESSAGE_NOT_FOUND);
+
+// Users pick the server, so it must not be one of our own: private, loopback and
+// link-local addresses are refused unless the operator allows them (local test servers)
+const ALLOW_PRIVATE_HOSTS = process.env.IMAP_ALLOW_PRIVATE_HOSTS === 'true';
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['::ffff:0:0', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+// Address to connect to for a server name. The checked address is used for the connection
+// itself, so a second lookup cannot point it somewhere else; TLS still checks the name.
+const resolveServer = async (host) => {
+  let addresses;
+  try {
+    addresses = await dns.lookup(host, { all: true });
+  } catch {
+    throw accountError(`Server ${host} not found`, 'HOST_NOT_FOUND');
+  }
+
+  const isPrivate = ({ address, family }) => PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+  if (!ALLOW_PRIVATE_HOSTS && addresses.some(isPrivate)) {
+    throw accountError(`Server ${host} is on a private network and cannot be used`, 'HOST_NOT_ALLOWED');
+  }
+  return addresses[0].address;
+};
+
+// A new connected client for an account
+export const createImapClient = async ({ imap }) => {
+  const client = new ImapFlow({
+    host: await resolveServer(imap.host),
+    servername: net.isIP(imap.host) ? undefined : imap.host,
+    port: imap.port,
+    secure: imap.secure,
+    auth: { user: imap.user, pass: imap.pass },
+    tls: { rejectUnauthorized: REJECT_UNAUTHORIZED },
+    logger: false
+  });
+  // Connection errors also reach the running command, unhandled they would end the process
+  client.on('error', (err) => {
+    console.error(`❌ IMAP connection error for ${imap.user}@${imap.host}:`, err.message);
+  });
+
+  await client.connect();
+  return client;
+};
+
+// One pooled connection per account, commands on it are queued by ImapFlow
+const connections = new Map();
+
+const getClient = async (account) => {
+  const key = crypto.createHash('sha256').update(JSON.stringify(account.imap)).digest('hex');
+  let entry = connections.get(key);
+
+  if (!entry) {
+    entry = { connecting: createImapClient(account), timer: null };
+    connections.set(key, entry);
+    entry.connecting.then(
+      client => client.on('close', () => {
+        if (connections.get(key) === entry) connections.delete(key);
+      }),
+      () => connections.delete(key)
+    );
+  }
+
+  const client = await entry.connecting;
+  if (!client.usable) {
+    connections.delete(key);
+    return getClient(account);
+  }
+
+  clearTimeout(entry.timer);
+  entry.timer = setTimeout(() => {
+    connections.delete(key);
+    client.logout().catch(() => {});
+  }, IDLE_TIMEOUT);
+  entry.timer.unref();
+
+  return client;
+};
+
+// Run fn with a folder selected
+const withMailbox = async (account, path, fn) => {
+  const client = await getClient(account);
+  const lock = await client.getMailboxLock(path);
+  try {
+    return await fn(client);
+  } finally {
+    lock.release();
+  }
+};
+
+// Message ids carry the folder, its UIDVALIDITY and the UID: <base64url path>.<uidValidity>.<uid>
+const toMessageId = (path, uidValidity, uid) =>
+  `${Buffer.from(path).toString('base64url')}.${uidValidity}.${uid}`;
+
+const parseMessageId = (messageId) => {
+  const [path, uidValidity, uid] = String(messageId).split('.');
+  if (!path || !/^\d+$/.test(uidValidity || '') || !/^\d+$/.test(uid || '')) {
+    return null;
+  }
+  return { path: Buffer.from(path, 'base64url').toString(), uidValidity, uid };
+};
+
+// Run fn with the folder of a message selected and its UID
+const withMessage = async (account, messageId, fn) => {
+  const parsed = parseMessageId(messageId);
+  if (!parsed) {
+    throw messageNotFound();
+  }
+
+  return withMailbox(account, parsed.path, async (client) => {
+    // A new UIDVALIDITY means the server renumbered the folder
+    if (String(client.mailbox.uidValidity) !== parsed.uidValidity) {
+      throw messageNotFound();
+    }
+    return fn(client, parsed.uid);
+  });
+};
+
+const formatAddressList = (addresses = []) =>
+  addresses
+    .map(({ name, address } = {}) => (name ? `${name} <${address}>` : address || ''))
+    .filter(Boolean)
+    .join(', ');
+
+const getHeaderValue = (headers, name) => {
+  const unfolded = (headers?.toString() || '').replace(/\r?\n[ \t]+/g, ' ');
+  const line = unfolded.split(/\r?\n/).find(header => header.toLowerCase().startsWith(`${name}:`));
+  return line ? line.slice(name.length + 1).trim() : '';
+};
+
+// Every node of a BODYSTRUCTURE, including nested multiparts
+const flattenNodes = (node) => (node ? [node, ...(node.childNodes || []).flatMap(flattenNodes)] : []);
+
+// A single-part message has no part number, its body is the TEXT section
+const bodySection = (node) => node.part || 'TEXT';
+const attachmentPart = (node) => node.part || '1';
+
+const getFilename = (node) => node.dispositionParameters?.filename || node.parameters?.name || '';
+
+const getContentId = (node) => (node.id || '').trim().replace(/^<|>$/g, '');
+
+// Named files, parts marked as attachments and images referenced by Content-ID
+const isAttachmentNode = (node) => {
+  const type = (node.type || '').toLowerCase();
+  if (type.startsWith('multipart/')) return false;
+  return node.disposition === 'attachment' || !!getFilename(node) || (!!node.id && !type.startsWith('text/'));
+};
+
+// Recursive MIME walker, the BODYSTRUCTURE counterpart of the one for Gmail payloads.
+// multipart/alternative contributes its richest HTML and its first text version,
+// other multiparts every body part in order. Attachments and attached messages are skipped.
+const collectBodyNodes = (node, body = { html: [], text: [] }) => {
+  const type = (node.type || '').toLowerCase();
+  if (isAttachmentNode(node) || type === 'message/rfc822') {
+    return body;
+  }
+
+  if (type === 'multipart/alternative') {
+    const alternatives = (node.childNodes || []).map(child => collectBodyNodes(child));
+    body.html.push(...(alternatives.findLast(alt => alt.html.length > 0)?.html || []));
+    body.text.push(...(alternatives.find(alt => alt.text.length > 0)?.text || []));
+  } else if (type.startsWith('multipart/')) {
+    (node.childNodes || []).forEach(child => collectBodyNodes(child, body));
+  } else if (type === 'text/html') {
+    body.html.push(node);
+  } else if (type === 'text/plain') {
+    body.text.push(node);
+  }
+  return body;
+};
+
+// Decode one body part with mailparser, which undoes its transfer encoding and applies its charset
+const parseBodyNode = (node, content) => {
+  const charset = node.parameters?.charset ? `; charset="${node.parameters.charset}"` : '';
+  return simpleParser(Buffer.concat([
+    Buffer.from(`Content-Type: ${node.type}${charset}\r\nContent-Transfer-Encoding: ${node.encoding || '7bit'}\r\n\r\n`),
+    content || Buffer.alloc(0)
+  ]));
+};
+
+// Body of a message: sanitized HTML for the reader and a plain-text rendering. Only the body
+// parts are fetched, attachments stay on the server.
+const parseMessageBody = async (client, uid, structure) => {
+  const { html, text } = collectBodyNodes(structure);
+  const nodes = [...html, ...text];
+
+  const sections = new Map();
+  if (nodes.length > 0) {
+    const fetched = await client.fetchOne(uid, { bodyParts: nodes.map(bodySection) }, { uid: true });
+    // Servers echo the section name in their own case
+    for (const [key, value] of fetched?.bodyParts || []) {
+      sections.set(key.toUpperCase(), value);
+    }
+  }
+
+  const parse = (node) => parseBodyNode(node, sections.get(bodySection(node).toUpperCase()));
+  const [htmlParts, textParts] = await Promise.all([
+    Promise.all(html.map(parse)),
+    Promise.all(text.map(parse))
+  ]);
+
+  // Text-only mail gets mailparser's HTML rendering, HTML-only mail its text rendering
+  const bodyHtml = htmlParts.map(parsed => parsed.html || '').join('\n') ||
+    textParts.map(parsed => parsed.textAsHtml || '').join('\n');
+  const bodyText = textParts.map(parsed => parsed.text || '').join('\n\n') ||
+    htmlParts.map(parsed => parsed.text || '').join('\n\n');
+
+  return { html: sanitizeHtml(bodyHtml), text: bodyText.trim() };
+};
+
+const MESSAGE_QUERY = {
+  uid: true,
+  flags: true,
+  envelope: true,
+  internalDate: true,
+  bodyStructure: true,
+  headers: ['references']
+};
+
+// Map a fetched message to our message shape, content is the sanitized HTML body
+const mapImapMessage = async (client, msg) => {
+  const { path, uidValidity } = client.mailbox;
+  const envelope = msg.envelope || {};
+  const { html, text } = await parseMessageBody(client, msg.uid, msg.bodyStructure);
+
+  return {
+    id: toMessageId(path, uidValidity, msg.uid),
+    from: formatAddressList(envelope.from),
+    to: formatAddressList(envelope.to),
+    cc: formatAddressList(envelope.cc),
+    bcc: formatAddressList(envelope.bcc),
+    subject: envelope.subject || '(No Subject)',
+    content: html,
+    text,
+    preview: text.replace(/\s+/g, ' ').substring(0, 100),
+    timestamp: msg.internalDate || envelope.date || new Date(),
+    read: msg.flags.has('\\Seen'),
+    folder: path,
+    important: msg.flags.has(IMPORTANT_KEYWORD),
+    flagged: msg.flags.has('\\Flagged'),
+    hasAttachments: flattenNodes(msg.bodyStructure).some(node => isAttachmentNode(node) && node.disposition !== 'inline'),
+    threadId: null, // Derived from the threading headers
+    messageId: envelope.messageId || null,
+    inReplyTo: envelope.inReplyTo || null,
+    references: getHeaderValue(msg.headers, 'references').split(/\s+/).filter(Boolean)
+  };
+};
+
+// Fetch and map messages of the selected folder, range holds UIDs unless uid is false
+const fetchMessages = async (client, range, { uid = true } = {}) => {
+  const fetched = await client.fetchAll(range, MESSAGE_QUERY, { uid });
+  const messages = [];
+  // One connection, so the body fetches run one after the other anyway
+  for (const msg of fetched) {
+    messages.push(await mapImapMessage(client, msg));
+  }
+  return messages;
+};
+
+const downloadPart = async (client, uid, part) => {
+  const { content } = await client.download(uid, part, { uid: true });
+  const chunks = [];
+  for await (const chunk of content || []) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Get folders with message counts
+async function getMailFolders(account) {
+  try {
+    const client = await getClient(account);
+    const mailboxes = await client.list({ statusQuery: { messages: true, unseen: true } });
+
+    const folders = mailboxes
+      .filter(mailbox => !mailbox.flags.has('\\Noselect') && !mailbox.flags.has('\\NonExistent'))
+      .map(mailbox => ({
+        id: mailbox.path,
+        displayName: mailbox.name,
+        totalItemCount: mailbox.status?.messages || 0,
+        unreadItemCount: mailbox.status?.unseen || 0
+      }));
+
+    console.log(`📂 Retrieved ${folders.length} IMAP folders`);
+    return folders;
+  } catch (err) {
+    console.error('❌ Failed to fetch IMAP folders:', err.message);
+    return [];
+  }
+}
+
+// SPECIAL-USE flags of the folders the unified views cover. ImapFlow also recognizes
+// the usual folder names on servers without SPECIAL-USE.
+const WELL_KNOWN_FOLDERS = {
+  inbox: '\\Inbox',
+  sent: '\\Sent',
+  drafts: '\\Drafts',
+  trash: '\\Trash',
+  spam: '\\Junk',
+  archive: '\\Archive'
+};
+
+const findSpecialFolder = async (client, specialUse) =>
+  (await client.list()).find(mailbox => mailbox.specialUse === specialUse)?.path || null;
+
+// Path of a folder by special use or name, created when the server has none
+const findOrCreateFolder = async (client, name, specialUse = null) => {
+  const mailboxes = await client.list();
+  const existing = (specialUse && mailboxes.find(mailbox => mailbox.specialUse === specialUse)) ||
+    mailboxes.find(mailbox => mailbox.name === name);
+  if (existing) {
+    return existing.path;
+  }
+
+  const created = await client.mailboxCreate(name);
+  return created.path;
+};
+
+// Ids a well-known folder (inbox, sent, drafts, trash, spam, archive) is stored under
+async function getWellKnownFolderIds(account, name) {
+  if (!WELL_KNOWN_FOLDERS[name]) {
+    throw new Error(`Unknown folder: ${name}`);
+  }
+
+  const client = await getClient(account);
+  const path = await findSpecialFolder(client, WELL_KNOWN_FOLDERS[name]);
+  return path ? [path] : [];
+}
+
+// Get messages of a folder, newest first. The page token is "<uidValidity>:<uid>" of the
+// oldest message returned, the next page continues below it.
+async function getMessagesByFolder(account, folderId, nextPageToken = null, maxResults = 20) {
+  try {
+    return await withMailbox(account, folderId, async (client) => {
+      const { uidValidity, exists } = client.mailbox;
+
+      // Sequence numbers follow UID order, the newest messages have the highest ones
+      let end = exists;
+      if (nextPageToken) {
+        const [tokenValidity, beforeUid] = String(nextPageToken).split(':');
+        if (tokenValidity !== String(uidValidity) || !/^\d+$/.test(beforeUid || '')) {
+          return { messages: [], nextLink: null };
+        }
+
+        const [seq] = (await client.search({ uid: beforeUid })) || [];
+        if (seq) {
+          end = seq - 1;
+        } else {
+          // The message was removed, find the newest one below it
+          const older = Number(beforeUid) > 1 ? (await client.search({ uid: `1:${Number(beforeUid) - 1}` })) || [] : [];
+          end = older.length > 0 ? Math.max(...older) : 0;
+        }
+      }
+
+      if (end < 1) {
+        return { messages: [], nextLink: null };
+      }
+
+      const start = Math.max(1, end - maxResults + 1);
+      const messages = (await fetchMessages(client, `${start}:${end}`, { uid: false })).reverse();
+      const oldest = messages[messages.length - 1];
+
+      return {
+        messages,
+        nextLink: start > 1 && oldest ? `${uidValidity}:${parseMessageId(oldest.id).uid}` : null
+      };
+    });
+  } catch (err) {
+    console.error('❌ Failed to fetch IMAP messages:', err.message);
+    return { messages: [], nextLink: null };
+  }
+}
+
+// "1:3,5" <-> [1, 2, 3, 5], keeps the UID list of a sync cursor short
+const compressUids = (uids) => {
+  const ranges = [];
+  for (const uid of [...uids].sort((a, b) => a - b)) {
+    const last = ranges[ranges.length - 1];
+    if (last && uid === last[1] + 1) {
+      last[1] = uid;
+    } else {
+      ranges.push([uid, uid]);
+    }
+  }
+  return ranges.map(([first, last]) => (first === last ? `${first}` : `${first}:${last}`)).join(',');
+};
+
+const expandUids = (set = '') =>
+  set.split(',').filter(Boolean).flatMap(range => {
+    const [first, last = first] = range.split(':').map(Number);
+    return Array.from({ length: last - first + 1 }, (_, index) => first + index);
+  });
+
+// Get changes in a folder since the cursor: { uidValidity, uidNext, modseq, uids }.
+// New mail is found by UID, removed mail by comparing the UIDs, and flag changes through
+// CONDSTORE on servers that have it. Without a cursor this only records the current state.
+async function getFolderChanges(account, folderId, cursor = null) {
+  return withMailbox(account, folderId, async (client) => {
+    // Flag changes can only be asked for once CONDSTORE is enabled, without it every message would come back
+    const condstore = client.enabled.has('CONDSTORE') && !!client.mailbox.highestModseq;
+    // A pooled connection may have had the folder selected for a while, STATUS refreshes it
+    await client.status(folderId, { uidNext: true, highestModseq: condstore });
+    const { uidValidity, uidNext } = client.mailbox;
+    const highestModseq = condstore ? client.mailbox.highestModseq : null;
+    const uids = (await client.search({ all: true }, { uid: true })) || [];
+
+    const toCursor = (next, known) => JSON.stringify({
+      uidValidity: String(uidValidity),
+      uidNext: next,
+      modseq: highestModseq ? String(highestModseq) : null,
+      uids: compressUids(known)
+    });
+
+    if (!cursor) {
+      return { changes: [], cursor: toCursor(uidNext, uids), hasMore: false };
+    }
+
+    let state;
+    try {
+      state = JSON.parse(cursor);
+    } catch {
+      state = null;
+    }
+    if (state?.uidValidity !== String(uidValidity)) {
+      throw accountError('IMAP folder UIDVALIDITY changed', 'SYNC_CURSOR_EXPIRED');
+    }
+
+    const current = new Set(uids);
+    const changes = expandUids(state.uids)
+      .filter(uid => !current.has(uid))
+      .map(uid => ({ type: 'delete', id: toMessageId(folderId, uidValidity, uid) }));
+
+    const added = uids.filter(uid => uid >= state.uidNext);
+    const page = added.slice(0, SYNC_PAGE_SIZE);
+    const hasMore = added.length > page.length;
+
+    let changed = [];
+    if (state.modseq && highestModseq && BigInt(state.modseq) < highestModseq) {
+      const updates = await client.fetchAll('1:*', { uid: true }, { uid: true, changedSince: BigInt(state.modseq) });
+      changed = updates.map(msg => msg.uid).filter(uid => uid < state.uidNext && current.has(uid));
+    }
+
+    const toFetch = [...changed, ...page];
+    if (toFetch.length > 0) {
+      for (const message of await fetchMessages(client, toFetch)) {
+        changes.push({ type: 'upsert', message });
+      }
+    }
+
+    const next = hasMore ? page[page.length - 1] + 1 : uidNext;
+    return { changes, cursor: toCursor(next, uids.filter(uid => uid < next)), hasMore };
+  });
+}
+
+// Get message by ID
+async function getMessageById(account, messageId) {
+  try {
+    return await withMessage(account, messageId, async (client, uid) => {
+      const msg = await client.fetchOne(uid, MESSAGE_QUERY, { uid: true });
+      if (!msg) {
+        return null;
+      }
+
+      const message = await mapImapMessage(client, msg);
+
+      // Images the HTML shows come with their content, so the reader can swap
+      // the cid: URLs for data URLs
+      const attachments = [];
+      for (const node of flattenNodes(msg.bodyStructure).filter(isAttachmentNode)) {
+        const contentId = getContentId(node);
+        const shown = !!contentId && message.content.includes(`cid:${contentId}`);
+
+        attachments.push({
+          id: attachmentPart(node),
+          name: getFilename(node) || 'attachment',
+          contentId: contentId || undefined,
+          contentType: node.type,
+          size: node.size,
+          isInline: shown || node.disposition === 'inline',
+          contentBytes: shown ? (await downloadPart(client, uid, attachmentPart(node))).toString('base64') : undefined
+        });
+      }
+
+      return { ...message, attachments };
+    });
+  } catch (err) {
+    if (err.code !== MESSAGE_NOT_FOUND) {
+      console.error('❌ Failed to fetch IMAP message:', err.message);
+    }
+    return null;
+  }
+}
+
+// Get the RFC 822 source of a message, null when it does not exist
+async function getRawMessage(account, messageId) {
+  try {
+    return await withMessage(account, messageId, async (client, uid) =>
+      (await client.fetchOne(uid, { source: true }, { uid: true }))?.source || null
+    );
+  } catch (err) {
+    if (err.code === MESSAGE_NOT_FOUND) {
+      return null;
+    }
+    console.error('❌ Failed to fetch raw IMAP message:', err.message);
+    throw err;
+  }
+}
+
+// Get inline attachments (with content) by message id
+async function getAttachmentsByMessageId(account, messageId) {
+  const message = await getMessageById(account, messageId);
+  return (message?.attachments || []).filter(attachment => attachment.contentBytes);
+}
+
+// Get the content of one attachment, attachmentId is its part number from getMessageById.
+// The part is decoded as a whole, so the requested range is cut from the decoded content.
+async function getAttachmentContent(account, messageId, attachmentId, range = null) {
+  try {
+    return await withMessage(account, messageId, async (client, uid) => {
+      const msg = await client.fetchOne(uid, { bodyStructure: true }, { uid: true });
+      const node = msg && flattenNodes(msg.bodyStructure).find(candidate => attachmentPart(candidate) === attachmentId);
+      if (!node) {
+        return null;
+      }
+
+      const content = await downloadPart(client, uid, attachmentId);
+      const body = range
+        ? content.subarray(range.start, range.end === null || range.end === undefined ? content.length : range.end + 1)
+        : content;
+
+      return {
+        filename: getFilename(node) || 'attachment',
+        contentType: node.type || 'application/octet-stream',
+        size: content.length,
+        stream: Readable.from([body]),
+        rangeApplied: !!range
+      };
+    });
+  } catch (err) {
+    if (err.code === MESSAGE_NOT_FOUND) {
+      return null;
+    }
+    console.error('❌ Failed to fetch IMAP attachment:', err.message);
+    throw err;
+  }
+}
+
+const setFlags = (account, messageId, flags, add) =>
+  withMessage(account, messageId, (client, uid) => (add
+    ? client.messageFlagsAdd(uid, flags, { uid: true })
+    : client.messageFlagsRemove(uid, flags, { uid: true })));
+
+// Mark message as read (or unread with read = false)
+async function markMessageRead(account, messageId, read = true) {
+  try {
+    await setFlags(account, messageId, ['\\Seen'], read);
+    return true;
+  } catch (err) {
+    console.error('❌ Failed to update IMAP read state:', err.message);
+    throw err;
+  }
+}
+
+// Flag = \Flagged. IMAP has no due dates, the follow-up date is only kept locally.
+async function flagMessage(account, messageId, { flagged = true } = {}) {
+  try {
+    await setFlags(account, messageId, ['\\Flagged'], flagged);
+    return true;
+  } catch (err) {
+    console.error('❌ Failed to flag IMAP message:', err.message);
+    throw err;
+  }
+}
+
+// Importance is kept as the $Important keyword
+async function markMessageImportant(account, messageId, important = true) {
+  try {
+    await setFlags(account, messageId, [IMPORTANT_KEYWORD], important);
+    return true;
+  } catch (err) {
+    console.error('❌ Failed to update IMAP message importance:', err.message);
+    throw err;
+  }
+}
+
+// Labels are IMAP keywords, which cannot contain spaces or the IMAP special characters
+async function labelMessage(account, messageId, label) {
+  try {
+    const keyword = String(label).trim().replace(/[\s(){}%*"\\\]]+/g, '_');
+    await setFlags(account, messageId, [keyword], true);
+    return true;
+  } catch (err) {
+    console.error('❌ Failed to label IMAP message:', err.message);
+    throw err;
+  }
+}
+
+// Move or copy a message. The copy gets a new UID in the destination, servers with UIDPLUS
+// report it and on others it is found by its Message-ID.
+const transferMessage = async (account, messageId, destination, move) => {
+  const { uid, result, headerId } = await withMessage(account, messageId, async (client, uid) => {
+    const msg = await client.fetchOne(uid, { envelope: true }, { uid: true });
+    if (!msg) {
+      throw messageNotFound();
+    }
+
+    const result = move
+      ? await client.messageMove(uid, destination, { uid: true })
+      : await client.messageCopy(uid, destination, { uid: true });
+    return { uid, result, headerId: msg.envelope?.messageId };
+  });
+
+  const newUid = result?.uidMap?.get(Number(uid));
+  if (newUid && result.uidValidity) {
+    return { id: toMessageId(destination, result.uidValidity, newUid), folder: destination };
+  }
+
+  const id = headerId
+    ? await withMailbox(account, destination, async (client) => {
+        const found = (await client.search({ header: { 'message-id': headerId } }, { uid: true })) || [];
+        return found.length > 0 ? toMessageId(destination, client.mailbox.uidValidity, Math.max(...found)) : null;
+      })
+    : null;
+  return { id: id || messageId, folder: destination };
+};
+
+async function moveMessage(account, messageId, destinationFolderId) {
+  try {
+    return await transferMessage(account, messageId, destinationFolderId, true);
+  } catch (err) {
+    console.error('❌ Failed to move IMAP message:', err.message);
+    throw err;
+  }
+}
+
+async function copyMessage(account, messageId, destinationFolderId) {
+  try {
+    return await transferMessage(account, messageId, destinationFolderId, false);
+  } catch (err) {
+    console.error('❌ Failed to copy IMAP message:', err.message);
+    throw err;
+  }
+}
+
+// Archive = move to the \Archive folder, created as "Archive" when the server has none
+async function archiveMessage(account, messageId) {
+  try {
+    const client = await getClient(account);
+    const archive = await findOrCreateFolder(client, 'Archive', '\\Archive');
+    return await transferMessage(account, messageId, archive, true);
+  } catch (err) {
+    console.error('❌ Failed to archive IMAP message:', err.message);
+    throw err;
+  }
+}
+
+// Snoozed messages wait in this folder, IMAP has no native snooze
+const SNOOZE_FOLDER_NAME = 'Snoozed';
+
+// Path of the snooze folder, created on first use
+async function getSnoozeFolder(account) {
+  try {
+    const client = await getClient(account);
+    return await findOrCreateFolder(client, SNOOZE_FOLDER_NAME);
+  } catch (err) {
+    console.error('❌ Failed to get IMAP snooze folder:', err.message);
+    throw err;
+  }
+}
+
+// Delete = move to Trash. Messages already in Trash (or on servers without one) are expunged.
+async function deleteMessage(account, messageId) {
+  try {
+    const client = await getClient(account);
+    const trash = await findSpecialFolder(client, '\\Trash');
+
+    if (trash && trash !== parseMessageId(messageId)?.path) {
+      await transferMessage(account, messageId, trash, true);
+    } else {
+      await withMessage(account, messageId, (client, uid) => client.messageDelete(uid, { uid: true }));
+    }
+    return true;
+  } catch (err) {
+    console.error('❌ Failed to delete IMAP message:', err.message);
+    throw err;
+  }
+}
+
+// Flag changes behind each bulk action
+const BULK_FLAG_CHANGES = {
+  markRead: { flag: '\\Seen', add: true },
+  markUnread: { flag: '\\Seen', add: false },
+  flag: { flag: '\\Flagged', add: true },
+  unflag: { flag: '\\Flagged', add: false }
+};
+
+// Apply one action to many messages, one command per folder and chunk of UIDs. Returns a
+// result per message; onProgress is called with the results of every chunk.
+async function bulkUpdateMessages(account, messageIds, action, { folderId = null, onProgress } = {}) {
+  const flagChange = BULK_FLAG_CHANGES[action];
+  if (!flagChange && action !== 'move' && action !== 'delete') {
+    throw new Error(`Unsupported bulk action: ${action}`);
+  }
+
+  const destination = action === 'move'
+    ? folderId
+    : action === 'delete' ? await findSpecialFolder(await getClient(account), '\\Trash') : null;
+
+  const results = [];
+  const report = async (chunkResults) => {
+    results.push(...chunkResults);
+    if (onProgress) {
+      await onProgress(chunkResults);
+    }
+  };
+
+  // UIDs are per folder, so the messages are grouped by the folder in their id
+  const groups = new Map();
+  const invalid = [];
+  for (const id of messageIds) {
+    const parsed = parseMessageId(id);
+    if (!parsed) {
+      invalid.push({ id, success: false, error: 'Message not found' });
+      continue;
+    }
+    const key = `${parsed.uidValidity}:${parsed.path}`;
+    if (!groups.has(key)) {
+      groups.set(key, { path: parsed.path, uidValidity: parsed.uidValidity, items: [] });
+    }
+    groups.get(key).items.push({ id, uid: Number(parsed.uid) });
+  }
+  if (invalid.length > 0) {
+    await report(invalid);
+  }
+
+  for (const { path, uidValidity, items: groupItems } of groups.values()) {
+    for (let start = 0; start < groupItems.length; start += BULK_CHUNK_SIZE) {
+      const items = groupItems.slice(start, start + BULK_CHUNK_SIZE);
+      let chunkResults;
+
+      try {
+        chunkResults = await withMailbox(account, path, async (client) => {
+          if (String(client.mailbox.uidValidity) !== uidValidity) {
+            return items.map(({ id }) => ({ id, success: false, error: 'Message not found' }));
+          }
+
+          const range = items.map(item => item.uid).join(',');
+          if (flagChange) {
+            await (flagChange.add
+              ? client.messageFlagsAdd(range, [flagChange.flag], { uid: true })
+              : client.messageFlagsRemove(range, [flagChange.flag], { uid: true }));
+            return items.map(({ id }) => ({ id, success: true }));
+          }
+
+          if (destination && destination !== path) {
+            const result = await client.messageMove(range, destination, { uid: true });
+            return items.map(({ id, uid }) => {
+              if (action !== 'move') {
+                return { id, success: true };
+              }
+              const newUid = result?.uidMap?.get(uid);
+              return {
+                id,
+                success: true,
+                newId: newUid && result.uidValidity ? toMessageId(destination, result.uidValidity, newUid) : undefined,
+                folder: destination
+              };
+            });
+          }
+
+          if (action === 'delete') {
+            await client.messageDelete(range, { uid: true });
+          }
+          return items.map(({ id }) => ({ id, success: true, ...(action === 'move' ? { folder: destination } : {}) }));
+        });
+      } catch (err) {
+        console.error(`❌ IMAP bulk ${action} failed in ${path}:`, err.message);
+        chunkResults = items.map(({ id }) => ({ id, success: false, error: err.message }));
+      }
+
+      await report(chunkResults);
+    }
+  }
+
+  return results;
+}
+
+const createTransport = async ({ smtp }) => nodemailer.createTransport({
+  host: await resolveServer(smtp.host),
+  servername: net.isIP(smtp.host) ? undefined : smtp.host,
+  port: smtp.port,
+  secure: smtp.secure,
+  auth: { user: smtp.user, pass: smtp.pass },
+  tls: { rejectUnauthorized: REJECT_UNAUTHORIZED }
+});
+
+// RFC 822 message for an IMAP folder, Bcc included like other clients keep it in Sent and Drafts
+const buildRawMessage = (mailOptions) => {
+  const mail = new MailComposer(mailOptions).compile();
+  mail.keepBcc = true;
+  return mail.build();
+};
+
+// Send through SMTP. SMTP keeps no copy, so the message is stored in the Sent folder too.
+const deliver = async (account, mailOptions) => {
+  const message = {
+    ...mailOptions,
+    from: account.email,
+    date: new Date(),
+    // The sent copy has to be the same message as the one delivered
+    messageId: `<${crypto.randomUUID()}@${account.email.split('@')[1]}>`
+  };
+
+  const transport = await createTransport(account);
+  try {
+    await transport.sendMail(message);
+  } finally {
+    transport.close();
+  }
+
+  try {
+    const client = await getClient(account);
+    const sent = await findSpecialFolder(client, '\\Sent');
+    if (sent) {
+      await client.append(sent, await buildRawMessage(message), ['\\Seen']);
+    }
+  } catch (err) {
+    console.error('⚠️ Sent IMAP message was not saved to Sent:', err.message);
+  }
+};
+
+// Send email with optional HTML alternative, attachments and inline (cid:) images
+async function sendEmail(account, { to, subject = '', body, text, html, cc, bcc, attachments = [] }) {
+  try {
+    await deliver(account, {
+      to,
+      cc: cc || undefined,
+      bcc: bcc || undefined,
+      subject,
+      text: text ?? body ?? '',
+      html: html || undefined,
+      attachments: toMailAttachments(attachments)
+    });
+    return { success: true };
+  } catch (err) {
+    console.error('❌ Failed to send IMAP account mail:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+// Parsed source of a message
+const loadMessage = (account, messageId) => withMessage(account, messageId, async (client, uid) => {
+  const msg = await client.fetchOne(uid, { source: true }, { uid: true });
+  if (!msg) {
+    throw messageNotFound();
+  }
+  return simpleParser(msg.source);
+});
+
+// The fields buildReplyOptions quotes and addresses a reply from
+const toReplyOriginal = (parsed) => ({
+  from: parsed.from?.text || '',
+  to: parsed.to?.text || '',
+  cc: parsed.cc?.text || '',
+  replyTo: parsed.replyTo?.text || '',
+  subject: parsed.subject || '(No Subject)',
+  timestamp: parsed.date || new Date(),
+  messageId: parsed.messageId || null,
+  references: [].concat(parsed.references || []),
+  content: sanitizeHtml(parsed.html || parsed.textAsHtml || ''),
+  text: parsed.text || ''
+});
+
+async function sendReply(account, replyOptions, replyAll) {
+  const original = toReplyOriginal(await loadMessage(account, replyOptions.messageId));
+  await deliver(account, buildReplyOptions(original, replyOptions, replyAll, account.email));
+
+  try {
+    await setFlags(account, replyOptions.messageId, ['\\Answered'], true);
+  } catch (err) {
+    console.error('⚠️ Failed to mark IMAP message as answered:', err.message);
+  }
+}
+
+// Reply to email
+async function replyToEmail(account, replyOptions) {
+  try {
+    console.log(`📧 Replying to IMAP message ${replyOptions.messageId}`);
+    await sendReply(account, replyOptions, false);
+    console.log(`✅ Reply sent successfully for message ${replyOptions.messageId}`);
+    return { success: true };
+  } catch (err) {
+    console.error('❌ Failed to reply to IMAP message:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+// Reply all to email
+async function replyAllToEmail(account, replyOptions) {
+  try {
+    console.log(`📧 Reply all to IMAP message ${replyOptions.messageId}`);
+    await sendReply(account, replyOptions, true);
+    console.log(`✅ Reply all sent successfully for message ${replyOptions.messageId}`);
+    return { success: true };
+  } catch (err) {
+    console.error('❌ Failed to reply all to IMAP message:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+// Forward a message with its attachments, rebuilt from the original MIME like for Gmail
+async function forwardMessage(account, { messageId, comment = '', toRecipients }) {
+  try {
+    console.log(`📧 Forwarding IMAP message ${messageId}`);
+
+    const to = formatRecipients(toRecipients);
+    if (to.length === 0) {
+      throw new Error('At least one recipient is required');
+    }
+
+    const original = await loadMessage(account, messageId);
+    await deliver(account, buildForwardOptions(original, { comment, to }));
+
+    console.log(`✅ IMAP message ${messageId} forwarded`);
+    return { success: true };
+  } catch (err) {
+    console.error('❌ Failed to forward IMAP message:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+// 📝 Store a draft in the Drafts folder. IMAP messages cannot be changed, so an update
+// stores the new version and removes the previous one; the draft id changes every time.
+async function saveDraft(account, { draftId = null, to, cc, bcc, subject = '', text = '', html, attachments = [], replyTo = null }) {
+  let mailOptions;
+
+  if (replyTo?.messageId) {
+    mailOptions = buildReplyOptions(toReplyOriginal(await loadMessage(account, replyTo.messageId)), {
+      comment: html || text || '',
+      toRecipients: to || undefined,
+      ccRecipients: cc || undefined,
+      bccRecipients: bcc || undefined
+    }, replyTo.replyAll, account.email);
+    if (subject) mailOptions.subject = subject;
+  } else {
+    mailOptions = {
+      to: to || undefined,
+      cc: cc || undefined,
+      bcc: bcc || undefined,
+      subject,
+      text: text || '',
+      html: html || undefined
+    };
+  }
+
+  const headerId = `<${crypto.randomUUID()}@${account.email.split('@')[1]}>`;
+  const raw = await buildRawMessage({
+    ...mailOptions,
+    from: account.email,
+    messageId: headerId,
+    attachments: toMailAttachments(attachments)
+  });
+
+  const client = await getClient(account);
+  const drafts = await findOrCreateFolder(client, 'Drafts', '\\Drafts');
+  const appended = await client.append(drafts, raw, ['\\Draft', '\\Seen']);
+
+  let id = appended?.uid && appended.uidValidity ? toMessageId(drafts, appended.uidValidity, appended.uid) : null;
+  if (!id) {
+    id = await withMailbox(account, drafts, async (client) => {
+      const found = (await client.search({ header: { 'message-id': headerId } }, { uid: true })) || [];
+      return found.length > 0 ? toMessageId(drafts, client.mailbox.uidValidity, Math.max(...found)) : null;
+    });
+  }
+  if (!id) {
+    throw new Error('Draft was stored but could not be found in the Drafts folder');
+  }
+
+  if (draftId) {
+    await deleteDraft(account, draftId);
+  }
+
+  return { draftId: id, messageId: id };
+}
+
+// 📤 Send a draft as it is stored in the Drafts folder, then remove it
+async function sendDraft(account, draftId) {
+  try {
+    const draft = await loadMessage(account, draftId);
+
+    await deliver(account, {
+      to: draft.to?.value,
+      cc: draft.cc?.value,
+      bcc: draft.bcc?.value,
+      subject: draft.subject || '',
+      text: draft.text || '',
+      html: draft.html || undefined,
+      inReplyTo: draft.inReplyTo || undefined,
+      references: draft.references || undefined,
+      attachments: fromParsedAttachments(draft.attachments)
+    });
+
+    await deleteDraft(account, draftId);
+    return { success: true };
+  } catch (err) {
+    console.error('❌ Failed to send IMAP draft:', err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+// 🗑️ Delete a draft, a draft that is already gone counts as deleted
+async function deleteDraft(account, draftId) {
+  try {
+    await withMessage(account, draftId, (client, uid) => client.messageDelete(uid, { uid: true }));
+    return true;
+  } catch (err) {
+    if (err.code === MESSAGE_NOT_FOUND) {
+      return true;
+    }
+    console.error('❌ Failed to delete IMAP draft:', err.message);
+    throw err;
+  }
+}
+
+// Server settings of an account from the connect form. Ports default to implicit TLS;
+// SMTP uses the IMAP host, username and password unless it is given its own.
+export const buildImapAccount = (email, { imap = {}, smtp = {} } = {}) => {
+  const server = (settings, host, tlsPort, plainPort) => {
+    const secure = settings.secure === undefined ? undefined : settings.secure !== false && settings.secure !== 'false';
+    const port = Number(settings.port) || (secure === false ? plainPort : tlsPort);
+    return { host: settings.host || host, port, secure: secure ?? port === tlsPort };
+  };
+
+  if (!email || !imap.host || !imap.password) {
+    throw accountError('email, imap.host and imap.password are required', 'INVALID_ACCOUNT');
+  }
+
+  const user = imap.username || email;
+  return {
+    email,
+    imap: { ...server(imap, imap.host, 993, 143), user, pass: imap.password },
+    smtp: { ...server(smtp, imap.host, 465, 587), user: smtp.username || user, pass: smtp.password || imap.password }
+  };
+};
+
+// Log in to both servers before an account is saved. Only the server's answer to the login
+// is passed on, connection errors are not, they would tell which ports are open where.
+export const verifyAccount = async (account) => {
+  let client;
+  try {
+    client = await createImapClient(account);
+  } catch (err) {
+    if (err.code === 'HOST_NOT_FOUND' || err.code === 'HOST_NOT_ALLOWED') throw err;
+    console.error(`❌ IMAP verification failed for ${account.email}:`, err.message);
+    throw accountError(
+      err.authenticationFailed ? `IMAP login failed: ${err.responseText || 'invalid credentials'}` : 'Could not connect to the IMAP server',
+      'IMAP_CONNECT_FAILED'
+    );
+  }
+  await client.logout().catch(() => {});
+
+  const transport = await createTransport(account);
+  try {
+    await transport.verify();
+  } catch (err) {
+    console.error(`❌ SMTP verification failed for ${account.email}:`, err.message);
+    throw accountError(
+      err.code === 'EAUTH' ? `SMTP login failed: ${err.response || 'invalid credentials'}` : 'Could not connect to the SMTP server',
+      'SMTP_CONNECT_FAILED'
+    );
+  } finally {
+    transport.close();
+  }
+};
+
+export {
+  getMailFolders,
+  getWellKnownFolderIds,
+  getMessagesByFolder,
+  getFolderChanges,
+  getMessageById,
+  getRawMessage,
+  markMessageRead,
+  markMessageImportant,
+  flagMessage,
+  labelMessage,
+  moveMessage,
+  copyMessage,
+  archiveMessage,
+  getSnoozeFolder,
+  bulkUpdateMessages,
+  sendEmail,
+  replyToEmail,
+  replyAllToEmail,
+  forwardMessage,
+  saveDraft,
+  sendDraft,
+  deleteDraft,
+  getAttachmentsByMessageId,
+  getAttachmentContent,
+  deleteMessage
+};
@@ -0,0 +1,340 @@
+// services/mailExportService.js
+import cron from 'node-cron';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import mongoose from 'mongoose';
+import Email from '../models/email.js';
+import User from '../models/User.js';
+import MailExport from '../models/MailExport.js';
+import searchService from './searchService.js';
+import emailEnrichmentService from './emailEnrichment.js';
+import { resolveMailbox } from './mailboxAdapter.js';
+
+const EXPORT_DIR = process.env.MAIL_EXPORT_DIR || path.join(os.tmpdir(), 'mail-agent-exports');
+const EXPORT_TTL = 24 * 60 * 60 * 1000; // Finished exports can be downloaded for a day
+const STALE_AFTER = 10 * 60 * 1000; // A running export without progress for this long was interrupted
+const BATCH_SIZE = 50;
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const pad = (value, length = 2, fill = '0') => String(value).padStart(length, fill);
+
+// asctime() date of an mbox "From " line, in UTC
+const asctime = (date) =>
+  `${DAYS[date.getUTCDay()]} ${MONTHS[date.getUTCMonth()]} ${pad(date.getUTCDate(), 2, ' ')} ` +
+  `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} ${date.getUTCFullYear()}`;
+
+const envelopeSender = (from = '') =>
+  from.match(/<([^<>\s]+@[^<>\s]+)>/)?.[1] || from.match(/[^\s<>"]+@[^\s<>"]+/)?.[0] || 'MAILER-DAEMON';
+
+// One mboxrd entry: the "From " separator, the message with LF line ends and its
+// (already quoted) "From " lines quoted once more, then a blank line.
+// latin1 keeps 8-bit message bytes as they are.
+const toMboxEntry = (raw, from, timestamp) => {
+  const date = new Date(timestamp);
+  const message = raw.toString('latin1')
+    .replace(/\r\n/g, '\n')
+    .replace(/^(>*From )/gm, '>$1');
+
+  return Buffer.from(
+    `From ${envelopeSender(from)} ${asctime(isNaN(date.getTime()) ? new Date() : date)}\n` +
+    `${message}${message.endsWith('\n') ? '' : '\n'}\n`,
+    'latin1'
+  );
+};
+
+const safeFileName = (name, fallback) =>
+  (name || '').replace(/[\\/:*?"<>|\x00-\x1f]+/g, '_').trim().slice(0, 100) || fallback;
+
+const exportError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Archives mail for compliance: single messages as .eml, whole folders or search
+// results as mbox files that are written in the background with socket progress.
+class MailExportService {
+  constructor() {
+    this.task = null;
+    this.isRunning = false;
+    this.cronExpression = '0 * * * *'; // Remove expired exports every hour
+  }
+
+  start() {
+    if (this.isRunning) {
+      console.log('🔄 Mail export service is already running');
+      return;
+    }
+
+    console.log('🚀 Starting mail export service...');
+    this.isRunning = true;
+
+    this.cleanup();
+    this.task = cron.schedule(this.cronExpression, () => this.cleanup(), {
+      name: 'mail-export-cleanup',
+      noOverlap: true
+    });
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      console.log('🔄 Mail export service is not running');
+      return;
+    }
+
+    console.log('🛑 Stopping mail export service...');
+    this.isRunning = false;
+
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  getFilePath(exportId) {
+    return path.join(EXPORT_DIR, `${exportId}.mbox`);
+  }
+
+  // RFC 822 source of one message with a file name for it, null when the message is gone
+  async getRawMessage(mailbox, email, messageId) {
+    const content = await mailbox.adapter.getRawMessage(mailbox.token, messageId);
+    if (!content) {
+      return null;
+    }
+
+    const stored = await Email.findOne({ id: messageId, email }).select('subject');
+    return {
+      filename: `${safeFileName(stored?.subject, 'message')}.eml`,
+      content
+    };
+  }
+
+  // Start an mbox export of a folder ({ email, folderId }) or of the results of a
+  // search query ({ query }, optionally limited to one email). Returns right away.
+  async startExport(worxstreamUserId, { email = null, folderId = null, query = null } = {}) {
+    if (!folderId && !query) {
+      throw exportError('A folderId or a search query is required', 'INVALID_EXPORT');
+    }
+    if (folderId && !email) {
+      throw exportError('A folder export needs the email of its account', 'INVALID_EXPORT');
+    }
+    if (query) {
+      const { errors } = searchService.parseQuery(query);
+      if (errors.length > 0) {
+        throw exportError(errors.join('; '), 'INVALID_QUERY');
+      }
+    }
+
+    const user = await User.findOne({ worxstreamUserId: Number(worxstreamUserId) });
+    if (!user) {
+      console.error(`❌ User not found for worxstreamUserId: ${worxstreamUserId}`);
+      throw new Error('User not found');
+    }
+    if (email && !(await resolveMailbox(worxstreamUserId, email))) {
+      throw exportError(`No valid token found for email ${email}`, 'TOKEN_NOT_FOUND');
+    }
+
+    const job = await MailExport.create({
+      worxstreamUserId: Number(worxstreamUserId),
+      email,
+      source: folderId ? { type: 'folder', folderId } : { type: 'search', query },
+      expiresAt: new Date(Date.now() + EXPORT_TTL)
+    });
+
+    this.run(job, user).catch(async (error) => {
+      console.error(`❌ Mail export ${job._id} failed:`, error);
+      await fs.promises.rm(this.getFilePath(job._id), { force: true }).catch(() => {});
+      const failed = await MailExport.findByIdAndUpdate(
+        job._id,
+        { $set: { status: 'failed', error: error.message, completedAt: new Date() } },
+        { new: true }
+      );
+      this.emitToUser(job.worxstreamUserId, 'mail:exportComplete', { ...this.toClient(failed || job), success: false });
+    });
+
+    return this.toClient(job);
+  }
+
+  async run(job, user) {
+    let total = 0;
+    let messages;
+    if (job.source.type === 'folder') {
+      const mailbox = await resolveMailbox(job.worxstreamUserId, job.email);
+      if (!mailbox) {
+        throw new Error('Token not found');
+      }
+      const folders = await mailbox.adapter.getMailFolders(mailbox.token);
+      total = folders.find(folder => folder.id === job.source.folderId)?.totalItemCount || 0;
+      messages = this.folderMessages(job);
+    } else {
+      const { filter } = searchService.parseQuery(job.source.query);
+      const query = { ...filter, userId: user._id, ...(job.email ? { email: job.email } : {}) };
+      total = await Email.countDocuments(query);
+      messages = this.searchMessages(query);
+    }
+
+    const progress = { total, processed: 0, failed: 0, size: 0 };
+    this.emitToUser(job.worxstreamUserId, 'mail:exportProgress', { exportId: job._id.toString(), ...progress });
+
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    const file = await fs.promises.open(this.getFilePath(job._id), 'w');
+    try {
+      for await (const batch of messages) {
+        // Resolved per batch so a long export keeps getting fresh tokens
+        const mailboxes = new Map();
+        for (const msg of batch) {
+          try {
+            if (!mailboxes.has(msg.email)) {
+              mailboxes.set(msg.email, await resolveMailbox(job.worxstreamUserId, msg.email));
+            }
+            const mailbox = mailboxes.get(msg.email);
+            const raw = mailbox ? await mailbox.adapter.getRawMessage(mailbox.token, msg.id) : null;
+            if (!raw) {
+              throw new Error('Message not found');
+            }
+
+            const entry = toMboxEntry(raw, msg.from, msg.timestamp);
+            await file.write(entry);
+            progress.size += entry.length;
+          } catch (error) {
+            console.error(`⚠️ Mail export ${job._id} skipped ${msg.id}:`, error.message);
+            progress.failed++;
+          }
+          progress.processed++;
+        }
+
+        // The provider's folder count can be behind
+        progress.total = Math.max(progress.total, progress.processed);
+        await MailExport.updateOne({ _id: job._id }, { $set: progress });
+        this.emitToUser(job.worxstreamUserId, 'mail:exportProgress', { exportId: job._id.toString(), ...progress });
+      }
+    } finally {
+      await file.close();
+    }
+
+    const completed = await MailExport.findByIdAndUpdate(
+      job._id,
+      { $set: { ...progress, total: progress.processed, status: 'completed', completedAt: new Date() } },
+      { new: true }
+    );
+    console.log(`📦 Mail export ${job._id}: ${progress.processed - progress.failed} of ${progress.processed} messages`);
+    this.emitToUser(job.worxstreamUserId, 'mail:exportComplete', { ...this.toClient(completed), success: true });
+  }
+
+  // Every message of the folder at the provider, not only the stored ones
+  async *folderMessages(job) {
+    let nextLink = null;
+    do {
+      const mailbox = await resolveMailbox(job.worxstreamUserId, job.email);
+      if (!mailbox) {
+        throw new Error('Token not found');
+      }
+
+      const page = await mailbox.adapter.getMessagesByFolder(mailbox.token, job.source.folderId, nextLink);
+      yield page.messages.map(msg => ({ email: job.email, id: msg.id, from: msg.from, timestamp: msg.timestamp }));
+      nextLink = page.nextLink;
+    } while (nextLink);
+  }
+
+  async *searchMessages(query) {
+    let lastId = null;
+    while (true) {
+      const batch = await Email.find(lastId ? { ...query, _id: { $gt: lastId } } : query)
+        .sort({ _id: 1 })
+        .limit(BATCH_SIZE)
+        .select('id email from timestamp');
+      if (batch.length === 0) return;
+
+      lastId = batch[batch.length - 1]._id;
+      yield batch;
+    }
+  }
+
+  async findExport(worxstreamUserId, exportId) {
+    if (!mongoose.Types.ObjectId.isValid(exportId)) {
+      return null;
+    }
+    return MailExport.findOne({ _id: exportId, worxstreamUserId: Number(worxstreamUserId) });
+  }
+
+  async getExport(worxstreamUserId, exportId) {
+    const job = await this.findExport(worxstreamUserId, exportId);
+    return job ? this.toClient(job) : null;
+  }
+
+  // File of a finished export, null when it is unknown, still running or expired
+  async getDownload(worxstreamUserId, exportId) {
+    const job = await this.findExport(worxstreamUserId, exportId);
+    if (!job || job.status !== 'completed' || job.expiresAt <= new Date()) {
+      return null;
+    }
+
+    const filePath = this.getFilePath(job._id);
+    const stat = await fs.promises.stat(filePath).catch(() => null);
+    if (!stat) {
+      return null;
+    }
+
+    const label = job.source.type === 'folder' ? `${job.email}-${job.source.folderId}` : 'search';
+    return {
+      filePath,
+      filename: `${safeFileName(label, 'export')}-${job.createdAt.toISOString().slice(0, 10)}.mbox`,
+      size: stat.size
+    };
+  }
+
+  // Remove expired exports and fail the ones a restart interrupted
+  async cleanup() {
+    try {
+      const interrupted = await MailExport.updateMany(
+        { status: 'running', updatedAt: { $lt: new Date(Date.now() - STALE_AFTER) } },
+        { $set: { status: 'failed', error: 'Interrupted', completedAt: new Date() } }
+      );
+      if (interrupted.modifiedCount > 0) {
+        console.log(`⚠️ Marked ${interrupted.modifiedCount} interrupted mail exports as failed`);
+      }
+
+      const expired = await MailExport.find({ expiresAt: { $lte: new Date() } }).select('_id');
+      for (const job of expired) {
+        await fs.promises.rm(this.getFilePath(job._id), { force: true });
+        await MailExport.deleteOne({ _id: job._id });
+      }
+      if (expired.length > 0) {
+        console.log(`🧹 Removed ${expired.length} expired mail exports`);
+      }
+    } catch (error) {
+      console.error('❌ Error cleaning up mail exports:', error);
+    }
+  }
+
+  toClient(job) {
+    return {
+      exportId: job._id.toString(),
+      email: job.email,
+      source: { type: job.source.type, folderId: job.source.folderId, query: job.source.query },
+      status: job.status,
+      total: job.total,
+      processed: job.processed,
+      failed: job.failed,
+      size: job.size,
+      error: job.error,
+      createdAt: job.createdAt,
+      completedAt: job.completedAt,
+      expiresAt: job.expiresAt,
+      downloadUrl: job.status === 'completed' ? `/mail/exports/${job._id}/download` : null
+    };
+  }
+
+  emitToUser(worxstreamUserId, event, payload) {
+    const userSocket = emailEnrichmentService.findUserSocket(worxstreamUserId);
+    if (userSocket) {
+      userSocket.emit(event, payload);
+    }
+  }
+}
+
+const mailExportService = new MailExportService();
+export default mailExportService;
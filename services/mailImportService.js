@@ -0,0 +1,197 @@
+// services/mailImportService.js
+import crypto from 'crypto';
+import { simpleParser } from 'mailparser';
+import Email from '../models/email.js';
+import User from '../models/User.js';
+import threadService from './threadService.js';
+import focusAssignmentService from './focusAssignmentService.js';
+import enrichmentQueueService from './enrichmentQueueService.js';
+import { resolveMailbox } from './mailboxAdapter.js';
+import { sanitizeHtml } from '../utils/html.js';
+
+// Imported mail only exists here, it is stored under this folder of the chosen account
+export const IMPORTED_FOLDER = 'Imported';
+export const MAX_IMPORT_SIZE = 50 * 1024 * 1024; // Per uploaded file
+const INLINE_IMAGE_LIMIT = 2 * 1024 * 1024; // Inline images kept in the stored HTML, per message
+
+const importError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const isMbox = (buffer) => buffer.subarray(0, 5).toString('latin1') === 'From ';
+
+// Split an mbox file on its "From " separator lines and undo the >From quoting
+// (mboxrd and mboxo alike). latin1 keeps 8-bit message bytes as they are.
+const splitMbox = (buffer) => {
+  const text = buffer.toString('latin1');
+  const separator = /^From [^\n]*\n/gm;
+  const messages = [];
+  let start = null;
+  let match;
+  while ((match = separator.exec(text))) {
+    if (start !== null) {
+      messages.push(text.slice(start, match.index));
+    }
+    start = match.index + match[0].length;
+  }
+  if (start !== null) {
+    messages.push(text.slice(start));
+  }
+
+  return messages
+    .map(message => message.replace(/\r?\n$/, '').replace(/^>(>*From )/gm, '$1'))
+    .filter(message => message.trim())
+    .map(message => Buffer.from(message, 'latin1'));
+};
+
+// Re-importing the same message gives the same id, so it is stored once
+const importedId = (parsed, raw) =>
+  `imported-${crypto.createHash('sha256').update(parsed.messageId || raw).digest('hex').slice(0, 32)}`;
+
+// Put inline images into the HTML as data URLs, there is no provider to fetch them from later
+const inlineImages = (html, attachments) => {
+  let remaining = INLINE_IMAGE_LIMIT;
+  for (const attachment of attachments) {
+    if (!attachment.contentId || !attachment.contentType?.startsWith('image/') || attachment.size > remaining) {
+      continue;
+    }
+    const cid = attachment.contentId.replace(/^<|>$/g, '');
+    const cidUrl = new RegExp(`cid:${cid.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'g');
+    if (cidUrl.test(html)) {
+      remaining -= attachment.size;
+      html = html.replace(cidUrl, `data:${attachment.contentType};base64,${attachment.content.toString('base64')}`);
+    }
+  }
+  return html;
+};
+
+const toEmailData = (user, email, parsed, raw) => {
+  const text = parsed.text || '';
+  const references = Array.isArray(parsed.references)
+    ? parsed.references
+    : (parsed.references || '').split(/\s+/).filter(Boolean);
+
+  return {
+    id: importedId(parsed, raw),
+    userId: user._id,
+    email,
+    from: parsed.from?.text || '(Unknown sender)',
+    to: parsed.to?.text || '',
+    cc: parsed.cc?.text || '',
+    bcc: parsed.bcc?.text || '',
+    subject: parsed.subject || '(No Subject)',
+    content: sanitizeHtml(inlineImages(parsed.html || parsed.textAsHtml || '', parsed.attachments)),
+    preview: text.replace(/\s+/g, ' ').trim().slice(0, 100),
+    timestamp: parsed.date && !isNaN(parsed.date.getTime()) ? parsed.date : new Date(),
+    read: true, // History from the old client, not new mail
+    folder: IMPORTED_FOLDER,
+    hasAttachments: parsed.attachments.some(attachment => !attachment.related),
+    messageId: parsed.messageId || null,
+    inReplyTo: parsed.inReplyTo || null,
+    references,
+    isProcessed: false
+  };
+};
+
+// Brings mail history from other clients (.eml files and mbox archives) into one of
+// the user's accounts, so it can be searched and gets AI categories like synced mail.
+class MailImportService {
+  // Import uploaded files ({ originalname, buffer }) into the Imported folder of an account.
+  // Messages that were imported before are counted as duplicates and left as they are.
+  async importFiles(worxstreamUserId, email, files = []) {
+    if (!files.length) {
+      throw importError('At least one .eml or mbox file is required', 'INVALID_IMPORT');
+    }
+
+    const user = await User.findOne({ worxstreamUserId: Number(worxstreamUserId) });
+    if (!user) {
+      console.error(`❌ User not found for worxstreamUserId: ${worxstreamUserId}`);
+      throw new Error('User not found');
+    }
+    if (!(await resolveMailbox(worxstreamUserId, email))) {
+      throw importError(`No valid token found for email ${email}`, 'TOKEN_NOT_FOUND');
+    }
+
+    const result = { imported: 0, duplicates: 0, failed: 0, files: [] };
+    const importedDocs = [];
+
+    for (const file of files) {
+      const messages = isMbox(file.buffer) ? splitMbox(file.buffer) : [file.buffer];
+      const fileResult = { name: file.originalname, messages: messages.length, imported: 0, duplicates: 0, failed: 0 };
+
+      for (const raw of messages) {
+        try {
+          const parsed = await simpleParser(raw);
+          const emailData = toEmailData(user, email, parsed, raw);
+          emailData.threadId = await threadService.resolveThreadId(emailData, email);
+
+          try {
+            emailData.focusFolders = await focusAssignmentService.assignFocusFolders(emailData, user._id, email);
+          } catch (error) {
+            console.error('⚠️ Error assigning focus folders:', error);
+            // Continue without focus folder assignment
+          }
+
+          const saved = await Email.findOneAndUpdate(
+            { id: emailData.id, email },
+            { $setOnInsert: emailData },
+            { upsert: true, new: true, includeResultMetadata: true }
+          );
+
+          if (saved.lastErrorObject?.updatedExisting) {
+            fileResult.duplicates++;
+          } else {
+            fileResult.imported++;
+            importedDocs.push(saved.value.toObject());
+          }
+        } catch (error) {
+          console.error(`❌ Failed to import a message from ${file.originalname}:`, error.message);
+          fileResult.failed++;
+        }
+      }
+
+      result.imported += fileResult.imported;
+      result.duplicates += fileResult.duplicates;
+      result.failed += fileResult.failed;
+      result.files.push(fileResult);
+    }
+
+    console.log(`📥 Imported ${result.imported} messages into ${email} (${result.duplicates} duplicates, ${result.failed} failed)`);
+
+    // Categorize in the background, the same way as synced mail
+    if (importedDocs.length > 0) {
+      await enrichmentQueueService.addToQueue(importedDocs);
+    }
+
+    return result;
+  }
+
+  // Provider folders plus the Imported folder once the account has imported mail
+  async withImportedFolder(worxstreamUserId, email, folders) {
+    const user = await User.findOne({ worxstreamUserId: Number(worxstreamUserId) }).select('_id');
+    if (!user) {
+      return folders;
+    }
+
+    const query = { userId: user._id, email, folder: IMPORTED_FOLDER };
+    const totalItemCount = await Email.countDocuments(query);
+    if (totalItemCount === 0) {
+      return folders;
+    }
+
+    return [
+      ...folders,
+      {
+        id: IMPORTED_FOLDER,
+        displayName: IMPORTED_FOLDER,
+        totalItemCount,
+        unreadItemCount: await Email.countDocuments({ ...query, read: false })
+      }
+    ];
+  }
+}
+
+const mailImportService = new MailImportService();
+export default mailImportService;
@@ -0,0 +1,283 @@
+// services/mailSyncService.js
+import MailSyncState from '../models/MailSyncState.js';
+import Email from '../models/email.js';
+import User from '../models/User.js';
+import emailService from './emailService.js';
+import { resolveMailbox } from './mailboxAdapter.js';
+
+export const SYNC_CURSOR_EXPIRED = 'SYNC_CURSOR_EXPIRED';
+
+class MailSyncService {
+  constructor() {
+    this.io = null;
+    this.interval = null;
+    this.isRunning = false;
+    this.checkInterval = 2 * 60 * 1000; // Sync watched folders every 2 minutes
+    this.maxPagesPerRun = 5; // Bound each run, the cursor lets the next run resume
+    this.inFlight = new Map(); // Running syncs keyed by user/account/folder
+  }
+
+  setIO(io) {
+    this.io = io;
+  }
+
+  // Start the background sync of folders that have a cursor
+  start() {
+    if (this.isRunning) {
+      console.log('🔄 Mail sync service is already running');
+      return;
+    }
+
+    console.log('🚀 Starting mail sync service...');
+    this.isRunning = true;
+
+    this.interval = setInterval(() => {
+      this.syncConnectedUsers();
+    }, this.checkInterval);
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      console.log('🔄 Mail sync service is not running');
+      return;
+    }
+
+    console.log('🛑 Stopping mail sync service...');
+    this.isRunning = false;
+
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+
+  // Bring a folder up to date before it is listed: apply the changes since the last sync, or
+  // on first open store the newest page now and build the cursor in the background.
+  // Returns the provider's page token for the mail below what is stored, null when there is none.
+  async refreshFolder(worxstreamUserId, email, folderId, mailbox, user) {
+    const key = { worxstreamUserId: Number(worxstreamUserId), email, folderId };
+    const state = await MailSyncState.findOne(key).select('cursor backfillToken');
+
+    if (state?.cursor) {
+      // Apply adds, updates, moves and deletes since the last sync
+      try {
+        await this.syncFolder(worxstreamUserId, email, folderId);
+      } catch (error) {
+        console.error(`⚠️ Sync failed for ${email}/${folderId}:`, error.message);
+      }
+      if (state.backfillToken !== undefined) {
+        return state.backfillToken;
+      }
+    }
+
+    // First open, or a folder synced before backfill tokens were kept: page from the top
+    const { messages, nextLink } = await mailbox.adapter.getMessagesByFolder(mailbox.token, folderId);
+    await emailService.saveProviderMessages(user, email, folderId, messages);
+
+    await MailSyncState.updateOne(
+      key,
+      { $set: { backfillToken: nextLink || null }, $setOnInsert: { provider: mailbox.provider } },
+      { upsert: true }
+    );
+
+    if (!state?.cursor) {
+      this.syncFolder(worxstreamUserId, email, folderId).catch(error => {
+        console.error(`⚠️ Initial sync failed for ${email}/${folderId}:`, error.message);
+      });
+    }
+
+    return nextLink || null;
+  }
+
+  // Move a folder's backfill token past a page that was just stored. Only the token the page
+  // was fetched with is replaced, so an older cursor paging again cannot move it back.
+  async advanceBackfill(worxstreamUserId, email, folderId, pageToken, nextLink) {
+    await MailSyncState.updateOne(
+      { worxstreamUserId: Number(worxstreamUserId), email, folderId, backfillToken: pageToken },
+      { $set: { backfillToken: nextLink || null } }
+    );
+  }
+
+  // Sync one folder of an account. Concurrent calls for the same folder share a run.
+  async syncFolder(worxstreamUserId, email, folderId) {
+    const key = `${Number(worxstreamUserId)}:${email}:${folderId}`;
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const run = this.runSync(Number(worxstreamUserId), email, folderId)
+      .finally(() => this.inFlight.delete(key));
+
+    this.inFlight.set(key, run);
+    return run;
+  }
+
+  async runSync(worxstreamUserId, email, folderId) {
+    const mailbox = await resolveMailbox(worxstreamUserId, email);
+    if (!mailbox) {
+      throw new Error('Token not found');
+    }
+
+    const user = await User.findOne({ worxstreamUserId });
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    let state = await MailSyncState.findOne({ worxstreamUserId, email, folderId });
+    if (!state) {
+      state = new MailSyncState({
+        worxstreamUserId,
+        email,
+        folderId,
+        provider: mailbox.provider
+      });
+    }
+
+    const delta = { added: [], updated: [], removed: [], moved: [] };
+    let hasMore = true;
+    let pages = 0;
+    let rebuilt = false;
+
+    try {
+      while (hasMore && pages < this.maxPagesPerRun) {
+        let result;
+        try {
+          result = await mailbox.adapter.getFolderChanges(mailbox.token, folderId, state.cursor);
+        } catch (error) {
+          if (error.code !== SYNC_CURSOR_EXPIRED || rebuilt) throw error;
+
+          // Rebuild the cursor in this run, otherwise the background sync would skip the
+          // folder until it is opened again. The newest page covers what changed in between.
+          console.log(`⚠️ Sync cursor expired for ${email}/${folderId}, rebuilding it`);
+          rebuilt = true;
+          result = await mailbox.adapter.getFolderChanges(mailbox.token, folderId, null);
+          const { messages } = await mailbox.adapter.getMessagesByFolder(mailbox.token, folderId);
+          await this.applyChanges(user, email, folderId, messages.map(message => ({ type: 'upsert', message })), delta);
+        }
+        await this.applyChanges(user, email, folderId, result.changes, delta);
+
+        // Persist after every page so an interrupted run resumes where it stopped
+        state.cursor = result.cursor;
+        state.lastError = null;
+        await state.save();
+
+        hasMore = result.hasMore;
+        pages++;
+      }
+    } catch (error) {
+      state.lastError = error.message;
+      await state.save();
+      throw error;
+    }
+
+    state.lastSyncedAt = new Date();
+    await state.save();
+
+    const changeCount = delta.added.length + delta.updated.length + delta.removed.length + delta.moved.length;
+    if (changeCount > 0) {
+      console.log(`🔄 Synced ${changeCount} changes for ${email}/${folderId}`);
+      this.emitDelta(worxstreamUserId, {
+        email,
+        folderId,
+        added: delta.added.map(this.toClientMessage),
+        updated: delta.updated.map(this.toClientMessage),
+        removed: delta.removed,
+        moved: delta.moved,
+        hasMore
+      });
+    }
+
+    return { ...delta, hasMore };
+  }
+
+  // Apply normalized provider changes to the Email collection and collect them into delta
+  async applyChanges(user, email, folderId, changes, delta) {
+    if (!changes || changes.length === 0) return;
+
+    const upserts = changes.filter(change => change.type === 'upsert').map(change => change.message);
+    if (upserts.length > 0) {
+      const existing = await Email.find({ email, id: { $in: upserts.map(msg => msg.id) } }).select('id');
+      const existingIds = new Set(existing.map(doc => doc.id));
+
+      const saved = await emailService.saveProviderMessages(user, email, folderId, upserts);
+      saved.forEach(doc => {
+        (existingIds.has(doc.id) ? delta.updated : delta.added).push(doc);
+      });
+    }
+
+    for (const change of changes) {
+      if (change.type === 'delete') {
+        // Only drop the local copy if it still belongs to the synced folder
+        const result = await Email.deleteOne({ email, id: change.id, folder: folderId });
+        if (result.deletedCount > 0) {
+          delta.removed.push(change.id);
+        }
+      } else if (change.type === 'move') {
+        const result = await Email.updateOne(
+          { email, id: change.id, folder: folderId },
+          { $set: { folder: change.folder, updatedAt: new Date() } }
+        );
+        if (result.modifiedCount > 0) {
+          delta.moved.push({ id: change.id, from: folderId, to: change.folder });
+        }
+      }
+    }
+  }
+
+  toClientMessage(doc) {
+    return {
+      ...doc.toObject(),
+      dbId: doc._id.toString()
+    };
+  }
+
+  // Push a mail:delta event to every connected socket of the user
+  emitDelta(worxstreamUserId, payload) {
+    if (!this.io) {
+      console.log('⚠️ Socket.IO not available for mail delta');
+      return;
+    }
+
+    this.io.sockets.sockets.forEach((socket) => {
+      const socketUserId = socket.worxstreamUserId ?? socket.user?.id;
+      if (String(socketUserId) === String(worxstreamUserId)) {
+        socket.emit('mail:delta', payload);
+      }
+    });
+  }
+
+  // Sync every folder with a cursor for users that currently have a socket open
+  async syncConnectedUsers() {
+    if (!this.io) return;
+
+    try {
+      const connectedUserIds = new Set();
+      this.io.sockets.sockets.forEach((socket) => {
+        const socketUserId = socket.worxstreamUserId ?? socket.user?.id;
+        if (socketUserId) {
+          connectedUserIds.add(Number(socketUserId));
+        }
+      });
+
+      if (connectedUserIds.size === 0) return;
+
+      const states = await MailSyncState.find({
+        worxstreamUserId: { $in: [...connectedUserIds] },
+        cursor: { $ne: null }
+      });
+
+      for (const state of states) {
+        try {
+          await this.syncFolder(state.worxstreamUserId, state.email, state.folderId);
+        } catch (error) {
+          console.error(`❌ Background sync failed for ${state.email}/${state.folderId}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error in mail sync service:', error);
+    }
+  }
+}
+
+const mailSyncService = new MailSyncService();
+export default mailSyncService;
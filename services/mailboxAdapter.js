@@ -0,0 +1,99 @@
+// services/mailboxAdapter.js
+import * as outlookService from './outlookService.js';
+import * as gmailService from './gmailService.js';
+import * as imapService from './imapService.js';
+import Token from '../models/Token.js';
+import { getToken } from '../utils/tokenManager.js';
+
+// Operations every provider service has to implement so socket handlers and
+// services can work with a mailbox without knowing which provider backs it
+export const MAILBOX_OPERATIONS = [
+  'getMailFolders',
+  'getWellKnownFolderIds',
+  'getMessagesByFolder',
+  'getFolderChanges',
+  'getMessageById',
+  'getRawMessage',
+  'getAttachmentsByMessageId',
+  'getAttachmentContent',
+  'sendEmail',
+  'replyToEmail',
+  'replyAllToEmail',
+  'forwardMessage',
+  'saveDraft',
+  'sendDraft',
+  'deleteDraft',
+  'deleteMessage',
+  'moveMessage',
+  'copyMessage',
+  'archiveMessage',
+  'getSnoozeFolder',
+  'bulkUpdateMessages',
+  'markMessageRead',
+  'markMessageImportant',
+  'labelMessage',
+  'flagMessage'
+];
+
+const createAdapter = (provider, service) => {
+  const adapter = { provider };
+
+  for (const operation of MAILBOX_OPERATIONS) {
+    if (typeof service[operation] !== 'function') {
+      throw new Error(`Mailbox adapter for ${provider} is missing operation: ${operation}`);
+    }
+    adapter[operation] = service[operation];
+  }
+
+  return Object.freeze(adapter);
+};
+
+const adapters = new Map([
+  ['outlook', createAdapter('outlook', outlookService)],
+  ['gmail', createAdapter('gmail', gmailService)],
+  ['imap', createAdapter('imap', imapService)]
+]);
+
+// Get the adapter for a provider name
+export const getMailboxAdapter = (provider) => {
+  const adapter = adapters.get(provider);
+  if (!adapter) {
+    throw new Error(`Unsupported provider: ${provider}`);
+  }
+  return adapter;
+};
+
+// Look up the provider stored for a linked account
+export const getAccountProvider = async (worxstreamUserId, email) => {
+  try {
+    const tokenDoc = await Token.findOne({
+      worxstreamUserId: Number(worxstreamUserId),
+      email
+    }).select('provider');
+
+    return tokenDoc?.provider || null;
+  } catch (error) {
+    console.error(`❌ Error getting provider for ${email}:`, error);
+    return null;
+  }
+};
+
+// 📬 Resolve the adapter and a valid access token for a linked account.
+// Returns null when the account is not connected or its token cannot be refreshed.
+export const resolveMailbox = async (worxstreamUserId, email) => {
+  const provider = await getAccountProvider(worxstreamUserId, email);
+  if (!provider) {
+    return null;
+  }
+
+  const token = await getToken(worxstreamUserId, email, provider);
+  if (!token) {
+    return null;
+  }
+
+  return {
+    provider,
+    token,
+    adapter: getMailboxAdapter(provider)
+  };
+};
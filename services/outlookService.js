@@ -1,44 +1,150 @@
 import axios from 'axios';
 import { simpleParser } from 'mailparser';
+import { escapeHtml, looksLikeHtml } from '../utils/mailMessage.js';
+const GRAPH_API_URL = 'https://graph.microsoft.com/v1.0';
+// Graph rejects request bodies over 4 MB, bigger files go through an upload session
+const INLINE_ATTACHMENT_LIMIT = 3 * 1024 * 1024;
+// Attachments travel base64 encoded inside the JSON body
+const base64Size = (attachments) => attachments.reduce((sum, att) => sum + Math.ceil(att.content.length / 3) * 4, 0);
+const UPLOAD_CHUNK_SIZE = 320 * 1024 * 12; // Upload session chunks must be multiples of 320 KiB
+
+const toRecipientList = (recipients) =>
+  recipients
+    ? recipients.split(',').map(addr => ({
+        emailAddress: { address: addr.trim() }
+      }))
+    : [];
+
+const toFileAttachment = (att) => ({
+  '@odata.type': '#microsoft.graph.fileAttachment',
+  name: att.filename,
+  contentType: att.contentType,
+  contentBytes: att.content.toString('base64'),
+  isInline: !!att.isInline,
+  ...(att.contentId ? { contentId: att.contentId } : {})
+});
+
+// Upload an attachment that is too big for a single request to a draft message.
+// Returns the new attachment's id, taken from the Location of the final chunk.
+async function uploadLargeAttachment(accessToken, draftId, att) {
+  const sessionRes = await axios.post(
+    `${GRAPH_API_URL}/me/messages/${draftId}/attachments/createUploadSession`,
+    {
+      AttachmentItem: {
+        attachmentType: 'file',
+        name: att.filename,
+        size: att.content.length,
+        contentType: att.contentType,
+        isInline: !!att.isInline,
+        ...(att.contentId ? { contentId: att.contentId } : {})
+      }
+    },
+    {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      }
+    }
+  );
+
+  const { uploadUrl } = sessionRes.data;
+  const total = att.content.length;
+
+  let res;
+  for (let start = 0; start < total; start += UPLOAD_CHUNK_SIZE) {
+    const chunk = att.content.subarray(start, Math.min(start + UPLOAD_CHUNK_SIZE, total));
+    // The upload URL is pre-authenticated, sending the bearer token makes Graph reject it
+    res = await axios.put(uploadUrl, chunk, {
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': chunk.length,
+        'Content-Range': `bytes ${start}-${start + chunk.length - 1}/${total}`
+      },
+      maxBodyLength: Infinity
+    });
+  }
+
+  return res?.headers?.location?.match(/Attachments\('([^']+)'\)/i)?.[1] || null;
+}
+
+// Add one attachment to a draft, through an upload session when it is too big for a single
+// request. Returns the attachment id.
+async function addDraftAttachment(accessToken, draftId, att) {
+  if (att.content.length > INLINE_ATTACHMENT_LIMIT) {
+    return uploadLargeAttachment(accessToken, draftId, att);
+  }
+
+  const res = await axios.post(
+    `${GRAPH_API_URL}/me/messages/${draftId}/attachments`,
+    toFileAttachment(att),
+    {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      maxBodyLength: Infinity
+    }
+  );
+  return res.data.id;
+}
+
+// Quoted original below a reply, in the layout Outlook uses for createReply
+const quoteOriginal = (original) => {
+  const from = original.from?.emailAddress || {};
+  const sender = from.name ? `${from.name} <${from.address}>` : from.address || '';
+  const body = original.body?.contentType === 'html'
+    ? original.body.content
+    : escapeHtml(original.body?.content || '').replace(/\n/g, '<br>');
+
+  return '<hr style="display:inline-block;width:98%"><div id="divRplyFwdMsg">' +
+    `<b>From:</b> ${escapeHtml(sender)}<br><b>Sent:</b> ${new Date(original.sentDateTime).toUTCString()}<br>` +
+    `<b>Subject:</b> ${escapeHtml(original.subject || '')}</div><br>${body}`;
+};
+
 // 📤 Send email
-async function sendEmail(accessToken, { to, subject = '', body, cc, bcc }) {
+async function sendEmail(accessToken, { to, subject = '', body, text, html, cc, bcc, attachments = [] }) {
   try {
     const message = {
       subject,
-      body: {
-        contentType: 'Text',
-        content: body
-      },
-      toRecipients: to
-        ? to.split(',').map(addr => ({
-            emailAddress: { address: addr.trim() }
-          }))
-        : [],
-      ccRecipients: cc
-        ? cc.split(',').map(addr => ({
-            emailAddress: { address: addr.trim() }
-          }))
-        : [],
-      bccRecipients: bcc
-        ? bcc.split(',').map(addr => ({
-            emailAddress: { address: addr.trim() }
-          }))
-        : []
+      // Graph messages carry a single body, HTML wins when both are given
+      body: html
+        ? { contentType: 'HTML', content: html }
+        : { contentType: 'Text', content: text ?? body ?? '' },
+      toRecipients: toRecipientList(to),
+      ccRecipients: toRecipientList(cc),
+      bccRecipients: toRecipientList(bcc)
     };
 
-    await axios.post(
-      'https://graph.microsoft.com/v1.0/me/sendMail',
-      {
-        message,
-        saveToSentItems: true
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-          'Content-Type': 'application/json'
-        }
+    const headers = {
+      Authorization: `Bearer ${accessToken}`,
+      'Content-Type': 'application/json'
+    };
+
+    // Decided on the combined size, several small files can be over the limit together
+    if (base64Size(attachments) <= INLINE_ATTACHMENT_LIMIT) {
+      if (attachments.length > 0) {
+        message.attachments = attachments.map(toFileAttachment);
       }
-    );
+
+      await axios.post(
+        `${GRAPH_API_URL}/me/sendMail`,
+        {
+          message,
+          saveToSentItems: true
+        },
+        { headers }
+      );
+    } else {
+      // Too big for one request: create a draft, add the files one request each, then send it
+      const draftRes = await axios.post(`${GRAPH_API_URL}/me/messages`, message, { headers });
+      const draftId = draftRes.data.id;
+
+      for (const att of attachments) {
+        await addDraftAttachment(accessToken, draftId, att);
+      }
+
+      await axios.post(`${GRAPH_API_URL}/me/messages/${draftId}/send`, null, { headers });
+    }
 
     return { success: true };
   } catch (err) {
@@ -109,6 +215,147 @@ async function replyAllToEmail(accessToken, { messageId, comment, toRecipients,
   }
 }
 
+// 📧 Forward a message, Graph keeps the original attachments
+async function forwardMessage(accessToken, { messageId, comment, toRecipients }) {
+  try {
+    console.log(`📧 Forwarding message ${messageId}`);
+
+    await axios.post(
+      `${GRAPH_API_URL}/me/messages/${messageId}/forward`,
+      {
+        comment: comment || '',
+        toRecipients: toRecipients || []
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    console.log(`✅ Message ${messageId} forwarded`);
+    return { success: true };
+  } catch (err) {
+    console.error('❌ Failed to forward email:', err?.response?.data || err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+// 📝 Create or update a draft in the Drafts folder. Reply drafts are created with
+// createReply/createReplyAll so Graph adds the quoted original and threading headers.
+// Attachments carry the providerAttachmentId returned by the previous save, so only new
+// files are uploaded and removed ones deleted; attachmentIds lists the ids in order.
+// Errors are thrown so the caller can recreate a draft that was removed in Outlook.
+async function saveDraft(accessToken, { draftId = null, to, cc, bcc, subject = '', text = '', html, attachments = [], replyTo = null }) {
+  const headers = {
+    Authorization: `Bearer ${accessToken}`,
+    'Content-Type': 'application/json'
+  };
+
+  const recipients = {
+    toRecipients: toRecipientList(to),
+    ccRecipients: toRecipientList(cc),
+    bccRecipients: toRecipientList(bcc)
+  };
+  let id = draftId;
+
+  if (replyTo?.messageId) {
+    // Keep the recipients Graph picked unless the user changed them
+    const overrides = Object.fromEntries(
+      Object.entries(recipients).filter(([, list]) => list.length > 0)
+    );
+    if (subject) overrides.subject = subject;
+
+    if (draftId) {
+      // Graph only quotes the original on creation, an update puts the quote back behind the new comment
+      const original = await axios.get(
+        `${GRAPH_API_URL}/me/messages/${replyTo.messageId}?$select=from,sentDateTime,subject,body`,
+        { headers }
+      );
+      const comment = html || (looksLikeHtml(text) ? text : escapeHtml(text || '').replace(/\n/g, '<br>'));
+      overrides.body = { contentType: 'HTML', content: `${comment}<br><br>${quoteOriginal(original.data)}` };
+    } else {
+      const action = replyTo.replyAll ? 'createReplyAll' : 'createReply';
+      const draftRes = await axios.post(
+        `${GRAPH_API_URL}/me/messages/${replyTo.messageId}/${action}`,
+        { comment: html || text || '' },
+        { headers }
+      );
+      id = draftRes.data.id;
+    }
+
+    if (Object.keys(overrides).length > 0) {
+      await axios.patch(`${GRAPH_API_URL}/me/messages/${id}`, overrides, { headers });
+    }
+  } else {
+    const message = {
+      subject,
+      body: html
+        ? { contentType: 'HTML', content: html }
+        : { contentType: 'Text', content: text || '' },
+      ...recipients
+    };
+
+    if (draftId) {
+      await axios.patch(`${GRAPH_API_URL}/me/messages/${draftId}`, message, { headers });
+    } else {
+      // Messages created through /me/messages are drafts until sent
+      const draftRes = await axios.post(`${GRAPH_API_URL}/me/messages`, message, { headers });
+      id = draftRes.data.id;
+    }
+  }
+
+  const existing = draftId
+    ? (await axios.get(`${GRAPH_API_URL}/me/messages/${draftId}/attachments?$select=id`, { headers })).data.value.map(att => att.id)
+    : [];
+  const kept = new Set(attachments.map(att => att.providerAttachmentId).filter(attId => existing.includes(attId)));
+
+  for (const attId of existing) {
+    if (!kept.has(attId)) {
+      await axios.delete(`${GRAPH_API_URL}/me/messages/${id}/attachments/${attId}`, { headers });
+    }
+  }
+
+  const attachmentIds = [];
+  for (const att of attachments) {
+    attachmentIds.push(kept.has(att.providerAttachmentId)
+      ? att.providerAttachmentId
+      : await addDraftAttachment(accessToken, id, att));
+  }
+
+  return { draftId: id, messageId: id, attachmentIds };
+}
+
+// 📤 Send a draft as it is stored in Outlook
+async function sendDraft(accessToken, draftId) {
+  try {
+    await axios.post(`${GRAPH_API_URL}/me/messages/${draftId}/send`, null, {
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+    return { success: true };
+  } catch (err) {
+    console.error('❌ Failed to send draft:', err?.response?.data || err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+// 🗑️ Delete a draft, a draft that is already gone counts as deleted
+async function deleteDraft(accessToken, draftId) {
+  try {
+    await axios.delete(`${GRAPH_API_URL}/me/messages/${draftId}`, {
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+    return true;
+  } catch (err) {
+    if (err.response?.status === 404) {
+      return true;
+    }
+    console.error('❌ Failed to delete draft:', err?.response?.data || err.message);
+    throw err;
+  }
+}
+
 // get folders with count 
 async function getMailFolders(accessToken) {
   try {
@@ -133,6 +380,39 @@ async function getMailFolders(accessToken) {
   }
 }
 
+// Graph well-known names of the folders the unified views cover
+const WELL_KNOWN_FOLDERS = {
+  inbox: 'inbox',
+  sent: 'sentitems',
+  drafts: 'drafts',
+  trash: 'deleteditems',
+  spam: 'junkemail',
+  archive: 'archive'
+};
+
+// 📂 Ids a well-known folder (inbox, sent, drafts, trash, spam, archive) can be stored under:
+// its folder id and the Graph well-known name clients may also list it by
+async function getWellKnownFolderIds(accessToken, name) {
+  const wellKnownName = WELL_KNOWN_FOLDERS[name];
+  if (!wellKnownName) {
+    throw new Error(`Unknown folder: ${name}`);
+  }
+
+  try {
+    const res = await axios.get(`${GRAPH_API_URL}/me/mailFolders/${wellKnownName}?$select=id`, {
+      headers: { Authorization: `Bearer ${accessToken}` }
+    });
+    return [res.data.id, wellKnownName];
+  } catch (err) {
+    // Mailboxes without an archive folder return 404
+    if (err.response?.status === 404) {
+      return [];
+    }
+    console.error(`❌ Failed to resolve folder ${name}:`, err?.response?.data || err.message);
+    throw err;
+  }
+}
+
 // get mail by id 
 async function getMessageById(accessToken, messageId) {
   try {
@@ -140,7 +420,7 @@ async function getMessageById(accessToken, messageId) {
     
     // First get the message metadata including importance
     const metadataRes = await axios.get(
-      `https://graph.microsoft.com/v1.0/me/messages/${messageId}?$select=id,importance,isRead,flag`,
+      `https://graph.microsoft.com/v1.0/me/messages/${messageId}?$select=id,importance,isRead,flag,conversationId`,
       {
         headers: {
           Authorization: `Bearer ${accessToken}`
@@ -164,9 +444,15 @@ async function getMessageById(accessToken, messageId) {
     const parsed = await simpleParser(mimeRes.data);
     console.log(`📎 Raw attachments from MIME:`, parsed.attachments);
 
+    // Graph attachment IDs, so clients can download attachments through the proxy endpoint
+    const graphAttachments = await listAttachmentMetadata(accessToken, messageId);
+    const findGraphAttachment = (att) =>
+      graphAttachments.find(graphAtt => att.cid && graphAtt.contentId?.replace(/^<|>$/g, '') === att.cid) ||
+      graphAttachments.find(graphAtt => graphAtt.name === att.filename);
+
     // Inline + regular attachments
     const attachments = parsed.attachments.map(att => ({
-      id: att.cid || att.checksum || att.filename,
+      id: findGraphAttachment(att)?.id || att.cid || att.checksum || att.filename,
       name: att.filename,
       contentId: att.cid,
       contentType: att.contentType,
@@ -190,6 +476,10 @@ async function getMessageById(accessToken, messageId) {
       folder: null, // Not available in MIME
       important: metadataRes.data.importance === "high",
       flagged: metadataRes.data.flag?.flagStatus === "flagged",
+      threadId: metadataRes.data.conversationId || null,
+      messageId: parsed.messageId || null,
+      inReplyTo: parsed.inReplyTo || null,
+      references: [].concat(parsed.references || []),
       attachments
     };
   } catch (err) {
@@ -199,43 +489,66 @@ async function getMessageById(accessToken, messageId) {
 }
 
 
+const MESSAGE_SELECT_FIELDS = 'id,subject,from,toRecipients,ccRecipients,bccRecipients,bodyPreview,body,receivedDateTime,isRead,importance,flag,conversationId,internetMessageId,hasAttachments';
+
+// Graph dateTimeTimeZone values carry the zone separately from the timestamp
+const parseGraphDateTime = ({ dateTime, timeZone } = {}) => {
+  if (!dateTime) return null;
+  const date = new Date(timeZone === 'UTC' && !dateTime.endsWith('Z') ? `${dateTime}Z` : dateTime);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// map a Graph message to our message shape
+const mapGraphMessage = (msg, folderId) => {
+  const mappedMsg = {
+    id: msg.id,
+    from: `${msg.from?.emailAddress?.name || ''} <${msg.from?.emailAddress?.address || ''}>`,
+    to: msg.toRecipients?.map(r => `${r.emailAddress?.name || ''} <${r.emailAddress?.address || ''}>`).join(', ') || '',
+    cc: msg.ccRecipients?.map(r => `${r.emailAddress?.name || ''} <${r.emailAddress?.address || ''}>`).join(', ') || '',
+    bcc: msg.bccRecipients?.map(r => `${r.emailAddress?.name || ''} <${r.emailAddress?.address || ''}>`).join(', ') || '',
+    subject: msg.subject || '(No Subject)',
+    preview: msg.bodyPreview || '',
+    content: msg.body?.content || '',
+    timestamp: msg.receivedDateTime,
+    read: msg.isRead || false,
+    folder: folderId,
+    important: msg.importance === "high",
+    flagged: msg.flag?.flagStatus === "flagged",
+    followUpAt: msg.flag?.flagStatus === "flagged" ? parseGraphDateTime(msg.flag.dueDateTime) : null,
+    hasAttachments: msg.hasAttachments || false,
+    conversationId: msg.conversationId,
+    threadId: msg.conversationId || null,
+    messageId: msg.internetMessageId || null
+  };
+
+  // Ensure all required fields are present
+  if (!mappedMsg.id || !mappedMsg.from || !mappedMsg.timestamp) {
+    console.error('❌ Message missing required fields:', mappedMsg);
+    return null;
+  }
+
+  return mappedMsg;
+};
+
 // get messages by folder
 async function getMessagesByFolder(accessToken, folderId, nextLink = null, top = 20) {
   try {
+    // Page links come back from clients inside list cursors, only send the token to Graph
+    if (nextLink && !nextLink.startsWith(`${GRAPH_API_URL}/`)) {
+      throw new Error('Page link is not a Graph URL');
+    }
+
     const url = nextLink
       ? nextLink
-      : `https://graph.microsoft.com/v1.0/me/mailFolders/${folderId}/messages?$top=${top}&$orderby=receivedDateTime desc&$select=id,subject,from,toRecipients,ccRecipients,bccRecipients,bodyPreview,body,receivedDateTime,isRead,importance,flag,conversationId`;
+      : `https://graph.microsoft.com/v1.0/me/mailFolders/${folderId}/messages?$top=${top}&$orderby=receivedDateTime desc&$select=${MESSAGE_SELECT_FIELDS}`;
 
     const res = await axios.get(url, {
       headers: { Authorization: `Bearer ${accessToken}` }
     });
 
-    const messages = res.data.value.map(msg => {
-      const mappedMsg = {
-        id: msg.id,
-        from: `${msg.from?.emailAddress?.name || ''} <${msg.from?.emailAddress?.address || ''}>`,
-        to: msg.toRecipients?.map(r => `${r.emailAddress?.name || ''} <${r.emailAddress?.address || ''}>`).join(', ') || '',
-        cc: msg.ccRecipients?.map(r => `${r.emailAddress?.name || ''} <${r.emailAddress?.address || ''}>`).join(', ') || '',
-        bcc: msg.bccRecipients?.map(r => `${r.emailAddress?.name || ''} <${r.emailAddress?.address || ''}>`).join(', ') || '',
-        subject: msg.subject || '(No Subject)',
-        preview: msg.bodyPreview || '',
-        content: msg.body?.content || '',
-        timestamp: msg.receivedDateTime,
-        read: msg.isRead || false,
-        folder: folderId,
-        important: msg.importance === "high",
-        flagged: msg.flag?.flagStatus === "flagged",
-        conversationId: msg.conversationId
-      };
-
-      // Ensure all required fields are present
-      if (!mappedMsg.id || !mappedMsg.from || !mappedMsg.timestamp) {
-        console.error('❌ Message missing required fields:', mappedMsg);
-        return null;
-      }
-
-      return mappedMsg;
-    }).filter(Boolean); // Remove any null messages
+    const messages = res.data.value
+      .map(msg => mapGraphMessage(msg, folderId))
+      .filter(Boolean); // Remove any null messages
 
     return {
       messages,
@@ -250,13 +563,55 @@ async function getMessagesByFolder(accessToken, folderId, nextLink = null, top =
   }
 }
 
+// get changes in a folder since the last sync using a Graph delta query.
+// The cursor is the nextLink of an unfinished round or the deltaLink of the last one.
+async function getFolderChanges(accessToken, folderId, cursor = null) {
+  try {
+    const url = cursor
+      ? cursor
+      : `https://graph.microsoft.com/v1.0/me/mailFolders/${folderId}/messages/delta?$select=${MESSAGE_SELECT_FIELDS}`;
+
+    const res = await axios.get(url, {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        Prefer: 'odata.maxpagesize=50'
+      }
+    });
+
+    const changes = res.data.value.map(msg => {
+      // Deleted messages and messages moved to another folder come back as removed
+      if (msg['@removed']) {
+        return { type: 'delete', id: msg.id };
+      }
+
+      const mappedMsg = mapGraphMessage(msg, folderId);
+      return mappedMsg ? { type: 'upsert', message: mappedMsg } : null;
+    }).filter(Boolean);
+
+    const nextLink = res.data['@odata.nextLink'] || null;
+
+    return {
+      changes,
+      cursor: nextLink || res.data['@odata.deltaLink'] || null,
+      hasMore: !!nextLink
+    };
+  } catch (err) {
+    if (err.response?.status === 410) {
+      const expiredError = new Error('Outlook delta token expired');
+      expiredError.code = 'SYNC_CURSOR_EXPIRED';
+      throw expiredError;
+    }
+    console.error('❌ Failed to fetch folder changes:', err?.response?.data || err.message);
+    throw err;
+  }
+}
 
 // mark message as read
-async function markMessageRead(accessToken, messageId) {
+async function markMessageRead(accessToken, messageId, read = true) {
   try {
     return await axios.patch(
       `https://graph.microsoft.com/v1.0/me/messages/${messageId}`,
-      { isRead: true },
+      { isRead: read },
       {
         headers: {
           Authorization: `Bearer ${accessToken}`,
@@ -270,6 +625,62 @@ async function markMessageRead(accessToken, messageId) {
   }
 }
 
+// 🚩 Flag or unflag a message, with an optional follow-up due date
+async function flagMessage(accessToken, messageId, { flagged = true, dueDate = null } = {}) {
+  try {
+    let flag = { flagStatus: 'notFlagged' };
+    if (flagged) {
+      flag = { flagStatus: 'flagged' };
+      if (dueDate) {
+        // Graph only accepts a due date together with a start date
+        flag.startDateTime = { dateTime: new Date().toISOString(), timeZone: 'UTC' };
+        flag.dueDateTime = { dateTime: new Date(dueDate).toISOString(), timeZone: 'UTC' };
+      }
+    }
+
+    await axios.patch(
+      `${GRAPH_API_URL}/me/messages/${messageId}`,
+      { flag },
+      {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    return true;
+  } catch (err) {
+    console.error('❌ Failed to update flag:', err.response?.data || err.message);
+    throw err;
+  }
+}
+
+// 🏷️ Add an Outlook category to a message, the closest thing Outlook has to a label
+async function labelMessage(accessToken, messageId, label) {
+  const headers = {
+    Authorization: `Bearer ${accessToken}`,
+    'Content-Type': 'application/json'
+  };
+
+  try {
+    const res = await axios.get(`${GRAPH_API_URL}/me/messages/${messageId}?$select=categories`, { headers });
+    const categories = res.data.categories || [];
+    if (categories.includes(label)) {
+      return true;
+    }
+
+    await axios.patch(
+      `${GRAPH_API_URL}/me/messages/${messageId}`,
+      { categories: [...categories, label] },
+      { headers }
+    );
+    return true;
+  } catch (err) {
+    console.error('❌ Failed to label message:', err.response?.data || err.message);
+    throw err;
+  }
+}
+
 // mark message as important and/or flagged
 async function markMessageImportant(accessToken, messageId, important = true) {
   try {
@@ -293,7 +704,86 @@ async function markMessageImportant(accessToken, messageId, important = true) {
   }
 }
 
-// get attachments by message id
+// list attachment metadata (without content) of a message
+async function listAttachmentMetadata(accessToken, messageId) {
+  try {
+    const res = await axios.get(
+      `${GRAPH_API_URL}/me/messages/${messageId}/attachments?$select=id,name,contentType,size,isInline`,
+      {
+        headers: { Authorization: `Bearer ${accessToken}` }
+      }
+    );
+    return res.data.value;
+  } catch (err) {
+    console.error("❌ Failed to list attachments:", err.response?.data || err.message);
+    return [];
+  }
+}
+
+// stream the content of one attachment; the Range header is passed on to Graph
+// and rangeApplied tells the caller whether Graph answered with partial content
+async function getAttachmentContent(accessToken, messageId, attachmentId, range = null) {
+  try {
+    const metadataRes = await axios.get(
+      `${GRAPH_API_URL}/me/messages/${messageId}/attachments/${attachmentId}?$select=id,name,contentType,size`,
+      {
+        headers: { Authorization: `Bearer ${accessToken}` }
+      }
+    );
+
+    const contentRes = await axios.get(
+      `${GRAPH_API_URL}/me/messages/${messageId}/attachments/${attachmentId}/$value`,
+      {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          ...(range ? { Range: `bytes=${range.start}-${range.end ?? ''}` } : {})
+        },
+        responseType: 'stream'
+      }
+    );
+
+    const rangeApplied = contentRes.status === 206;
+    let size = metadataRes.data.size;
+    if (rangeApplied) {
+      const total = contentRes.headers['content-range']?.split('/')[1];
+      if (total && total !== '*') size = Number(total);
+    } else if (contentRes.headers['content-length']) {
+      size = Number(contentRes.headers['content-length']);
+    }
+
+    return {
+      filename: metadataRes.data.name,
+      contentType: metadataRes.data.contentType || 'application/octet-stream',
+      size,
+      stream: contentRes.data,
+      rangeApplied
+    };
+  } catch (err) {
+    if (err.response?.status === 404) {
+      return null;
+    }
+    console.error("❌ Failed to fetch attachment content:", err.response?.data || err.message);
+    throw err;
+  }
+}
+
+// Get the RFC 822 source of a message, null when it does not exist
+async function getRawMessage(accessToken, messageId) {
+  try {
+    const res = await axios.get(`${GRAPH_API_URL}/me/messages/${messageId}/$value`, {
+      headers: { Authorization: `Bearer ${accessToken}` },
+      responseType: 'arraybuffer'
+    });
+    return Buffer.from(res.data);
+  } catch (err) {
+    if (err.response?.status === 404) {
+      return null;
+    }
+    console.error('❌ Failed to fetch raw message:', err.message);
+    throw err;
+  }
+}
+
 // get attachments by message id
 async function getAttachmentsByMessageId(accessToken, messageId) {
   try {
@@ -335,6 +825,159 @@ async function getAttachmentsByMessageId(accessToken, messageId) {
   }
 }
 
+// 📁 Move a message to another folder. Graph gives the moved message a new id.
+async function moveMessage(accessToken, messageId, destinationFolderId) {
+  try {
+    const res = await axios.post(
+      `${GRAPH_API_URL}/me/messages/${messageId}/move`,
+      { destinationId: destinationFolderId },
+      {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    // parentFolderId resolves well-known names like 'archive' to the folder id
+    return { id: res.data.id, folder: res.data.parentFolderId || destinationFolderId };
+  } catch (err) {
+    console.error('❌ Failed to move message:', err?.response?.data || err.message);
+    throw err;
+  }
+}
+
+// 📁 Copy a message into another folder, the copy has its own id
+async function copyMessage(accessToken, messageId, destinationFolderId) {
+  try {
+    const res = await axios.post(
+      `${GRAPH_API_URL}/me/messages/${messageId}/copy`,
+      { destinationId: destinationFolderId },
+      {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    // parentFolderId resolves well-known names like 'archive' to the folder id
+    return { id: res.data.id, folder: res.data.parentFolderId || destinationFolderId };
+  } catch (err) {
+    console.error('❌ Failed to copy message:', err?.response?.data || err.message);
+    throw err;
+  }
+}
+
+// 📁 Archive = move to the well-known Archive folder
+async function archiveMessage(accessToken, messageId) {
+  return moveMessage(accessToken, messageId, 'archive');
+}
+
+// Snoozed messages wait in this top-level folder
+const SNOOZE_FOLDER_NAME = 'Snoozed';
+
+// 💤 Id of the snooze folder, created on first use
+async function getSnoozeFolder(accessToken) {
+  const headers = {
+    Authorization: `Bearer ${accessToken}`,
+    'Content-Type': 'application/json'
+  };
+
+  try {
+    const res = await axios.get(
+      `${GRAPH_API_URL}/me/mailFolders?$filter=displayName eq '${SNOOZE_FOLDER_NAME}'&$select=id`,
+      { headers }
+    );
+    if (res.data.value.length > 0) {
+      return res.data.value[0].id;
+    }
+
+    const created = await axios.post(
+      `${GRAPH_API_URL}/me/mailFolders`,
+      { displayName: SNOOZE_FOLDER_NAME },
+      { headers }
+    );
+    return created.data.id;
+  } catch (err) {
+    console.error('❌ Failed to get snooze folder:', err?.response?.data || err.message);
+    throw err;
+  }
+}
+
+// Graph accepts at most 20 requests per $batch call
+const GRAPH_BATCH_LIMIT = 20;
+
+// The request a bulk action makes for one message inside a $batch
+const toBatchRequest = (messageId, action, folderId) => {
+  const url = `/me/messages/${messageId}`;
+  const headers = { 'Content-Type': 'application/json' };
+
+  switch (action) {
+    case 'markRead':
+      return { method: 'PATCH', url, headers, body: { isRead: true } };
+    case 'markUnread':
+      return { method: 'PATCH', url, headers, body: { isRead: false } };
+    case 'flag':
+      return { method: 'PATCH', url, headers, body: { flag: { flagStatus: 'flagged' } } };
+    case 'unflag':
+      return { method: 'PATCH', url, headers, body: { flag: { flagStatus: 'notFlagged' } } };
+    case 'delete':
+      return { method: 'DELETE', url };
+    case 'move':
+      return { method: 'POST', url: `${url}/move`, headers, body: { destinationId: folderId } };
+    default:
+      throw new Error(`Unsupported bulk action: ${action}`);
+  }
+};
+
+// Apply one action to many messages through Graph $batch. Returns a result per
+// message (moves carry the new id); onProgress is called with the results of every batch.
+async function bulkUpdateMessages(accessToken, messageIds, action, { folderId = null, onProgress } = {}) {
+  const results = [];
+
+  for (let start = 0; start < messageIds.length; start += GRAPH_BATCH_LIMIT) {
+    const ids = messageIds.slice(start, start + GRAPH_BATCH_LIMIT);
+    const requests = ids.map((id, index) => ({ id: String(index), ...toBatchRequest(id, action, folderId) }));
+    let chunkResults;
+
+    try {
+      const res = await axios.post(
+        `${GRAPH_API_URL}/$batch`,
+        { requests },
+        {
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      chunkResults = ids.map((id, index) => {
+        const response = res.data.responses.find(r => r.id === String(index));
+        if (!response || response.status < 200 || response.status >= 300) {
+          return {
+            id,
+            success: false,
+            error: response?.body?.error?.message || `Request failed with status code ${response?.status}`
+          };
+        }
+        return action === 'move'
+          ? { id, success: true, newId: response.body?.id, folder: response.body?.parentFolderId || folderId }
+          : { id, success: true };
+      });
+    } catch (err) {
+      console.error('❌ Graph batch request failed:', err?.response?.data || err.message);
+      chunkResults = ids.map(id => ({ id, success: false, error: err.message }));
+    }
+
+    results.push(...chunkResults);
+    if (onProgress) {
+      await onProgress(chunkResults);
+    }
+  }
+
+  return results;
+}
+
 export const deleteMessage = async (token, messageId) => {
   try {
     const response = await axios.delete(
@@ -353,4 +996,4 @@ export const deleteMessage = async (token, messageId) => {
   }
 };
 
-export { sendEmail, replyToEmail, replyAllToEmail, getMailFolders, getMessageById, getMessagesByFolder, markMessageRead, markMessageImportant, getAttachmentsByMessageId };
+export { sendEmail, replyToEmail, replyAllToEmail, forwardMessage, getMailFolders, getWellKnownFolderIds, getMessageById, getRawMessage, getMessagesByFolder, getFolderChanges, markMessageRead, markMessageImportant, flagMessage, labelMessage, moveMessage, copyMessage, archiveMessage, getSnoozeFolder, bulkUpdateMessages, getAttachmentsByMessageId, getAttachmentContent, saveDraft, sendDraft, deleteDraft };
@@ -0,0 +1,481 @@
+// services/rulesService.js
+import EmailAccount from '../models/EmailAccount.js';
+import Email from '../models/email.js';
+import User from '../models/User.js';
+import emailService from './emailService.js';
+import emailEnrichmentService from './emailEnrichment.js';
+import { getAccountProvider, resolveMailbox } from './mailboxAdapter.js';
+import { IMPORTED_FOLDER } from './mailImportService.js';
+import { checkPattern } from '../utils/regex.js';
+
+export const RULE_ACTIONS = ['move', 'label', 'markRead', 'setCategory', 'forward', 'autoReply', 'notify'];
+const CONDITION_FIELDS = ['from', 'recipients', 'subjectRegex', 'category', 'priority', 'hasAttachments', 'olderThanDays', 'newerThanDays'];
+const PRIORITIES = ['urgent', 'high', 'medium', 'low'];
+const DAY = 24 * 60 * 60 * 1000;
+// Forward and auto-reply only fire for recent mail, so opening an old folder
+// for the first time does not send its whole history out again
+const OUTBOUND_MAX_AGE = DAY;
+const NO_REPLY_SENDER = /(no-?reply|mailer-daemon|postmaster)@/i;
+const MAX_DRY_RUN_SAMPLE = 100;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const containsRegex = (value) => ({ $regex: escapeRegex(value), $options: 'i' });
+
+const invalidRule = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_RULE';
+  return error;
+};
+
+const usesAiConditions = (rule) => !!(rule.conditions?.category || rule.conditions?.priority);
+
+const fillTemplate = (template, msg) =>
+  template
+    .replace(/\{\{\s*sender\s*\}\}/g, msg.from || '')
+    .replace(/\{\{\s*subject\s*\}\}/g, msg.subject || '');
+
+class RulesService {
+  constructor() {
+    this.rulesCache = new Map(); // Active rules per account, rules run on every ingest
+    this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
+  }
+
+  // Active rules of an account in evaluation order (with caching)
+  async getRules(userId, email) {
+    const cacheKey = `${userId}_${email}`;
+    const cached = this.rulesCache.get(cacheKey);
+
+    if (cached && (Date.now() - cached.timestamp) < this.cacheExpiry) {
+      return cached.data;
+    }
+
+    const emailAccount = await EmailAccount.findOne({ userId, email }).select('rules');
+    const rules = (emailAccount?.rules || []).filter(rule => rule.isActive);
+
+    this.rulesCache.set(cacheKey, { data: rules, timestamp: Date.now() });
+    return rules;
+  }
+
+  clearCache(userId, email) {
+    this.rulesCache.delete(`${userId}_${email}`);
+  }
+
+  // User and EmailAccount of a linked account, the account record is created on first use
+  async getAccount(worxstreamUserId, email) {
+    if (!worxstreamUserId || !email) {
+      throw new Error('Missing required parameters');
+    }
+
+    const user = await User.findOne({ worxstreamUserId: Number(worxstreamUserId) });
+    if (!user) {
+      console.error(`❌ User not found for worxstreamUserId: ${worxstreamUserId}`);
+      throw new Error('User not found');
+    }
+
+    let emailAccount = await EmailAccount.findOne({ userId: user._id, email });
+    if (!emailAccount) {
+      const provider = await getAccountProvider(worxstreamUserId, email);
+      if (!provider) {
+        throw new Error('Email account not found');
+      }
+      emailAccount = await EmailAccount.create({ userId: user._id, email, provider });
+    }
+
+    return { user, emailAccount };
+  }
+
+  // Validate a rule from a request and keep only the known fields. Throws INVALID_RULE errors.
+  normalizeRule(emailAccount, { name, conditions = {}, actions = [], stopProcessing = false, isActive = true }) {
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      throw invalidRule('Rule name is required');
+    }
+
+    const normalizedConditions = {};
+    for (const field of CONDITION_FIELDS) {
+      const value = conditions[field];
+      if (value !== undefined && value !== null && value !== '') {
+        normalizedConditions[field] = value;
+      }
+    }
+
+    if (Object.keys(normalizedConditions).length === 0) {
+      throw invalidRule('A rule needs at least one condition');
+    }
+    if (normalizedConditions.subjectRegex !== undefined) {
+      const problem = checkPattern(String(normalizedConditions.subjectRegex));
+      if (problem) {
+        throw invalidRule(`Subject regex: ${problem}`);
+      }
+    }
+    if (normalizedConditions.priority !== undefined && !PRIORITIES.includes(normalizedConditions.priority)) {
+      throw invalidRule(`Priority must be one of: ${PRIORITIES.join(', ')}`);
+    }
+    if (normalizedConditions.hasAttachments !== undefined && typeof normalizedConditions.hasAttachments !== 'boolean') {
+      throw invalidRule('hasAttachments must be true or false');
+    }
+    for (const field of ['olderThanDays', 'newerThanDays']) {
+      if (normalizedConditions[field] !== undefined) {
+        const days = Number(normalizedConditions[field]);
+        if (!Number.isFinite(days) || days < 0) {
+          throw invalidRule(`${field} must be a positive number of days`);
+        }
+        normalizedConditions[field] = days;
+      }
+    }
+
+    if (!Array.isArray(actions) || actions.length === 0) {
+      throw invalidRule('A rule needs at least one action');
+    }
+
+    const categoryNames = (emailAccount.categories || []).map(cat => cat.name);
+    const normalizedActions = actions.map(action => {
+      switch (action?.type) {
+        case 'move':
+          if (!action.folderId) throw invalidRule('Move actions need a folderId');
+          return { type: 'move', folderId: action.folderId };
+        case 'label':
+          if (!action.label) throw invalidRule('Label actions need a label');
+          return { type: 'label', label: action.label };
+        case 'setCategory':
+          if (!categoryNames.includes(action.category)) {
+            throw invalidRule(`Unknown category: ${action.category}`);
+          }
+          return { type: 'setCategory', category: action.category };
+        case 'forward': {
+          const to = (Array.isArray(action.to) ? action.to : [action.to]).filter(Boolean);
+          if (to.length === 0) throw invalidRule('Forward actions need at least one recipient');
+          return { type: 'forward', to };
+        }
+        case 'autoReply':
+          if (!action.template) throw invalidRule('Auto-reply actions need a template');
+          return { type: 'autoReply', template: action.template };
+        case 'markRead':
+        case 'notify':
+          return { type: action.type };
+        default:
+          throw invalidRule(`Action type must be one of: ${RULE_ACTIONS.join(', ')}`);
+      }
+    });
+
+    return {
+      name: name.trim(),
+      conditions: normalizedConditions,
+      actions: normalizedActions,
+      stopProcessing: !!stopProcessing,
+      isActive: !!isActive
+    };
+  }
+
+  // MongoDB filter for the messages a rule's conditions match
+  buildQuery(conditions = {}, now = new Date()) {
+    const query = {};
+
+    if (conditions.from) {
+      query.from = containsRegex(conditions.from);
+    }
+    if (conditions.recipients) {
+      query.$or = ['to', 'cc', 'bcc'].map(field => ({ [field]: containsRegex(conditions.recipients) }));
+    }
+    if (conditions.subjectRegex) {
+      query.subject = { $regex: conditions.subjectRegex, $options: 'i' };
+    }
+    if (conditions.category) {
+      query['aiMeta.category'] = conditions.category;
+    }
+    if (conditions.priority) {
+      query['aiMeta.priority'] = conditions.priority;
+    }
+    if (typeof conditions.hasAttachments === 'boolean') {
+      query.hasAttachments = conditions.hasAttachments;
+    }
+    if (conditions.olderThanDays != null || conditions.newerThanDays != null) {
+      query.timestamp = {};
+      if (conditions.olderThanDays != null) {
+        query.timestamp.$lt = new Date(now.getTime() - conditions.olderThanDays * DAY);
+      }
+      if (conditions.newerThanDays != null) {
+        query.timestamp.$gte = new Date(now.getTime() - conditions.newerThanDays * DAY);
+      }
+    }
+
+    return query;
+  }
+
+  async listRules(worxstreamUserId, email) {
+    const { emailAccount } = await this.getAccount(worxstreamUserId, email);
+    return emailAccount.rules;
+  }
+
+  async createRule(worxstreamUserId, email, fields) {
+    const { user, emailAccount } = await this.getAccount(worxstreamUserId, email);
+
+    emailAccount.rules.push(this.normalizeRule(emailAccount, fields));
+    await emailAccount.save();
+    this.clearCache(user._id, email);
+
+    return emailAccount.rules[emailAccount.rules.length - 1];
+  }
+
+  // Replace a rule's definition. `position` moves it within the evaluation order.
+  async updateRule(worxstreamUserId, email, ruleId, { position, ...fields }) {
+    const { user, emailAccount } = await this.getAccount(worxstreamUserId, email);
+
+    const rule = emailAccount.rules.id(ruleId);
+    if (!rule) {
+      return null;
+    }
+
+    rule.set(this.normalizeRule(emailAccount, { ...rule.toObject(), ...fields }));
+
+    if (position !== undefined) {
+      const index = Math.max(0, Math.min(emailAccount.rules.length - 1, parseInt(position) || 0));
+      const moved = rule.toObject();
+      emailAccount.rules.pull(rule._id);
+      emailAccount.rules.splice(index, 0, moved);
+    }
+
+    await emailAccount.save();
+    this.clearCache(user._id, email);
+
+    return emailAccount.rules.id(ruleId);
+  }
+
+  async deleteRule(worxstreamUserId, email, ruleId) {
+    const { user, emailAccount } = await this.getAccount(worxstreamUserId, email);
+
+    const rule = emailAccount.rules.id(ruleId);
+    if (!rule) {
+      return null;
+    }
+
+    emailAccount.rules.pull(rule._id);
+    await emailAccount.save();
+    this.clearCache(user._id, email);
+
+    return rule;
+  }
+
+  // Stored messages a saved rule (ruleId) or an unsaved one (rule) would match, nothing is changed
+  async dryRun(worxstreamUserId, email, { ruleId = null, rule = null, limit = 20 } = {}) {
+    const { user, emailAccount } = await this.getAccount(worxstreamUserId, email);
+
+    let conditions;
+    if (ruleId) {
+      const savedRule = emailAccount.rules.id(ruleId);
+      if (!savedRule) {
+        return null;
+      }
+      conditions = savedRule.conditions;
+    } else {
+      // Actions do not change what matches, a placeholder keeps validation happy
+      conditions = this.normalizeRule(emailAccount, {
+        name: 'dry run',
+        ...rule,
+        actions: [{ type: 'notify' }]
+      }).conditions;
+    }
+
+    const query = { ...this.buildQuery(conditions), userId: user._id, email };
+    const sampleSize = Math.min(MAX_DRY_RUN_SAMPLE, Math.max(1, parseInt(limit) || 20));
+
+    const [messages, total] = await Promise.all([
+      Email.find(query)
+        .sort({ timestamp: -1 })
+        .limit(sampleSize)
+        .select('id from to subject preview timestamp folder read hasAttachments aiMeta.category aiMeta.priority'),
+      Email.countDocuments(query)
+    ]);
+
+    return {
+      conditions,
+      total,
+      messages: messages.map(msg => ({
+        ...msg.toObject(),
+        dbId: msg._id.toString()
+      }))
+    };
+  }
+
+  // Run the account's rules on messages that were just ingested. Rules from the first one
+  // with AI conditions on wait for enrichment (afterEnrichment), which keeps list order.
+  // Returns the _ids of messages a rule moved out of their folder.
+  async applyRules(user, email, docs, { afterEnrichment = false } = {}) {
+    const movedIds = new Set();
+    // Imported history has no provider copy for actions to work on
+    docs = docs?.filter(doc => doc.folder !== IMPORTED_FOLDER);
+    if (!docs || docs.length === 0) {
+      return movedIds;
+    }
+
+    let rules = await this.getRules(user._id, email);
+    const firstAiRule = rules.findIndex(usesAiConditions);
+
+    if (afterEnrichment) {
+      // Enrichment rewrites aiMeta, so categories set by rules are put back first
+      await this.reapplyCategories(docs, rules);
+      rules = firstAiRule === -1 ? [] : rules.slice(firstAiRule);
+    } else if (firstAiRule !== -1) {
+      rules = rules.slice(0, firstAiRule);
+    }
+    if (rules.length === 0) {
+      return movedIds;
+    }
+
+    let mailbox = null;
+
+    for (const rule of rules) {
+      const candidateIds = docs
+        .map(doc => doc._id)
+        .filter(id => !movedIds.has(id.toString()));
+      if (candidateIds.length === 0) break;
+
+      // rulesStopped carries a stopProcessing match over from the ingest pass
+      const matches = await Email.find({
+        ...this.buildQuery(rule.conditions),
+        _id: { $in: candidateIds },
+        appliedRules: { $ne: rule._id },
+        rulesStopped: { $ne: true }
+      });
+
+      let matchCount = 0;
+      for (const msg of matches) {
+        // Claim the message for this rule so concurrent ingests do not run it twice
+        const claim = await Email.updateOne(
+          { _id: msg._id, appliedRules: { $ne: rule._id } },
+          { $addToSet: { appliedRules: rule._id } }
+        );
+        if (claim.modifiedCount === 0) continue;
+
+        matchCount++;
+        if (!mailbox && rule.actions.some(action => action.type !== 'setCategory' && action.type !== 'notify')) {
+          mailbox = await resolveMailbox(user.worxstreamUserId, email);
+        }
+
+        const moved = await this.runActions(user, email, rule, msg, mailbox);
+        if (moved) {
+          movedIds.add(msg._id.toString());
+        }
+        if (rule.stopProcessing) {
+          await Email.updateOne({ _id: msg._id }, { $set: { rulesStopped: true } });
+        }
+      }
+
+      if (matchCount > 0) {
+        console.log(`📏 Rule "${rule.name}" matched ${matchCount} messages in ${email}`);
+        await EmailAccount.updateOne(
+          { userId: user._id, email, 'rules._id': rule._id },
+          { $inc: { 'rules.$.matchCount': matchCount }, $set: { 'rules.$.lastMatchedAt': new Date() } }
+        );
+      }
+    }
+
+    return movedIds;
+  }
+
+  // Run a rule's actions on one message in order. A failing action is logged and the
+  // others still run. Returns whether the message was moved out of its folder.
+  async runActions(user, email, rule, msg, mailbox) {
+    let messageId = msg.id;
+    let moved = false;
+    const isRecent = Date.now() - new Date(msg.timestamp).getTime() <= OUTBOUND_MAX_AGE;
+
+    for (const action of rule.actions) {
+      try {
+        if (!mailbox && !['setCategory', 'notify'].includes(action.type)) {
+          throw new Error('Token not found');
+        }
+
+        switch (action.type) {
+          case 'move': {
+            const result = await emailService.fileMessage(user.worxstreamUserId, email, messageId, 'move', action.folderId);
+            // Outlook ids change on move, later actions need the new one
+            messageId = result.newMessageId;
+            moved = result.to !== msg.folder;
+            break;
+          }
+          case 'label':
+            await mailbox.adapter.labelMessage(mailbox.token, messageId, action.label);
+            break;
+          case 'markRead':
+            await emailService.setReadState(user.worxstreamUserId, email, messageId, true);
+            break;
+          case 'setCategory':
+            await Email.updateOne(
+              { _id: msg._id },
+              { $set: { 'aiMeta.category': action.category, updatedAt: new Date() } }
+            );
+            break;
+          case 'forward': {
+            if (!isRecent) break;
+            const result = await mailbox.adapter.forwardMessage(mailbox.token, {
+              messageId,
+              comment: '',
+              toRecipients: action.to.map(address => ({ emailAddress: { address } }))
+            });
+            if (!result.success) throw new Error(result.error);
+            break;
+          }
+          case 'autoReply': {
+            // Never answer our own mail or automated senders, that is how reply loops start
+            if (!isRecent || NO_REPLY_SENDER.test(msg.from) || msg.from.toLowerCase().includes(email.toLowerCase())) {
+              break;
+            }
+            const result = await mailbox.adapter.replyToEmail(mailbox.token, {
+              messageId,
+              comment: fillTemplate(action.template, msg)
+            });
+            if (!result.success) throw new Error(result.error);
+            break;
+          }
+          case 'notify':
+            this.emitToUser(user.worxstreamUserId, 'mail:ruleMatched', {
+              email,
+              ruleId: rule._id.toString(),
+              ruleName: rule.name,
+              message: {
+                id: messageId,
+                from: msg.from,
+                subject: msg.subject,
+                preview: msg.preview,
+                timestamp: msg.timestamp
+              }
+            });
+            break;
+        }
+      } catch (error) {
+        console.error(`❌ Rule "${rule.name}" failed to ${action.type} message ${messageId}:`, error.message);
+      }
+    }
+
+    return moved;
+  }
+
+  // Put back the categories rules set on messages before AI enrichment overwrote them
+  async reapplyCategories(docs, rules) {
+    for (const doc of docs) {
+      const applied = new Set((doc.appliedRules || []).map(id => id.toString()));
+      const category = rules
+        .filter(rule => applied.has(rule._id.toString()))
+        .flatMap(rule => rule.actions)
+        .filter(action => action.type === 'setCategory')
+        .map(action => action.category)
+        .pop();
+
+      if (category && doc.aiMeta?.category !== category) {
+        await Email.updateOne({ _id: doc._id }, { $set: { 'aiMeta.category': category } });
+        doc.aiMeta.category = category;
+      }
+    }
+  }
+
+  emitToUser(worxstreamUserId, event, payload) {
+    const userSocket = emailEnrichmentService.findUserSocket(worxstreamUserId);
+    if (userSocket) {
+      userSocket.emit(event, payload);
+    }
+  }
+}
+
+const rulesService = new RulesService();
+export default rulesService;
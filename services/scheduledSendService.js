@@ -0,0 +1,438 @@
+// services/scheduledSendService.js
+import cron from 'node-cron';
+import mongoose from 'mongoose';
+import ScheduledMessage from '../models/ScheduledMessage.js';
+import User from '../models/User.js';
+import composeService from './composeService.js';
+import { resolveMailbox, getAccountProvider } from './mailboxAdapter.js';
+import { refreshSpecificToken } from '../utils/tokenManager.js';
+
+const SEND_FIELDS = ['to', 'cc', 'bcc', 'subject', 'body', 'text', 'html', 'attachments'];
+const REPLY_FIELDS = ['messageId', 'comment', 'toRecipients', 'ccRecipients', 'bccRecipients']; // Also used for forwards
+const MAX_SCHEDULE_AHEAD = 365 * 24 * 60 * 60 * 1000; // One year
+export const UNDO_SEND_MIN_DELAY = 5;
+export const UNDO_SEND_MAX_DELAY = 30;
+
+// Provider errors that mean the access token was rejected
+const isAuthError = (message = '') =>
+  /401|unauthori[sz]ed|invalid.credentials|invalid_grant|token.*expired/i.test(message);
+
+const pickFields = (source, fields) =>
+  Object.fromEntries(fields.filter(field => source[field] !== undefined).map(field => [field, source[field]]));
+
+// Events an immediate send emits, also sent when a held one commits so older clients keep working
+const SENT_EVENTS = {
+  send: (payload, result) => ['mail:sent', result],
+  reply: (payload) => ['mail:replied', { messageId: payload.messageId, success: true }],
+  replyAll: (payload) => ['mail:repliedAll', { messageId: payload.messageId, success: true }],
+  forward: (payload) => ['mail:forwarded', { messageId: payload.messageId, success: true, comment: payload.comment }]
+};
+
+const getUploadIds = (payload) =>
+  (payload.attachments || [])
+    .map(att => att.uploadId)
+    .filter(id => id && mongoose.Types.ObjectId.isValid(id));
+
+class ScheduledSendService {
+  constructor() {
+    this.io = null;
+    this.task = null;
+    this.isRunning = false;
+    this.cronExpression = '* * * * *'; // Check for due messages every minute
+    this.maxAttempts = 3;
+    this.retryDelay = 5 * 60 * 1000; // Wait 5 minutes between failed attempts
+    this.holdTimers = new Map(); // Undo send timers keyed by scheduled message id
+  }
+
+  setIO(io) {
+    this.io = io;
+  }
+
+  start() {
+    if (this.isRunning) {
+      console.log('🔄 Scheduled send service is already running');
+      return;
+    }
+
+    console.log('🚀 Starting scheduled send service...');
+    this.isRunning = true;
+
+    this.task = cron.schedule(this.cronExpression, () => this.dispatchDue(), {
+      name: 'scheduled-send',
+      noOverlap: true
+    });
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      console.log('🔄 Scheduled send service is not running');
+      return;
+    }
+
+    console.log('🛑 Stopping scheduled send service...');
+    this.isRunning = false;
+
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+
+    this.holdTimers.forEach(timer => clearTimeout(timer));
+    this.holdTimers.clear();
+  }
+
+  // Validate sendAt from a client: a date in the future, at most a year ahead
+  parseSendAt(sendAt) {
+    const date = new Date(sendAt);
+    if (isNaN(date.getTime())) {
+      throw new Error('Invalid sendAt timestamp');
+    }
+    if (date.getTime() <= Date.now()) {
+      throw new Error('sendAt must be in the future');
+    }
+    if (date.getTime() - Date.now() > MAX_SCHEDULE_AHEAD) {
+      throw new Error('sendAt can be at most one year ahead');
+    }
+    return date;
+  }
+
+  toClientMessage(scheduled) {
+    const { payload, ...rest } = scheduled.toObject();
+    return {
+      ...rest,
+      ...payload,
+      scheduledId: scheduled._id.toString()
+    };
+  }
+
+  // Hold a send ('send'), reply ('reply'/'replyAll') or forward ('forward') until sendAt
+  async schedule(worxstreamUserId, email, type, fields, sendAt, { holdForUndo = false } = {}) {
+    const provider = await getAccountProvider(worxstreamUserId, email);
+    if (!provider) {
+      throw new Error('Token not found');
+    }
+
+    const date = this.parseSendAt(sendAt);
+    const payload = pickFields(fields, type === 'send' ? SEND_FIELDS : REPLY_FIELDS);
+    await this.validatePayload(worxstreamUserId, type, payload);
+
+    const scheduled = await ScheduledMessage.create({
+      worxstreamUserId: Number(worxstreamUserId),
+      email,
+      provider,
+      type,
+      payload,
+      sendAt: date,
+      nextAttemptAt: date,
+      holdForUndo
+    });
+
+    // Uploads would otherwise expire before the message goes out
+    await composeService.retainUploads(worxstreamUserId, getUploadIds(payload), date);
+
+    if (holdForUndo) {
+      this.startHoldTimer(scheduled);
+    } else {
+      console.log(`⏰ Scheduled ${type} for ${email} at ${date.toISOString()}`);
+    }
+    return this.toClientMessage(scheduled);
+  }
+
+  // Seconds the user's sends are held for undo, 0 when undo send is off
+  async getUndoSendDelay(worxstreamUserId) {
+    const user = await User.findOne({ worxstreamUserId: Number(worxstreamUserId) }).select('mailSettings');
+    return user?.mailSettings?.undoSendDelay ?? 0;
+  }
+
+  async setUndoSendDelay(worxstreamUserId, delay) {
+    const seconds = Number(delay);
+    if (!Number.isInteger(seconds) || (seconds !== 0 && (seconds < UNDO_SEND_MIN_DELAY || seconds > UNDO_SEND_MAX_DELAY))) {
+      throw new Error(`Undo send delay must be 0 or between ${UNDO_SEND_MIN_DELAY} and ${UNDO_SEND_MAX_DELAY} seconds`);
+    }
+
+    const user = await User.findOneAndUpdate(
+      { worxstreamUserId: Number(worxstreamUserId) },
+      { $set: { 'mailSettings.undoSendDelay': seconds } },
+      { new: true }
+    );
+    if (!user) {
+      throw new Error('User not found');
+    }
+    return seconds;
+  }
+
+  // Hold a send for the user's undo window. Returns null when undo send is off.
+  async holdForUndo(worxstreamUserId, email, type, fields) {
+    const delay = await this.getUndoSendDelay(worxstreamUserId);
+    if (!delay) {
+      return null;
+    }
+
+    const sendAt = new Date(Date.now() + delay * 1000);
+    return this.schedule(worxstreamUserId, email, type, fields, sendAt, { holdForUndo: true });
+  }
+
+  // The cron worker only runs every minute, held sends get their own timer.
+  // If the server restarts meanwhile the worker still picks them up.
+  startHoldTimer(scheduled) {
+    const id = scheduled._id.toString();
+    const timer = setTimeout(async () => {
+      this.holdTimers.delete(id);
+      try {
+        const claimed = await this.claimNext({ _id: scheduled._id });
+        if (claimed) {
+          await this.dispatch(claimed);
+        }
+      } catch (error) {
+        console.error(`❌ Error sending held message ${id}:`, error);
+      }
+    }, Math.max(0, scheduled.sendAt.getTime() - Date.now()));
+
+    this.holdTimers.set(id, timer);
+  }
+
+  // Cancel a send still inside its undo window
+  async undoSend(worxstreamUserId, scheduledId) {
+    const cancelled = await this.cancel(worxstreamUserId, scheduledId);
+
+    const timer = this.holdTimers.get(scheduledId);
+    if (timer) {
+      clearTimeout(timer);
+      this.holdTimers.delete(scheduledId);
+    }
+    return cancelled;
+  }
+
+  async validatePayload(worxstreamUserId, type, payload) {
+    if (type === 'send') {
+      // Throws on missing recipients or unknown uploads
+      await composeService.buildSendPayload(worxstreamUserId, payload);
+    } else if (!payload.messageId) {
+      throw new Error(`messageId is required for a ${type === 'forward' ? 'forward' : 'reply'}`);
+    } else if (type === 'forward' && !(Array.isArray(payload.toRecipients) && payload.toRecipients.length > 0)) {
+      throw new Error('At least one recipient is required for a forward');
+    }
+  }
+
+  // Pending sends of the user, soonest first
+  async listPending(worxstreamUserId, email = null) {
+    const query = { worxstreamUserId: Number(worxstreamUserId), status: 'pending', holdForUndo: { $ne: true } };
+    if (email) {
+      query.email = email;
+    }
+
+    const scheduled = await ScheduledMessage.find(query).sort({ sendAt: 1 });
+    return scheduled.map(msg => this.toClientMessage(msg));
+  }
+
+  async findPending(worxstreamUserId, scheduledId) {
+    if (!mongoose.Types.ObjectId.isValid(scheduledId)) {
+      return null;
+    }
+    return ScheduledMessage.findOne({
+      _id: scheduledId,
+      worxstreamUserId: Number(worxstreamUserId),
+      status: 'pending',
+      holdForUndo: { $ne: true }
+    });
+  }
+
+  // Change the time and/or content of a pending send
+  async update(worxstreamUserId, scheduledId, { sendAt, ...fields }) {
+    const scheduled = await this.findPending(worxstreamUserId, scheduledId);
+    if (!scheduled) {
+      throw new Error('Scheduled message not found or already sent');
+    }
+
+    const changes = pickFields(fields, scheduled.type === 'send' ? SEND_FIELDS : REPLY_FIELDS);
+    const payload = { ...scheduled.payload, ...changes };
+    await this.validatePayload(worxstreamUserId, scheduled.type, payload);
+
+    const update = { payload };
+    if (sendAt !== undefined) {
+      update.sendAt = this.parseSendAt(sendAt);
+      update.nextAttemptAt = update.sendAt;
+    }
+
+    // Only while still pending, the worker may have picked it up meanwhile
+    const updated = await ScheduledMessage.findOneAndUpdate(
+      { _id: scheduled._id, status: 'pending' },
+      { $set: update },
+      { new: true }
+    );
+    if (!updated) {
+      throw new Error('Scheduled message is already being sent');
+    }
+
+    await composeService.retainUploads(worxstreamUserId, getUploadIds(payload), updated.sendAt);
+    return this.toClientMessage(updated);
+  }
+
+  async cancel(worxstreamUserId, scheduledId) {
+    if (!mongoose.Types.ObjectId.isValid(scheduledId)) {
+      throw new Error('Scheduled message not found or already sent');
+    }
+
+    const cancelled = await ScheduledMessage.findOneAndUpdate(
+      { _id: scheduledId, worxstreamUserId: Number(worxstreamUserId), status: 'pending' },
+      { $set: { status: 'cancelled', completedAt: new Date() } },
+      { new: true }
+    );
+    if (!cancelled) {
+      throw new Error('Scheduled message not found or already sent');
+    }
+
+    await composeService.releaseUploads(worxstreamUserId, cancelled.payload.attachments);
+    // An undone send is not kept, only the user's scheduled sends are
+    if (cancelled.holdForUndo) {
+      await ScheduledMessage.deleteOne({ _id: cancelled._id });
+    }
+    return this.toClientMessage(cancelled);
+  }
+
+  // A restart during a send leaves it in 'sending'; whether the provider got it
+  // is unknown, so it is reported as failed instead of risking a duplicate.
+  // Checked on every tick, a send claimed just before a restart is only old enough later.
+  async recoverInterrupted() {
+    try {
+      const result = await ScheduledMessage.updateMany(
+        { status: 'sending', updatedAt: { $lt: new Date(Date.now() - 10 * 60 * 1000) } },
+        { $set: { status: 'failed', lastError: 'Interrupted while sending', completedAt: new Date() } }
+      );
+      if (result.modifiedCount > 0) {
+        console.log(`⚠️ Marked ${result.modifiedCount} interrupted scheduled sends as failed`);
+      }
+    } catch (error) {
+      console.error('❌ Error recovering scheduled sends:', error);
+    }
+  }
+
+  // Claim and send every message that is due
+  async dispatchDue() {
+    await this.recoverInterrupted();
+
+    try {
+      let scheduled;
+      while ((scheduled = await this.claimNext())) {
+        await this.dispatch(scheduled);
+      }
+    } catch (error) {
+      console.error('❌ Error in scheduled send service:', error);
+    }
+  }
+
+  claimNext(filter = {}) {
+    return ScheduledMessage.findOneAndUpdate(
+      { ...filter, status: 'pending', nextAttemptAt: { $lte: new Date() } },
+      { $set: { status: 'sending' }, $inc: { attempts: 1 } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  // Hand one claimed message to its provider and record the outcome
+  async dispatch(scheduled) {
+    const { worxstreamUserId, email, provider } = scheduled;
+
+    let result;
+    try {
+      result = await this.sendWithProvider(scheduled);
+
+      // Refresh once and retry when the provider rejected the access token
+      if (!result.success && isAuthError(result.error)) {
+        console.log(`🔄 Token rejected for scheduled send ${scheduled._id}, refreshing`);
+        if (await refreshSpecificToken(worxstreamUserId, email, provider)) {
+          result = await this.sendWithProvider(scheduled);
+        }
+      }
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (result.success) {
+      scheduled.status = 'sent';
+      scheduled.sentAt = new Date();
+      scheduled.completedAt = scheduled.sentAt;
+      scheduled.lastError = null;
+      // A send held for undo is done once it is out, its copy of the message is not kept
+      if (scheduled.holdForUndo) {
+        await ScheduledMessage.deleteOne({ _id: scheduled._id });
+      } else {
+        await scheduled.save();
+      }
+      await composeService.releaseUploads(worxstreamUserId, scheduled.payload.attachments);
+
+      console.log(`✅ Scheduled ${scheduled.type} ${scheduled._id} sent for ${email}`);
+      this.emitToUser(
+        worxstreamUserId,
+        scheduled.holdForUndo ? 'mail:sendCommitted' : 'mail:scheduledSent',
+        this.toClientMessage(scheduled)
+      );
+      if (scheduled.holdForUndo) {
+        this.emitToUser(worxstreamUserId, ...SENT_EVENTS[scheduled.type](scheduled.payload, result));
+      }
+    } else if (!scheduled.holdForUndo && scheduled.attempts < this.maxAttempts) {
+      scheduled.status = 'pending';
+      scheduled.lastError = result.error;
+      scheduled.nextAttemptAt = new Date(Date.now() + this.retryDelay);
+      await scheduled.save();
+
+      console.log(`⚠️ Scheduled send ${scheduled._id} failed (attempt ${scheduled.attempts}), retrying later:`, result.error);
+    } else {
+      scheduled.status = 'failed';
+      scheduled.lastError = result.error;
+      scheduled.completedAt = new Date();
+      await scheduled.save();
+
+      console.error(`❌ Scheduled send ${scheduled._id} failed after ${scheduled.attempts} attempts:`, result.error);
+      // The user is waiting on a held send, report it right away instead of retrying
+      this.emitToUser(
+        worxstreamUserId,
+        scheduled.holdForUndo ? 'mail:sendFailed' : 'mail:scheduledFailed',
+        this.toClientMessage(scheduled)
+      );
+    }
+
+    return result;
+  }
+
+  async sendWithProvider(scheduled) {
+    const { worxstreamUserId, email, provider, type, payload } = scheduled;
+
+    let mailbox = await resolveMailbox(worxstreamUserId, email);
+    if (!mailbox && await refreshSpecificToken(worxstreamUserId, email, provider)) {
+      mailbox = await resolveMailbox(worxstreamUserId, email);
+    }
+    if (!mailbox) {
+      return { success: false, error: 'Token not found' };
+    }
+
+    if (type === 'send') {
+      const sendPayload = await composeService.buildSendPayload(worxstreamUserId, payload);
+      return mailbox.adapter.sendEmail(mailbox.token, sendPayload);
+    }
+
+    if (type === 'forward') {
+      return mailbox.adapter.forwardMessage(mailbox.token, payload);
+    }
+
+    const reply = type === 'replyAll' ? mailbox.adapter.replyAllToEmail : mailbox.adapter.replyToEmail;
+    return reply(mailbox.token, payload);
+  }
+
+  emitToUser(worxstreamUserId, event, payload) {
+    if (!this.io) {
+      console.log(`⚠️ Socket.IO not available for ${event}`);
+      return;
+    }
+
+    this.io.sockets.sockets.forEach((socket) => {
+      const socketUserId = socket.worxstreamUserId ?? socket.user?.id;
+      if (String(socketUserId) === String(worxstreamUserId)) {
+        socket.emit(event, payload);
+      }
+    });
+  }
+}
+
+const scheduledSendService = new ScheduledSendService();
+export default scheduledSendService;
@@ -0,0 +1,172 @@
+// services/searchService.js
+import Email from '../models/email.js';
+import User from '../models/User.js';
+
+const MAX_PAGE_SIZE = 100;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const containsRegex = (value) => ({ $regex: escapeRegex(value), $options: 'i' });
+
+// Accepts YYYY-MM-DD, YYYY/MM/DD (Gmail style) or anything Date can parse
+const parseDate = (value) => {
+  const date = new Date(value.replace(/\//g, '-'));
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Split a query into tokens, keeping quoted values together: from:"Jane Doe" "exact phrase"
+const tokenize = (query) => {
+  const tokens = [];
+  const pattern = /(-?)(?:(\w+):)?(?:"([^"]*)"|(\S+))/g;
+  let match;
+
+  while ((match = pattern.exec(query)) !== null) {
+    const [, negated, operator, quotedValue, plainValue] = match;
+    tokens.push({
+      negated: negated === '-',
+      operator: operator ? operator.toLowerCase() : null,
+      value: quotedValue !== undefined ? quotedValue : plainValue,
+      quoted: quotedValue !== undefined
+    });
+  }
+
+  return tokens;
+};
+
+class SearchService {
+  // Parse the query language into a MongoDB filter.
+  // Supported: from: to: subject: has:attachment before: after: category: priority:
+  // is:unread/read/flagged/important and free text (quoted for phrases).
+  parseQuery(query = '') {
+    const conditions = [];
+    const textTerms = [];
+    const errors = [];
+
+    for (const token of tokenize(query)) {
+      const { operator, value, quoted, negated } = token;
+
+      if (!operator) {
+        textTerms.push(`${negated ? '-' : ''}${quoted ? `"${value}"` : value}`);
+        continue;
+      }
+
+      let condition = null;
+
+      switch (operator) {
+        case 'from':
+          condition = { from: containsRegex(value) };
+          break;
+        case 'to':
+          condition = { $or: [{ to: containsRegex(value) }, { cc: containsRegex(value) }] };
+          break;
+        case 'subject':
+          condition = { subject: containsRegex(value) };
+          break;
+        case 'has':
+          if (value.toLowerCase() === 'attachment') {
+            condition = { hasAttachments: true };
+          } else {
+            errors.push(`Unsupported has: value "${value}"`);
+          }
+          break;
+        case 'before':
+        case 'after': {
+          const date = parseDate(value);
+          if (!date) {
+            errors.push(`Invalid date for ${operator}: "${value}"`);
+          } else {
+            condition = { timestamp: operator === 'before' ? { $lt: date } : { $gte: date } };
+          }
+          break;
+        }
+        case 'category':
+          condition = { 'aiMeta.category': value };
+          break;
+        case 'priority':
+          condition = { 'aiMeta.priority': value.toLowerCase() };
+          break;
+        case 'is':
+          switch (value.toLowerCase()) {
+            case 'unread': condition = { read: false }; break;
+            case 'read': condition = { read: true }; break;
+            case 'flagged':
+            case 'starred': condition = { flagged: true }; break;
+            case 'important': condition = { important: true }; break;
+            default: errors.push(`Unsupported is: value "${value}"`);
+          }
+          break;
+        default:
+          // Not an operator we know, search for it as text
+          textTerms.push(`${operator}:${value}`);
+      }
+
+      if (condition) {
+        conditions.push(negated ? { $nor: [condition] } : condition);
+      }
+    }
+
+    const filter = conditions.length > 0 ? { $and: conditions } : {};
+    if (textTerms.length > 0) {
+      filter.$text = { $search: textTerms.join(' ') };
+    }
+
+    return { filter, errors };
+  }
+
+  // Search every account the worXstream user has linked (or only `email` when given)
+  async search(worxstreamUserId, query, { page = 1, pageSize = 20, email = null } = {}) {
+    if (!worxstreamUserId) {
+      throw new Error('Missing required parameters');
+    }
+
+    const user = await User.findOne({ worxstreamUserId: Number(worxstreamUserId) });
+    if (!user) {
+      console.error(`❌ User not found for worxstreamUserId: ${worxstreamUserId}`);
+      throw new Error('User not found');
+    }
+
+    const { filter, errors } = this.parseQuery(query);
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.code = 'INVALID_QUERY';
+      throw error;
+    }
+
+    const mongoQuery = { ...filter, userId: user._id };
+    if (email) {
+      mongoQuery.email = email;
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(pageSize) || 20));
+    const skip = (pageNum - 1) * limit;
+
+    const [messages, total] = await Promise.all([
+      Email.find(mongoQuery)
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-content'), // Exclude content for performance
+      Email.countDocuments(mongoQuery)
+    ]);
+
+    return {
+      query,
+      messages: messages.map(msg => ({
+        ...msg.toObject(),
+        dbId: msg._id.toString(),
+        account: msg.email
+      })),
+      pagination: {
+        page: pageNum,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        hasMore: skip + messages.length < total
+      }
+    };
+  }
+}
+
+const searchService = new SearchService();
+export default searchService;
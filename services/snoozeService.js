@@ -0,0 +1,215 @@
+// services/snoozeService.js
+import cron from 'node-cron';
+import Email from '../models/email.js';
+import User from '../models/User.js';
+import emailService from './emailService.js';
+import emailEnrichmentService from './emailEnrichment.js';
+import { resolveMailbox } from './mailboxAdapter.js';
+
+// The message no longer exists at the provider, retrying cannot bring it back
+const isNotFound = (error) =>
+  error.code === 404 || error.response?.status === 404 || error.code === 'MESSAGE_NOT_FOUND';
+
+class SnoozeService {
+  constructor() {
+    this.task = null;
+    this.isRunning = false;
+    this.cronExpression = '* * * * *'; // Bring back due messages every minute
+    this.maxAttempts = 5;
+    this.retryDelay = 5 * 60 * 1000; // Doubled after every failed attempt
+  }
+
+  start() {
+    if (this.isRunning) {
+      console.log('🔄 Snooze service is already running');
+      return;
+    }
+
+    console.log('🚀 Starting snooze service...');
+    this.isRunning = true;
+
+    this.task = cron.schedule(this.cronExpression, () => this.unsnoozeDue(), {
+      name: 'unsnooze',
+      noOverlap: true
+    });
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      console.log('🔄 Snooze service is not running');
+      return;
+    }
+
+    console.log('🛑 Stopping snooze service...');
+    this.isRunning = false;
+
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+  }
+
+  async getUser(worxstreamUserId) {
+    const user = await User.findOne({ worxstreamUserId: Number(worxstreamUserId) });
+    if (!user) {
+      throw new Error('User not found');
+    }
+    return user;
+  }
+
+  // Move a message into the provider's snooze folder/label until `until`
+  async snooze(worxstreamUserId, email, messageId, until) {
+    const snoozedUntil = new Date(until);
+    if (isNaN(snoozedUntil.getTime())) {
+      throw new Error('Invalid snooze time');
+    }
+    if (snoozedUntil.getTime() <= Date.now()) {
+      throw new Error('Snooze time must be in the future');
+    }
+
+    const mailbox = await resolveMailbox(worxstreamUserId, email);
+    if (!mailbox) {
+      throw new Error('Token not found');
+    }
+
+    const user = await this.getUser(worxstreamUserId);
+    const stored = await Email.findOne({ userId: user._id, email, id: messageId });
+    if (!stored) {
+      throw new Error('Email not found');
+    }
+    if (stored.snoozedUntil) {
+      // Already snoozed, only the wake-up time changes
+      stored.snoozedUntil = snoozedUntil;
+      stored.snoozeAttempts = 0;
+      stored.snoozeRetryAt = null;
+      await stored.save();
+      return { messageId, newMessageId: messageId, snoozedUntil, folder: stored.folder };
+    }
+
+    const snoozeFolderId = await mailbox.adapter.getSnoozeFolder(mailbox.token);
+    const moved = await emailService.fileMessage(worxstreamUserId, email, messageId, 'move', snoozeFolderId);
+
+    await Email.updateOne(
+      { userId: user._id, email, id: moved.newMessageId },
+      { $set: { snoozedUntil, snoozedFromFolder: stored.folder, snoozeAttempts: 0, snoozeRetryAt: null } }
+    );
+
+    return {
+      messageId,
+      newMessageId: moved.newMessageId,
+      snoozedUntil,
+      folder: moved.to,
+      counts: moved.counts
+    };
+  }
+
+  // Move a snoozed message back to its folder and mark it unread
+  async unsnooze(worxstreamUserId, email, messageId) {
+    const user = await this.getUser(worxstreamUserId);
+    const stored = await Email.findOne({ userId: user._id, email, id: messageId, snoozedUntil: { $ne: null } });
+    if (!stored) {
+      throw new Error('Snoozed email not found');
+    }
+
+    const moved = await emailService.fileMessage(worxstreamUserId, email, messageId, 'move', stored.snoozedFromFolder);
+    await emailService.setReadState(worxstreamUserId, email, moved.newMessageId, false);
+
+    const restored = await Email.findOneAndUpdate(
+      { userId: user._id, email, id: moved.newMessageId },
+      { $set: { snoozedUntil: null, snoozedFromFolder: null, snoozeAttempts: 0, snoozeRetryAt: null } },
+      { new: true }
+    );
+
+    return {
+      messageId,
+      newMessageId: moved.newMessageId,
+      folder: moved.to,
+      counts: await emailService.getFolderCounts(stored.userId, email, [moved.from, moved.to]),
+      message: restored ? { ...restored.toObject(), dbId: restored._id.toString() } : null
+    };
+  }
+
+  async listSnoozed(worxstreamUserId, email = null) {
+    const user = await this.getUser(worxstreamUserId);
+
+    const query = { userId: user._id, snoozedUntil: { $ne: null } };
+    if (email) {
+      query.email = email;
+    }
+
+    const messages = await Email.find(query).sort({ snoozedUntil: 1 }).select('-content');
+    return messages.map(msg => ({ ...msg.toObject(), dbId: msg._id.toString() }));
+  }
+
+  // Bring back every message whose snooze ran out. Failures (e.g. an expired token)
+  // are retried with a growing delay; the snooze is dropped after maxAttempts or
+  // when the message is gone at the provider.
+  async unsnoozeDue() {
+    try {
+      const now = new Date();
+      const due = await Email.find({
+        snoozedUntil: { $ne: null, $lte: now },
+        $or: [{ snoozeRetryAt: null }, { snoozeRetryAt: { $lte: now } }]
+      })
+        .sort({ snoozedUntil: 1 })
+        .limit(100)
+        .select('id userId email snoozeAttempts');
+
+      if (due.length === 0) return;
+
+      const users = await User.find({ _id: { $in: [...new Set(due.map(msg => String(msg.userId)))] } })
+        .select('worxstreamUserId');
+      const worxstreamIds = new Map(users.map(user => [String(user._id), user.worxstreamUserId]));
+
+      for (const msg of due) {
+        const worxstreamUserId = worxstreamIds.get(String(msg.userId));
+
+        try {
+          if (!worxstreamUserId) {
+            throw new Error('User not found');
+          }
+
+          const result = await this.unsnooze(worxstreamUserId, msg.email, msg.id);
+          console.log(`⏰ Unsnoozed ${msg.id} for ${msg.email}`);
+
+          const userSocket = emailEnrichmentService.findUserSocket(worxstreamUserId);
+          if (userSocket) {
+            userSocket.emit('mail:unsnoozed', { email: msg.email, ...result });
+          }
+        } catch (error) {
+          await this.recordFailure(worxstreamUserId, msg, error);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error in snooze service:', error);
+    }
+  }
+
+  // Schedule the next attempt, or drop the snooze when retrying is pointless
+  async recordFailure(worxstreamUserId, msg, error) {
+    const attempts = msg.snoozeAttempts + 1;
+
+    if (attempts < this.maxAttempts && !isNotFound(error)) {
+      console.error(`❌ Failed to unsnooze ${msg.id} (attempt ${attempts}), retrying later:`, error.message);
+      await Email.updateOne(
+        { _id: msg._id },
+        { $set: { snoozeAttempts: attempts, snoozeRetryAt: new Date(Date.now() + this.retryDelay * 2 ** (attempts - 1)) } }
+      );
+      return;
+    }
+
+    console.error(`❌ Giving up on unsnoozing ${msg.id} after ${attempts} attempts:`, error.message);
+    await Email.updateOne(
+      { _id: msg._id },
+      { $set: { snoozedUntil: null, snoozedFromFolder: null, snoozeAttempts: 0, snoozeRetryAt: null } }
+    );
+
+    const userSocket = worxstreamUserId && emailEnrichmentService.findUserSocket(worxstreamUserId);
+    if (userSocket) {
+      userSocket.emit('mail:unsnoozeFailed', { email: msg.email, messageId: msg.id, error: error.message });
+    }
+  }
+}
+
+const snoozeService = new SnoozeService();
+export default snoozeService;
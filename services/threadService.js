@@ -0,0 +1,109 @@
+// services/threadService.js
+import Email from '../models/email.js';
+import User from '../models/User.js';
+
+class ThreadService {
+  // Resolve the thread a message belongs to. Providers with native threads
+  // (Gmail threadId, Outlook conversationId) win; other sources fall back to
+  // In-Reply-To/References and then to the message's own Message-ID.
+  async resolveThreadId(message, email) {
+    if (message.threadId) {
+      return message.threadId;
+    }
+
+    const relatedIds = [...(message.references || []), message.inReplyTo].filter(Boolean);
+    if (relatedIds.length > 0) {
+      const parent = await Email.findOne({
+        email,
+        messageId: { $in: relatedIds },
+        threadId: { $ne: null }
+      }).select('threadId');
+
+      if (parent) {
+        return parent.threadId;
+      }
+
+      // The root of the conversation is the first reference
+      return relatedIds[0];
+    }
+
+    return message.messageId || message.id;
+  }
+
+  // Get a whole conversation in chronological order with unread count and latest AI summary
+  async getThread(worxstreamUserId, email, threadId) {
+    if (!worxstreamUserId || !email || !threadId) {
+      console.error('❌ Invalid parameters:', { worxstreamUserId, email, threadId });
+      throw new Error('Missing required parameters');
+    }
+
+    const user = await User.findOne({ worxstreamUserId: Number(worxstreamUserId) });
+    if (!user) {
+      console.error(`❌ User not found for worxstreamUserId: ${worxstreamUserId}`);
+      throw new Error('User not found');
+    }
+
+    const messages = await Email.find({ userId: user._id, email, threadId })
+      .sort({ timestamp: 1 });
+
+    if (messages.length === 0) {
+      return null;
+    }
+
+    const latestSummarized = [...messages].reverse().find(msg => msg.aiMeta?.summary);
+
+    return {
+      threadId,
+      subject: messages[0].subject,
+      messageCount: messages.length,
+      unreadCount: messages.filter(msg => !msg.read).length,
+      latestSummary: latestSummarized ? {
+        messageId: latestSummarized.id,
+        summary: latestSummarized.aiMeta.summary,
+        enrichedAt: latestSummarized.aiMeta.enrichedAt
+      } : null,
+      participants: [...new Set(messages.map(msg => msg.from).filter(Boolean))],
+      messages: messages.map(msg => ({
+        ...msg.toObject(),
+        dbId: msg._id.toString()
+      }))
+    };
+  }
+
+  // Message and unread counts for a set of threads, keyed by threadId
+  async getThreadCounts(userId, email, threadIds) {
+    const ids = [...new Set(threadIds.filter(Boolean))];
+    if (ids.length === 0) {
+      return new Map();
+    }
+
+    const counts = await Email.aggregate([
+      { $match: { userId, email, threadId: { $in: ids } } },
+      {
+        $group: {
+          _id: '$threadId',
+          messageCount: { $sum: 1 },
+          unreadCount: { $sum: { $cond: ['$read', 0, 1] } }
+        }
+      }
+    ]);
+
+    return new Map(counts.map(count => [count._id, {
+      messageCount: count.messageCount,
+      unreadCount: count.unreadCount
+    }]));
+  }
+
+  // Previous messages of a conversation (oldest first), used as context for AI replies
+  async getThreadContext(userId, email, threadId, limit = 10) {
+    const messages = await Email.find({ userId, email, threadId })
+      .sort({ timestamp: -1 })
+      .limit(limit)
+      .select('id from subject content preview timestamp');
+
+    return messages.reverse();
+  }
+}
+
+const threadService = new ThreadService();
+export default threadService;
@@ -55,6 +55,7 @@ class TokenRefreshService {
       const tenMinutesFromNow = now + 10 * 60 * 1000; // 10 minutes from now
       
       const expiredTokens = await Token.find({
+        provider: { $ne: 'imap' }, // IMAP accounts use a password, nothing to refresh
         $expr: {
           $lt: [
             { $add: ['$timestamp', { $multiply: ['$expires_in', 1000] }] },
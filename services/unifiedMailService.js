@@ -0,0 +1,190 @@
+// services/unifiedMailService.js
+import Email from '../models/email.js';
+import Token from '../models/Token.js';
+import User from '../models/User.js';
+import emailService from './emailService.js';
+import mailSyncService from './mailSyncService.js';
+import threadService from './threadService.js';
+import { resolveMailbox } from './mailboxAdapter.js';
+import { encodeCursor, decodeCursor, cursorPosition, afterPosition } from '../utils/cursor.js';
+
+export const UNIFIED_FOLDERS = ['inbox', 'sent', 'drafts', 'trash', 'spam', 'archive'];
+const MAX_PAGE_SIZE = 100;
+const MAX_PROVIDER_PAGES = 3; // Provider page rounds pulled for one listing page
+
+class UnifiedMailService {
+  constructor() {
+    this.folderIdCache = new Map(); // Folder ids do not change, resolve them once per account
+  }
+
+  // Folder ids a well-known folder is stored under for one account
+  async getFolderIds(worxstreamUserId, email, folder, mailbox) {
+    const cacheKey = `${worxstreamUserId}:${email}:${folder}`;
+    if (this.folderIdCache.has(cacheKey)) {
+      return this.folderIdCache.get(cacheKey);
+    }
+
+    const folderIds = await mailbox.adapter.getWellKnownFolderIds(mailbox.token, folder);
+    this.folderIdCache.set(cacheKey, folderIds);
+    return folderIds;
+  }
+
+  // Merge one folder of every linked account into a single list, newest first.
+  // The first page (no cursor) brings each account's folder up to date and takes its backfill
+  // token. The cursor keeps each account's provider page token, so once its stored emails run
+  // out the next provider page is pulled, like listFolderMessages does for a single folder.
+  async getUnifiedFolder(worxstreamUserId, folder, { cursor = null, pageSize = 20, filters = {} } = {}) {
+    if (!worxstreamUserId || !folder) {
+      throw new Error('Missing required parameters');
+    }
+    if (!UNIFIED_FOLDERS.includes(folder)) {
+      const error = new Error(`Folder must be one of: ${UNIFIED_FOLDERS.join(', ')}`);
+      error.code = 'INVALID_FOLDER';
+      throw error;
+    }
+
+    const position = cursor ? decodeCursor(cursor) : null;
+
+    const user = await User.findOne({ worxstreamUserId: Number(worxstreamUserId) });
+    if (!user) {
+      console.error(`❌ User not found for worxstreamUserId: ${worxstreamUserId}`);
+      throw new Error('User not found');
+    }
+
+    const tokens = await Token.find({ worxstreamUserId: Number(worxstreamUserId) }).select('email provider');
+
+    // One account failing (expired token, no archive folder) still lists the others
+    const errors = [];
+    const accounts = (await Promise.all(tokens.map(async ({ email, provider }) => {
+      try {
+        const mailbox = await resolveMailbox(worxstreamUserId, email);
+        if (!mailbox) {
+          throw new Error('Token not found');
+        }
+
+        const folderIds = await this.getFolderIds(worxstreamUserId, email, folder, mailbox);
+        let pageToken = position?.pageTokens?.[email] || null;
+        if (folderIds.length > 0 && !position) {
+          pageToken = await mailSyncService.refreshFolder(Number(worxstreamUserId), email, folderIds[0], mailbox, user);
+        }
+
+        return { email, provider, folderIds, mailbox, pageToken };
+      } catch (error) {
+        console.error(`⚠️ Unified ${folder} skipped ${email}:`, error.message);
+        errors.push({ email, error: error.message });
+        return null;
+      }
+    }))).filter(account => account && account.folderIds.length > 0);
+
+    if (accounts.length === 0) {
+      return { folder, messages: [], nextCursor: null, accounts: [], errors };
+    }
+
+    const conditions = [{
+      $or: accounts.map(account => ({ email: account.email, folder: { $in: account.folderIds } }))
+    }];
+    if (position?.ts != null) {
+      conditions.push(afterPosition(position));
+    }
+
+    const query = { userId: user._id, $and: conditions };
+    if (filters.category && filters.category !== 'All') {
+      query['aiMeta.category'] = filters.category;
+    }
+    if (filters.priority && filters.priority !== 'All') {
+      query['aiMeta.priority'] = filters.priority;
+    }
+    if (filters.sentiment && filters.sentiment !== 'All') {
+      query['aiMeta.sentiment'] = filters.sentiment;
+    }
+
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(pageSize) || 20));
+    // One extra message tells whether there is another page
+    const findPage = () => Email.find(query)
+      .sort({ timestamp: -1, _id: -1 })
+      .limit(limit + 1)
+      .select('-content'); // Exclude content for performance
+
+    let found = await findPage();
+    for (let fetched = 0; fetched < MAX_PROVIDER_PAGES; fetched++) {
+      const pending = await this.getAccountsToFetch(user, accounts, found, limit);
+      if (pending.length === 0) break;
+
+      await Promise.all(pending.map(async (account) => {
+        try {
+          const { messages: providerMessages, nextLink } = await account.mailbox.adapter.getMessagesByFolder(
+            account.mailbox.token, account.folderIds[0], account.pageToken
+          );
+          await emailService.saveProviderMessages(user, account.email, account.folderIds[0], providerMessages);
+          await mailSyncService.advanceBackfill(worxstreamUserId, account.email, account.folderIds[0], account.pageToken, nextLink);
+          account.pageToken = nextLink || null;
+        } catch (error) {
+          console.error(`⚠️ Unified ${folder} could not page ${account.email}:`, error.message);
+          errors.push({ email: account.email, error: error.message });
+          account.pageToken = null;
+        }
+      }));
+      found = await findPage();
+    }
+
+    const messages = found.slice(0, limit);
+    const pageTokens = Object.fromEntries(
+      accounts.filter(account => account.pageToken).map(account => [account.email, account.pageToken])
+    );
+    const hasMore = found.length > limit || Object.keys(pageTokens).length > 0;
+
+    // A page the filters emptied keeps the previous position
+    const last = messages[messages.length - 1];
+    const nextPosition = last ? cursorPosition(last) : { ts: position?.ts, id: position?.id };
+
+    const providers = new Map(accounts.map(account => [account.email, account.provider]));
+    const threadCounts = new Map();
+    for (const email of new Set(messages.map(msg => msg.email))) {
+      const counts = await threadService.getThreadCounts(
+        user._id,
+        email,
+        messages.filter(msg => msg.email === email).map(msg => msg.threadId)
+      );
+      threadCounts.set(email, counts);
+    }
+
+    return {
+      folder,
+      messages: messages.map(msg => ({
+        ...msg.toObject(),
+        dbId: msg._id.toString(),
+        account: msg.email,
+        provider: providers.get(msg.email),
+        thread: threadCounts.get(msg.email)?.get(msg.threadId) || null
+      })),
+      nextCursor: hasMore ? encodeCursor({ ...nextPosition, pageTokens }) : null,
+      accounts: accounts.map(({ email, provider }) => ({ email, provider })),
+      errors
+    };
+  }
+
+  // Accounts with more provider pages whose stored emails end before this page does.
+  // Their unfetched, older messages could still belong on the page.
+  async getAccountsToFetch(user, accounts, found, limit) {
+    const withPages = accounts.filter(account => account.pageToken);
+    // Not even a full page stored, every account with more pages has to be asked
+    if (found.length <= limit) {
+      return withPages;
+    }
+
+    const boundary = found[limit].timestamp;
+    const pending = [];
+    for (const account of withPages) {
+      const oldest = await Email.findOne({ userId: user._id, email: account.email, folder: { $in: account.folderIds } })
+        .sort({ timestamp: 1 })
+        .select('timestamp');
+      if (!oldest || oldest.timestamp > boundary) {
+        pending.push(account);
+      }
+    }
+    return pending;
+  }
+}
+
+const unifiedMailService = new UnifiedMailService();
+export default unifiedMailService;
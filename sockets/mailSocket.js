@@ -1,28 +1,29 @@
 // sockets/mailSocket.js
-import {
-  getMailFolders,
-  getMessagesByFolder,
-  getMessageById,
-  sendEmail,
-  replyToEmail,
-  replyAllToEmail,
-  markMessageRead,
-  markMessageImportant,
-  deleteMessage
-} from '../services/outlookService.js';
-
-import { getToken, getUserTokens } from '../utils/tokenManager.js';
+import { resolveMailbox } from '../services/mailboxAdapter.js';
+import { getUserTokens } from '../utils/tokenManager.js';
 import User from '../models/User.js';
 import Email from '../models/email.js';
 import emailEnrichmentService from '../services/emailEnrichment.js';
 import enrichmentQueueService from '../services/enrichmentQueueService.js';
 import axios from 'axios';
 import emailService from '../services/emailService.js';
+import threadService from '../services/threadService.js';
+import searchService from '../services/searchService.js';
+import composeService from '../services/composeService.js';
+import draftService from '../services/draftService.js';
+import scheduledSendService from '../services/scheduledSendService.js';
+import bulkActionService from '../services/bulkActionService.js';
+import snoozeService from '../services/snoozeService.js';
+import unifiedMailService from '../services/unifiedMailService.js';
+import { AIReplyService } from '../services/aiReplyService.js';
+import mailExportService from '../services/mailExportService.js';
+import mailImportService from '../services/mailImportService.js';
+
+// Highest page number the deprecated page parameter of mail:getFolder accepts
+const MAX_LEGACY_PAGE = 20;
 
 export const initMailSocket = (socket, io) => {
 
-  const folderPaginationMap = new Map();
-  
   // Debounce mechanism to prevent rapid-fire requests
   const debounceMap = new Map();
   const DEBOUNCE_DELAY = 1000; // 1 second
@@ -79,8 +80,8 @@ export const initMailSocket = (socket, io) => {
       // Use the authenticated user's ID instead of the passed worxstreamUserId
       const userId = socket.user?.id || worxstreamUserId;
     
-      const token = await getToken(userId, email, 'outlook');
-      if (!token) {
+      const mailbox = await resolveMailbox(userId, email);
+      if (!mailbox) {
         // Check if user has any connected accounts
         const userTokens = await getUserTokens(userId);
         if (userTokens.length === 0) {
@@ -95,8 +96,8 @@ export const initMailSocket = (socket, io) => {
       // Register this socket with the enrichment service for this user
       emailEnrichmentService.registerSocket(socket);
 
-      const folders = await getMailFolders(token);
-      socket.emit('mail:folders', folders);
+      const folders = await mailbox.adapter.getMailFolders(mailbox.token);
+      socket.emit('mail:folders', await mailImportService.withImportedFolder(userId, email, folders));
       
     } catch (error) {
       console.error('❌ Error in mail:init:', error);
@@ -165,8 +166,8 @@ export const initMailSocket = (socket, io) => {
       const userId = Number(socket.user?.id || worxstreamUserId);
       
       // Check if the email has a valid token for this user
-      const token = await getToken(userId, email, 'outlook');
-      if (!token) {
+      const mailbox = await resolveMailbox(userId, email);
+      if (!mailbox) {
         // Check if user has any connected accounts
         const userTokens = await getUserTokens(userId);
         if (userTokens.length === 0) {
@@ -178,187 +179,73 @@ export const initMailSocket = (socket, io) => {
         }
       }
 
-      const folders = await getMailFolders(token);
-      socket.emit('mail:folders', folders);
+      const folders = await mailbox.adapter.getMailFolders(mailbox.token);
+      socket.emit('mail:folders', await mailImportService.withImportedFolder(userId, email, folders));
     } catch (error) {
       console.error('❌ Error in mail:getFolders:', error);
       socket.emit('mail:error', 'Failed to get folders');
     }
   });
 
-  // 📁 Load paginated folder messages
-      socket.on('mail:getFolder', async ({ worxstreamUserId, email, folderId, page = 1, filters = {} }) => {
+  // 📁 Load folder messages page by page, pass nextCursor back as cursor for the next page.
+  // Deprecated: clients that still send page numbers get that page and a page=N nextLink.
+  socket.on('mail:getFolder', async ({ worxstreamUserId, email, folderId, cursor = null, page = null, filters = {} }) => {
+    const pageNumber = cursor ? null : Math.max(1, parseInt(page) || 1);
+    // Every page number walks the cursors from the first page, so only the first few are served
+    if (pageNumber > MAX_LEGACY_PAGE) {
+      socket.emit('mail:error', `Page numbers above ${MAX_LEGACY_PAGE} are not supported, page with nextCursor instead`);
+      return;
+    }
     
-    const debounceKey = `getFolder:${worxstreamUserId}:${email}:${folderId}:${page}:${JSON.stringify(filters)}`;
+    const debounceKey = `getFolder:${worxstreamUserId}:${email}:${folderId}:${cursor ?? `page=${pageNumber}`}:${JSON.stringify(filters)}`;
     
     debounce(debounceKey, async () => {
       try {
         // Use the authenticated user's ID instead of the passed worxstreamUserId
         // Ensure we use the correct type (Number) for worxstreamUserId
         const userId = Number(socket.user?.id || worxstreamUserId);
-        
-        
-        // For page 1, try to get messages from database with filters first
-        let messages = [];
-        let hasMore = false;
-        
-        if (page === 1) {
-          // First page: always fetch from Outlook to get fresh data and check for more messages
-          
-          const token = await getToken(userId, email, 'outlook');
-          if (token) {
-            const key = `${socket.id}-${folderId}`;
-            const nextLink = folderPaginationMap.get(key);
-            
-            const { messages: outlookMessages, nextLink: newNextLink } = await getMessagesByFolder(token, folderId, nextLink);
-            if (newNextLink) folderPaginationMap.set(key, newNextLink);
-            
-            // Get user from database
-            const user = await User.findOne({ worxstreamUserId: userId });
-            if (user) {
-              // Save new messages to database
-              const savedMessages = await Promise.all(outlookMessages.map(async msg => {
-                try {
-                  const emailData = {
-                    id: msg.id,
-                    userId: user._id,
-                    email: email,
-                    from: msg.from || '',
-                    to: msg.to || '',
-                    cc: msg.cc || '',
-                    bcc: msg.bcc || '',
-                    subject: msg.subject || '(No Subject)',
-                    content: msg.content || '',
-                    preview: msg.preview || '',
-                    timestamp: (() => {
-                      if (msg.timestamp && msg.timestamp !== '') {
-                        const receivedTime = new Date(msg.timestamp);
-                        return receivedTime;
-                      } else {
-                        return new Date();
-                      }
-                    })(),
-                    read: msg.read || false,
-                    folder: folderId,
-                    important: msg.important || false,
-                    flagged: msg.flagged || false,
-                    isProcessed: false,
-                    updatedAt: new Date()
-                  };
-
-                  const savedMsg = await Email.findOneAndUpdate(
-                    { id: msg.id, email: email },
-                    { $set: emailData },
-                    { upsert: true, new: true, setDefaultsOnInsert: true }
-                  );
-                  return savedMsg;
-                } catch (error) {
-                  console.error(`❌ Failed to save message ${msg.id}:`, error);
-                  return null;
-                }
-              }));
-
-              // Get filtered messages from database (including newly saved ones)
-              messages = await emailService.getFolderMessages(userId, email, folderId, page, 20, filters);
-              
-              // Check if there are more messages by getting one extra message
-              const nextPageMessages = await emailService.getFolderMessages(userId, email, folderId, page + 1, 1, filters);
-              hasMore = nextPageMessages.length > 0;
-            }
-            
-            // Also check if there are more messages in Outlook
-            hasMore = hasMore || !!newNextLink;
-          }
-        } else {
-          // Load more: fetch from Outlook API without filters
-          
-          const token = await getToken(userId, email, 'outlook');
-          if (token) {
-            const key = `${socket.id}-${folderId}`;
-            const nextLink = folderPaginationMap.get(key);
-            
-            const { messages: outlookMessages, nextLink: newNextLink } = await getMessagesByFolder(token, folderId, nextLink);
-            if (newNextLink) folderPaginationMap.set(key, newNextLink);
-            
-            // Get user from database
-            const user = await User.findOne({ worxstreamUserId: userId });
-            if (user) {
-              // Save new messages to database
-              const savedMessages = await Promise.all(outlookMessages.map(async msg => {
-                try {
-                  const emailData = {
-                    id: msg.id,
-                    userId: user._id,
-                    email: email,
-                    from: msg.from || '',
-                    to: msg.to || '',
-                    cc: msg.cc || '',
-                    bcc: msg.bcc || '',
-                    subject: msg.subject || '(No Subject)',
-                    content: msg.content || '',
-                    preview: msg.preview || '',
-                    timestamp: (() => {
-                      if (msg.timestamp && msg.timestamp !== '') {
-                        const receivedTime = new Date(msg.timestamp);
-                        return receivedTime;
-                      } else {
-                        return new Date();
-                      }
-                    })(),
-                    read: msg.read || false,
-                    folder: folderId,
-                    important: msg.important || false,
-                    flagged: msg.flagged || false,
-                    isProcessed: false,
-                    updatedAt: new Date()
-                  };
-
-                  const savedMsg = await Email.findOneAndUpdate(
-                    { id: msg.id, email: email },
-                    { $set: emailData },
-                    { upsert: true, new: true, setDefaultsOnInsert: true }
-                  );
-                  return savedMsg;
-                } catch (error) {
-                  console.error(`❌ Failed to save message ${msg.id}:`, error);
-                  return null;
-                }
-              }));
-
-              // Get messages from database with proper pagination
-              messages = await emailService.getFolderMessages(userId, email, folderId, page, 20, filters);
-              
-              // Check if there are more messages by getting one extra message
-              const nextPageMessages = await emailService.getFolderMessages(userId, email, folderId, page + 1, 1, filters);
-              hasMore = nextPageMessages.length > 0;
-            }
-            
-            // Also check if there are more messages in Outlook
-            hasMore = hasMore || !!newNextLink;
+
+        let result = await emailService.listFolderMessages(userId, email, folderId, { cursor, filters });
+        // A page number is reached by following the cursors from the first page
+        for (let current = 1; pageNumber && current < pageNumber; current++) {
+          if (!result.nextCursor) {
+            // Past the last page
+            result = { messages: [], nextCursor: null };
+            break;
           }
+          result = await emailService.listFolderMessages(userId, email, folderId, { cursor: result.nextCursor, filters });
         }
-        
+        const { messages, nextCursor } = result;
 
-        // Emit messages immediately with database IDs
-        const messagesWithDbId = messages.map(msg => ({
-          ...msg.toObject(),
-          dbId: msg._id.toString() // Include the MongoDB ObjectId as dbId
-        }));
-        
         socket.emit('mail:folderMessages', {
           folderId,
-          page,
-          messages: messagesWithDbId,
-          nextLink: hasMore ? `page=${page + 1}` : null
+          cursor,
+          page: pageNumber,
+          messages,
+          nextCursor,
+          nextLink: pageNumber ? (nextCursor ? `page=${pageNumber + 1}` : null) : nextCursor
         });
 
       } catch (error) {
         console.error('❌ Error in mail:getFolder:', error);
-        socket.emit('mail:error', 'Failed to process folder request');
+        socket.emit('mail:error', 'Failed to process folder request: ' + error.message);
       }
     });
   });
 
+  // 📦 Export a folder ({ email, folderId }) or search results ({ query }) to mbox.
+  // Progress arrives as mail:exportProgress, the download link with mail:exportComplete.
+  socket.on('mail:export', async ({ worxstreamUserId, email = null, folderId = null, query = null }) => {
+    try {
+      const userId = Number(socket.user?.id || worxstreamUserId);
+      const job = await mailExportService.startExport(userId, { email, folderId, query });
+      socket.emit('mail:exportStarted', job);
+    } catch (error) {
+      console.error('❌ Error in mail:export:', error);
+      socket.emit('mail:error', 'Failed to start export: ' + error.message);
+    }
+  });
+
   // 📧 Full message
   socket.on('mail:getMessage', async ({ worxstreamUserId, email, messageId }) => {
     try {
@@ -378,14 +265,55 @@ export const initMailSocket = (socket, io) => {
     }
   });
 
+  // 🧵 Full conversation
+  socket.on('mail:getThread', async ({ worxstreamUserId, email, threadId }) => {
+    try {
+      const userId = Number(socket.user?.id || worxstreamUserId);
+      const thread = await threadService.getThread(userId, email, threadId);
+
+      if (thread) {
+        socket.emit('mail:thread', thread);
+      } else {
+        socket.emit('mail:error', 'Thread not found');
+      }
+    } catch (error) {
+      console.error('Failed to get thread:', error);
+      socket.emit('mail:error', error.message);
+    }
+  });
+
+  // 🔍 Search across all linked accounts
+  socket.on('mail:search', async ({ worxstreamUserId, query = '', page = 1, pageSize = 20, email = null }) => {
+    try {
+      const userId = Number(socket.user?.id || worxstreamUserId);
+      const results = await searchService.search(userId, query, { page, pageSize, email });
+      socket.emit('mail:searchResults', results);
+    } catch (error) {
+      console.error('❌ Error in mail:search:', error);
+      socket.emit('mail:error', 'Search failed: ' + error.message);
+    }
+  });
+
+  // 📥 One folder (inbox, sent, drafts, trash, spam, archive) of every linked account, newest first.
+  // Without a cursor the accounts are synced first; pass nextCursor back for the next page.
+  socket.on('mail:getUnifiedFolder', async ({ worxstreamUserId, folder = 'inbox', cursor = null, pageSize = 20, filters = {} }) => {
+    try {
+      const userId = Number(socket.user?.id || worxstreamUserId);
+      const result = await unifiedMailService.getUnifiedFolder(userId, folder, { cursor, pageSize, filters });
+      socket.emit('mail:unifiedFolderMessages', { ...result, cursor });
+    } catch (error) {
+      console.error('❌ Error in mail:getUnifiedFolder:', error);
+      socket.emit('mail:error', 'Failed to load unified folder: ' + error.message);
+    }
+  });
+
   // 📎 Get attachments separately
   socket.on('mail:getAttachments', async ({ worxstreamUserId, email, messageId }) => {
     try {
-      const token = await getToken(worxstreamUserId, email, 'outlook');
-      if (!token) return socket.emit('mail:error', 'Token not found');
+      const mailbox = await resolveMailbox(worxstreamUserId, email);
+      if (!mailbox) return socket.emit('mail:error', 'Token not found');
 
-      const { getAttachmentsByMessageId } = await import('../services/outlookService.js');
-      const attachments = await getAttachmentsByMessageId(token, messageId);
+      const attachments = await mailbox.adapter.getAttachmentsByMessageId(mailbox.token, messageId);
 
       socket.emit('mail:attachments', { messageId, attachments });
     } catch (error) {
@@ -394,26 +322,118 @@ export const initMailSocket = (socket, io) => {
     }
   });
 
-  // 📤 Send email
-  socket.on('mail:send', async ({ worxstreamUserId, email, to, subject, body, cc, bcc }) => {
-    const token = await getToken(worxstreamUserId, email, 'outlook');
-    if (!token) return socket.emit('mail:error', 'Token not found');
+  // 📤 Send email (plain text and/or HTML, attachments uploaded via POST /mail/attachments).
+  // With sendAt the message is held and sent later by the scheduled send worker,
+  // otherwise it is held for the user's undo send window (mail:sendQueued).
+  socket.on('mail:send', async ({ worxstreamUserId, email, to, subject, body, text, html, cc, bcc, attachments, sendAt }) => {
+    try {
+      const userId = Number(socket.user?.id || worxstreamUserId);
+      const fields = { to, cc, bcc, subject, body, text, html, attachments };
+
+      if (sendAt) {
+        const scheduled = await scheduledSendService.schedule(userId, email, 'send', fields, sendAt);
+        return socket.emit('mail:scheduled', scheduled);
+      }
+
+      const held = await scheduledSendService.holdForUndo(userId, email, 'send', fields);
+      if (held) {
+        return socket.emit('mail:sendQueued', held);
+      }
+
+      const mailbox = await resolveMailbox(worxstreamUserId, email);
+      if (!mailbox) return socket.emit('mail:error', 'Token not found');
 
-    const result = await sendEmail(token, { to, subject, body, cc, bcc });
-    socket.emit('mail:sent', result);
+      const payload = await composeService.buildSendPayload(worxstreamUserId, {
+        to, cc, bcc, subject, body, text, html, attachments
+      });
+      const result = await mailbox.adapter.sendEmail(mailbox.token, payload);
+
+      if (result.success) {
+        await composeService.releaseUploads(worxstreamUserId, attachments);
+      }
+      socket.emit('mail:sent', result);
+    } catch (error) {
+      console.error('❌ Error in mail:send:', error);
+      socket.emit('mail:error', 'Failed to send email: ' + error.message);
+    }
+  });
+
+  // 📝 Save (create or autosave) a draft, mirrored to the provider's drafts
+  socket.on('mail:draft:save', async ({ worxstreamUserId, email, draftId, ...fields }) => {
+    try {
+      const userId = Number(socket.user?.id || worxstreamUserId);
+      const draft = await draftService.saveDraft(userId, email, { draftId, ...fields });
+      socket.emit('mail:draft:saved', draft);
+    } catch (error) {
+      console.error('❌ Error in mail:draft:save:', error);
+      socket.emit('mail:error', 'Failed to save draft: ' + error.message);
+    }
+  });
+
+  // 📝 List drafts of one account, or of all accounts without email
+  socket.on('mail:draft:list', async ({ worxstreamUserId, email = null }) => {
+    try {
+      const userId = Number(socket.user?.id || worxstreamUserId);
+      const drafts = await draftService.listDrafts(userId, email);
+      socket.emit('mail:draft:listed', { email, drafts });
+    } catch (error) {
+      console.error('❌ Error in mail:draft:list:', error);
+      socket.emit('mail:error', 'Failed to list drafts: ' + error.message);
+    }
+  });
+
+  // 📤 Send a saved draft
+  socket.on('mail:draft:send', async ({ worxstreamUserId, draftId }) => {
+    try {
+      const userId = Number(socket.user?.id || worxstreamUserId);
+      const result = await draftService.sendDraft(userId, draftId);
+
+      if (result.success) {
+        socket.emit('mail:draft:sent', { draftId, success: true });
+      } else {
+        socket.emit('mail:error', `Failed to send draft: ${result.error}`);
+      }
+    } catch (error) {
+      console.error('❌ Error in mail:draft:send:', error);
+      socket.emit('mail:error', 'Failed to send draft: ' + error.message);
+    }
+  });
+
+  // 🗑️ Discard a draft here and at the provider
+  socket.on('mail:draft:delete', async ({ worxstreamUserId, draftId }) => {
+    try {
+      const userId = Number(socket.user?.id || worxstreamUserId);
+      await draftService.deleteDraft(userId, draftId);
+      socket.emit('mail:draft:deleted', { draftId });
+    } catch (error) {
+      console.error('❌ Error in mail:draft:delete:', error);
+      socket.emit('mail:error', 'Failed to delete draft: ' + error.message);
+    }
   });
 
   // 📧 Reply to email
-  socket.on('mail:reply', async ({ worxstreamUserId, email, messageId, comment, toRecipients, ccRecipients, bccRecipients }) => {
+  socket.on('mail:reply', async ({ worxstreamUserId, email, messageId, comment, toRecipients, ccRecipients, bccRecipients, sendAt }) => {
     try {
-      
-      const token = await getToken(worxstreamUserId, email, 'outlook');
-      if (!token) {
+      const userId = Number(socket.user?.id || worxstreamUserId);
+      const fields = { messageId, comment, toRecipients, ccRecipients, bccRecipients };
+
+      if (sendAt) {
+        const scheduled = await scheduledSendService.schedule(userId, email, 'reply', fields, sendAt);
+        return socket.emit('mail:scheduled', scheduled);
+      }
+
+      const held = await scheduledSendService.holdForUndo(userId, email, 'reply', fields);
+      if (held) {
+        return socket.emit('mail:sendQueued', held);
+      }
+
+      const mailbox = await resolveMailbox(worxstreamUserId, email);
+      if (!mailbox) {
         console.error('❌ Token not found for:', email);
         return socket.emit('mail:error', 'Token not found');
       }
 
-      const result = await replyToEmail(token, { 
+      const result = await mailbox.adapter.replyToEmail(mailbox.token, { 
         messageId, 
         comment, 
         toRecipients, 
@@ -434,16 +454,28 @@ export const initMailSocket = (socket, io) => {
   });
 
   // 📧 Reply all to email
-  socket.on('mail:replyAll', async ({ worxstreamUserId, email, messageId, comment, toRecipients, ccRecipients, bccRecipients }) => {
+  socket.on('mail:replyAll', async ({ worxstreamUserId, email, messageId, comment, toRecipients, ccRecipients, bccRecipients, sendAt }) => {
     try {
-      
-      const token = await getToken(worxstreamUserId, email, 'outlook');
-      if (!token) {
+      const userId = Number(socket.user?.id || worxstreamUserId);
+      const fields = { messageId, comment, toRecipients, ccRecipients, bccRecipients };
+
+      if (sendAt) {
+        const scheduled = await scheduledSendService.schedule(userId, email, 'replyAll', fields, sendAt);
+        return socket.emit('mail:scheduled', scheduled);
+      }
+
+      const held = await scheduledSendService.holdForUndo(userId, email, 'replyAll', fields);
+      if (held) {
+        return socket.emit('mail:sendQueued', held);
+      }
+
+      const mailbox = await resolveMailbox(worxstreamUserId, email);
+      if (!mailbox) {
         console.error('❌ Token not found for:', email);
         return socket.emit('mail:error', 'Token not found');
       }
 
-      const result = await replyAllToEmail(token, { 
+      const result = await mailbox.adapter.replyAllToEmail(mailbox.token, { 
         messageId, 
         comment, 
         toRecipients, 
@@ -463,32 +495,290 @@ export const initMailSocket = (socket, io) => {
     }
   });
 
+  // 📨 Forward an email with its attachments. summarize puts an AI summary of it under the comment.
+  socket.on('mail:forward', async ({ worxstreamUserId, email, messageId, comment = '', toRecipients, summarize = false, sendAt }) => {
+    try {
+      const userId = Number(socket.user?.id || worxstreamUserId);
+
+      if (!Array.isArray(toRecipients) || toRecipients.length === 0) {
+        return socket.emit('mail:error', 'Failed to forward email: at least one recipient is required');
+      }
+
+      const mailbox = await resolveMailbox(worxstreamUserId, email);
+      if (!mailbox) {
+        console.error('❌ Token not found for:', email);
+        return socket.emit('mail:error', 'Token not found');
+      }
+
+      // Summarize now so a scheduled or held forward goes out with the text the user saw
+      let forwardComment = comment;
+      if (summarize) {
+        const original = await mailbox.adapter.getMessageById(mailbox.token, messageId);
+        if (!original) {
+          return socket.emit('mail:error', 'Message not found');
+        }
+
+        const summary = await AIReplyService.summarizeForForward({ originalEmail: original, comment });
+        if (!summary.success) {
+          return socket.emit('mail:error', `Failed to summarize email: ${summary.error}`);
+        }
+        forwardComment = [comment, summary.summary].filter(Boolean).join('\n\n');
+      }
+
+      const fields = { messageId, comment: forwardComment, toRecipients };
+
+      if (sendAt) {
+        const scheduled = await scheduledSendService.schedule(userId, email, 'forward', fields, sendAt);
+        return socket.emit('mail:scheduled', scheduled);
+      }
+
+      const held = await scheduledSendService.holdForUndo(userId, email, 'forward', fields);
+      if (held) {
+        return socket.emit('mail:sendQueued', held);
+      }
+
+      const result = await mailbox.adapter.forwardMessage(mailbox.token, fields);
+
+      if (result.success) {
+        socket.emit('mail:forwarded', { messageId, success: true, comment: forwardComment });
+      } else {
+        console.error(`❌ Failed to forward message ${messageId}:`, result.error);
+        socket.emit('mail:error', `Failed to forward email: ${result.error}`);
+      }
+    } catch (error) {
+      console.error('❌ Error in mail:forward:', error);
+      socket.emit('mail:error', 'Failed to forward email: ' + error.message);
+    }
+  });
+
+  // ↩️ Cancel a send that is still inside the undo window
+  socket.on('mail:undoSend', async ({ worxstreamUserId, scheduledId }) => {
+    try {
+      const userId = Number(socket.user?.id || worxstreamUserId);
+      const undone = await scheduledSendService.undoSend(userId, scheduledId);
+      // The payload lets the client reopen the compose window
+      socket.emit('mail:sendUndone', undone);
+    } catch (error) {
+      console.error('❌ Error in mail:undoSend:', error);
+      socket.emit('mail:error', 'Failed to undo send: ' + error.message);
+    }
+  });
+
+  // ↩️ Undo send window in seconds (0 turns it off)
+  socket.on('mail:setUndoSendDelay', async ({ worxstreamUserId, delay }) => {
+    try {
+      const userId = Number(socket.user?.id || worxstreamUserId);
+      const undoSendDelay = await scheduledSendService.setUndoSendDelay(userId, delay);
+      socket.emit('mail:undoSendDelay', { undoSendDelay });
+    } catch (error) {
+      console.error('❌ Error in mail:setUndoSendDelay:', error);
+      socket.emit('mail:error', 'Failed to update undo send delay: ' + error.message);
+    }
+  });
+
+  socket.on('mail:getUndoSendDelay', async ({ worxstreamUserId }) => {
+    try {
+      const userId = Number(socket.user?.id || worxstreamUserId);
+      const undoSendDelay = await scheduledSendService.getUndoSendDelay(userId);
+      socket.emit('mail:undoSendDelay', { undoSendDelay });
+    } catch (error) {
+      console.error('❌ Error in mail:getUndoSendDelay:', error);
+      socket.emit('mail:error', 'Failed to get undo send delay: ' + error.message);
+    }
+  });
+
+  // ⏰ Pending scheduled sends of one account, or of all accounts without email
+  socket.on('mail:scheduled:list', async ({ worxstreamUserId, email = null }) => {
+    try {
+      const userId = Number(socket.user?.id || worxstreamUserId);
+      const scheduled = await scheduledSendService.listPending(userId, email);
+      socket.emit('mail:scheduled:listed', { email, scheduled });
+    } catch (error) {
+      console.error('❌ Error in mail:scheduled:list:', error);
+      socket.emit('mail:error', 'Failed to list scheduled messages: ' + error.message);
+    }
+  });
+
+  // ⏰ Change the time or content of a pending scheduled send
+  socket.on('mail:scheduled:update', async ({ worxstreamUserId, scheduledId, ...changes }) => {
+    try {
+      const userId = Number(socket.user?.id || worxstreamUserId);
+      const scheduled = await scheduledSendService.update(userId, scheduledId, changes);
+      socket.emit('mail:scheduled:updated', scheduled);
+    } catch (error) {
+      console.error('❌ Error in mail:scheduled:update:', error);
+      socket.emit('mail:error', 'Failed to update scheduled message: ' + error.message);
+    }
+  });
+
+  // ⏰ Cancel a pending scheduled send
+  socket.on('mail:scheduled:cancel', async ({ worxstreamUserId, scheduledId }) => {
+    try {
+      const userId = Number(socket.user?.id || worxstreamUserId);
+      await scheduledSendService.cancel(userId, scheduledId);
+      socket.emit('mail:scheduled:cancelled', { scheduledId });
+    } catch (error) {
+      console.error('❌ Error in mail:scheduled:cancel:', error);
+      socket.emit('mail:error', 'Failed to cancel scheduled message: ' + error.message);
+    }
+  });
+
   // ✅ Mark as read
   socket.on('mail:markRead', async ({ worxstreamUserId, email, messageId }) => {
-    const token = await getToken(worxstreamUserId, email, 'outlook');
-    if (!token) return;
-
     try {
-      await markMessageRead(token, messageId);
-      socket.emit('mail:markedRead', { messageId });
+      const userId = Number(socket.user?.id || worxstreamUserId);
+      const result = await emailService.setReadState(userId, email, messageId, true);
+      socket.emit('mail:markedRead', result);
     } catch {
       socket.emit('mail:error', 'Failed to mark as read');
     }
   });
 
+  // ✉️ Mark as unread
+  socket.on('mail:markUnread', async ({ worxstreamUserId, email, messageId }) => {
+    try {
+      const userId = Number(socket.user?.id || worxstreamUserId);
+      const result = await emailService.setReadState(userId, email, messageId, false);
+      socket.emit('mail:markedUnread', result);
+    } catch (error) {
+      console.error('❌ Error in mail:markUnread:', error);
+      socket.emit('mail:error', 'Failed to mark as unread');
+    }
+  });
+
+  // 🚩 Flag / unflag (Gmail: star), dueDate sets a follow-up reminder
+  socket.on('mail:flag', async ({ worxstreamUserId, email, messageId, flagged = true, dueDate = null }) => {
+    try {
+      const userId = Number(socket.user?.id || worxstreamUserId);
+      const result = await emailService.setFlag(userId, email, messageId, { flagged, dueDate });
+      socket.emit('mail:flagged', result);
+    } catch (error) {
+      console.error('❌ Error in mail:flag:', error);
+      socket.emit('mail:error', 'Failed to update flag: ' + error.message);
+    }
+  });
+
+  // ⏰ Flagged messages with a due follow-up (all dated ones with includeUpcoming)
+  socket.on('mail:getFollowUps', async ({ worxstreamUserId, email = null, includeUpcoming = false }) => {
+    try {
+      const userId = Number(socket.user?.id || worxstreamUserId);
+      const messages = await emailService.getFollowUps(userId, { email, includeUpcoming });
+      socket.emit('mail:followUps', { email, messages });
+    } catch (error) {
+      console.error('❌ Error in mail:getFollowUps:', error);
+      socket.emit('mail:error', 'Failed to get follow-ups: ' + error.message);
+    }
+  });
+
+  // 💤 Snooze until a given time, the message comes back unread (mail:unsnoozed)
+  socket.on('mail:snooze', async ({ worxstreamUserId, email, messageId, until }) => {
+    try {
+      const userId = Number(socket.user?.id || worxstreamUserId);
+      const result = await snoozeService.snooze(userId, email, messageId, until);
+      socket.emit('mail:snoozed', { email, ...result });
+    } catch (error) {
+      console.error('❌ Error in mail:snooze:', error);
+      socket.emit('mail:error', 'Failed to snooze message: ' + error.message);
+    }
+  });
+
+  // 💤 Bring a snoozed message back now
+  socket.on('mail:unsnooze', async ({ worxstreamUserId, email, messageId }) => {
+    try {
+      const userId = Number(socket.user?.id || worxstreamUserId);
+      const result = await snoozeService.unsnooze(userId, email, messageId);
+      socket.emit('mail:unsnoozed', { email, ...result });
+    } catch (error) {
+      console.error('❌ Error in mail:unsnooze:', error);
+      socket.emit('mail:error', 'Failed to unsnooze message: ' + error.message);
+    }
+  });
+
+  // 💤 Snoozed messages, next to come back first
+  socket.on('mail:getSnoozed', async ({ worxstreamUserId, email = null }) => {
+    try {
+      const userId = Number(socket.user?.id || worxstreamUserId);
+      const messages = await snoozeService.listSnoozed(userId, email);
+      socket.emit('mail:snoozedMessages', { email, messages });
+    } catch (error) {
+      console.error('❌ Error in mail:getSnoozed:', error);
+      socket.emit('mail:error', 'Failed to get snoozed messages: ' + error.message);
+    }
+  });
+
   // ⭐ Mark as important
   socket.on('mail:markImportant', async ({ worxstreamUserId, email, messageId, flag }) => {
-    const token = await getToken(worxstreamUserId, email, 'outlook');
-    if (!token) return;
+    const mailbox = await resolveMailbox(worxstreamUserId, email);
+    if (!mailbox) return;
 
     try {
-      await markMessageImportant(token, messageId, flag);
+      await mailbox.adapter.markMessageImportant(mailbox.token, messageId, flag);
       socket.emit('mail:importantMarked', { messageId, flag });
     } catch {
       socket.emit('mail:error', 'Failed to update importance');
     }
   });
 
+  // 📁 Move to another folder (Gmail: swap labels)
+  socket.on('mail:move', async ({ worxstreamUserId, email, messageId, folderId }) => {
+    try {
+      const userId = Number(socket.user?.id || worxstreamUserId);
+      const result = await emailService.fileMessage(userId, email, messageId, 'move', folderId);
+      socket.emit('mail:moved', result);
+    } catch (error) {
+      console.error('❌ Error in mail:move:', error);
+      socket.emit('mail:error', 'Failed to move message: ' + error.message);
+    }
+  });
+
+  // 📁 Archive (Outlook Archive folder, Gmail removes the INBOX label)
+  socket.on('mail:archive', async ({ worxstreamUserId, email, messageId }) => {
+    try {
+      const userId = Number(socket.user?.id || worxstreamUserId);
+      const result = await emailService.fileMessage(userId, email, messageId, 'archive');
+      socket.emit('mail:archived', result);
+    } catch (error) {
+      console.error('❌ Error in mail:archive:', error);
+      socket.emit('mail:error', 'Failed to archive message: ' + error.message);
+    }
+  });
+
+  // 📁 Copy into another folder (Gmail: add a label)
+  socket.on('mail:copy', async ({ worxstreamUserId, email, messageId, folderId }) => {
+    try {
+      const userId = Number(socket.user?.id || worxstreamUserId);
+      const result = await emailService.fileMessage(userId, email, messageId, 'copy', folderId);
+      socket.emit('mail:copied', result);
+    } catch (error) {
+      console.error('❌ Error in mail:copy:', error);
+      socket.emit('mail:error', 'Failed to copy message: ' + error.message);
+    }
+  });
+
+  // 📦 Bulk action over a list of ids or a filter, with progress per provider batch
+  socket.on('mail:bulk', async ({ worxstreamUserId, email, action, messageIds, filter, folderId, category, requestId }) => {
+    try {
+      const userId = Number(socket.user?.id || worxstreamUserId);
+      await bulkActionService.run(
+        userId,
+        email,
+        { action, messageIds, filter, folderId, category, requestId },
+        (event, payload) => socket.emit(event, payload)
+      );
+
+      if (action === 'setCategory') {
+        socket.emit('mail:analyticsRefresh', {
+          category,
+          email: email,
+          timestamp: new Date().toISOString()
+        });
+      }
+    } catch (error) {
+      console.error('❌ Error in mail:bulk:', error);
+      socket.emit('mail:error', 'Bulk action failed: ' + error.message);
+    }
+  });
+
   // 🔄 Retry enrichment
   socket.on('mail:retryEnrichment', async ({ worxstreamUserId, email, messageId }) => {
     try {
@@ -516,14 +806,14 @@ export const initMailSocket = (socket, io) => {
       }
 
       // Get fresh message content
-      const token = await getToken(worxstreamUserId, email, 'outlook');
-      if (!token) {
+      const mailbox = await resolveMailbox(worxstreamUserId, email);
+      if (!mailbox) {
         console.error('❌ Token not found for:', email);
         socket.emit('mail:error', 'Token not found');
         return;
       }
 
-      const message = await getMessageById(token, messageId);
+      const message = await mailbox.adapter.getMessageById(mailbox.token, messageId);
       if (!message) {
         console.error('❌ Message not found:', messageId);
         socket.emit('mail:error', 'Message not found');
@@ -556,16 +846,16 @@ export const initMailSocket = (socket, io) => {
   socket.on('mail:delete', async ({ worxstreamUserId, email, messageId }) => {
     try {
       
-      const token = await getToken(worxstreamUserId, email, 'outlook');
-      if (!token) {
+      const mailbox = await resolveMailbox(worxstreamUserId, email);
+      if (!mailbox) {
         console.error('❌ Token not found for:', email);
         return socket.emit('mail:error', 'Token not found');
       }
 
-      // Delete from Outlook
-      const success = await deleteMessage(token, messageId);
+      // Delete at the provider
+      const success = await mailbox.adapter.deleteMessage(mailbox.token, messageId);
       if (!success) {
-        throw new Error('Failed to delete message from Outlook');
+        throw new Error(`Failed to delete message from ${mailbox.provider}`);
       }
 
       // Delete from our database and update counts
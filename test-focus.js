@@ -83,19 +83,19 @@ const testFocusFeature = async () => {
       bcc: ''
     };
 
-    const focusFolder1 = await focusAssignmentService.assignFocusFolder(
+    const focusFolders1 = await focusAssignmentService.assignFocusFolders(
       testEmail1, 
       testUser._id, 
       'test@example.com'
     );
-    console.log(`📧 Email 1 focus folder: ${focusFolder1}`);
+    console.log(`📧 Email 1 focus folders: ${focusFolders1.join(', ')}`);
 
-    const focusFolder2 = await focusAssignmentService.assignFocusFolder(
+    const focusFolders2 = await focusAssignmentService.assignFocusFolders(
       testEmail2, 
       testUser._id, 
       'test@example.com'
     );
-    console.log(`📧 Email 2 focus folder: ${focusFolder2}`);
+    console.log(`📧 Email 2 focus folders: ${focusFolders2.join(', ')}`);
 
     // Test focus statistics
     console.log('\n📊 Testing focus statistics...');
@@ -0,0 +1,46 @@
+// utils/credentials.js
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Passwords of IMAP/SMTP accounts are stored encrypted with AES-256-GCM. The key is
+// derived from CREDENTIALS_ENCRYPTION_KEY, changing it makes stored accounts unreadable.
+const VERSION = 'v1';
+let key = null;
+
+const getKey = () => {
+  if (!key) {
+    const secret = process.env.CREDENTIALS_ENCRYPTION_KEY;
+    if (!secret) {
+      const error = new Error('CREDENTIALS_ENCRYPTION_KEY is not set');
+      error.code = 'CREDENTIALS_KEY_MISSING';
+      throw error;
+    }
+    key = crypto.scryptSync(secret, 'mail-agent-credentials', 32);
+  }
+  return key;
+};
+
+// Encrypt a JSON value to "v1:<iv>:<tag>:<ciphertext>" (base64 parts)
+export const encryptCredentials = (value) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return [VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+    .join(':');
+};
+
+export const decryptCredentials = (encrypted) => {
+  const [version, iv, tag, ciphertext] = String(encrypted).split(':');
+  if (version !== VERSION || !iv || !tag || !ciphertext) {
+    throw new Error('Unsupported credentials format');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+  return JSON.parse(plaintext.toString('utf8'));
+};
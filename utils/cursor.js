@@ -0,0 +1,45 @@
+// utils/cursor.js
+import mongoose from 'mongoose';
+
+export const INVALID_CURSOR = 'INVALID_CURSOR';
+
+// Opaque page cursor handed to clients: base64url JSON they pass back unchanged
+export const encodeCursor = (state) => Buffer.from(JSON.stringify(state)).toString('base64url');
+
+export const decodeCursor = (cursor) => {
+  try {
+    const state = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!state || typeof state !== 'object') {
+      throw new Error('not an object');
+    }
+    return state;
+  } catch {
+    const error = new Error('Invalid cursor');
+    error.code = INVALID_CURSOR;
+    throw error;
+  }
+};
+
+// Position after the last message of a page sorted by { timestamp: -1, _id: -1 }
+export const cursorPosition = (doc) => ({
+  ts: doc.timestamp.getTime(),
+  id: doc._id.toString()
+});
+
+// Filter for the messages after a cursor position in { timestamp: -1, _id: -1 } order
+export const afterPosition = ({ ts, id }) => {
+  if (!Number.isFinite(ts) || !mongoose.Types.ObjectId.isValid(id)) {
+    const error = new Error('Invalid cursor');
+    error.code = INVALID_CURSOR;
+    throw error;
+  }
+
+  const timestamp = new Date(ts);
+  const _id = new mongoose.Types.ObjectId(id);
+  return {
+    $or: [
+      { timestamp: { $lt: timestamp } },
+      { timestamp, _id: { $lt: _id } }
+    ]
+  };
+};
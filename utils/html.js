@@ -0,0 +1,71 @@
+// utils/html.js
+import sanitize from 'sanitize-html';
+
+// Elements that are removed together with everything inside them. Style sheets are
+// dropped too, mail that only styles itself through them loses that styling.
+const DROPPED_ELEMENTS = ['script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'noscript', 'template', 'textarea', 'option', 'xmp', 'title'];
+// Layout and presentation attributes mail HTML relies on
+const COMMON_ATTRIBUTES = ['style', 'class', 'id', 'dir', 'lang', 'title', 'align', 'valign', 'width', 'height', 'bgcolor', 'background', 'border', 'color'];
+const SAFE_DATA_URL = /^data:image\/(png|gif|jpe?g|webp|bmp);/i;
+const UNSAFE_CSS = /expression\s*\(|javascript:|vbscript:|-moz-binding|behavior\s*:/i;
+
+// Attribute values arrive entity-decoded from the parser
+const dropUnsafeValues = (tagName, attribs) => {
+  const kept = { ...attribs };
+  if (kept.style && UNSAFE_CSS.test(kept.style.replace(/\\/g, ''))) {
+    delete kept.style;
+  }
+  if (tagName === 'img' && /^\s*data:/i.test(kept.src || '') && !SAFE_DATA_URL.test(kept.src.trim())) {
+    delete kept.src;
+  }
+  return { tagName, attribs: kept };
+};
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [...sanitize.defaults.allowedTags, 'img', 'font', 'center', 'u', 's', 'strike', 'big', 'small'],
+  allowedAttributes: {
+    '*': COMMON_ATTRIBUTES,
+    a: ['href', 'name', 'target', 'rel'],
+    img: ['src', 'alt'],
+    font: ['face', 'size'],
+    table: ['cellpadding', 'cellspacing'],
+    td: ['colspan', 'rowspan', 'nowrap'],
+    th: ['colspan', 'rowspan', 'nowrap', 'scope'],
+    col: ['span'],
+    colgroup: ['span'],
+    ol: ['start', 'type'],
+    ul: ['type'],
+    li: ['value'],
+    blockquote: ['cite'],
+    q: ['cite']
+  },
+  allowedSchemes: ['http', 'https', 'mailto', 'tel', 'cid'],
+  allowedSchemesByTag: { img: ['http', 'https', 'cid', 'data'] },
+  allowedSchemesAppliedToAttributes: ['href', 'src', 'cite', 'background'],
+  allowProtocolRelative: true,
+  nonTextTags: DROPPED_ELEMENTS,
+  transformTags: { '*': dropUnsafeValues }
+};
+
+// Make mail HTML safe to render in the reader. The HTML is parsed and written out again
+// with an allow list of tags and attributes, so active content (scripts, frames, plugins),
+// event handler attributes and script URLs never survive, and markup that does not parse
+// cleanly comes out escaped. Inline styling and layout are kept.
+export const sanitizeHtml = (html = '') => sanitize(html, SANITIZE_OPTIONS);
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// Plain-text rendering of mail HTML, for AI prompts and previews
+export const htmlToText = (html = '') => html
+  .replace(/<(head|style|script|title)\b[\s\S]*?<\/\1\s*>/gi, '')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(p|div|tr|li|h[1-6]|blockquote|table)\s*>/gi, '\n')
+  .replace(/<li\b[^>]*>/gi, '- ')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&(amp|lt|gt|quot|apos|nbsp);/gi, (_, name) => ENTITIES[name.toLowerCase()])
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/[ \t ]+/g, ' ')
+  .replace(/ *\n */g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
@@ -0,0 +1,135 @@
+// utils/mailMessage.js
+import addressparser from 'nodemailer/lib/addressparser/index.js';
+
+// Helpers for providers that build the MIME of replies and forwards themselves (Gmail, IMAP).
+// Outlook has endpoints for both.
+
+export const escapeHtml = (text = '') =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+export const looksLikeHtml = (text = '') => /<[a-z][\s\S]*>/i.test(text);
+
+// Recipients arrive either as address strings or in the Graph shape used by the Outlook reply API
+export const formatRecipients = (recipients) => {
+  if (!recipients) return [];
+  const list = Array.isArray(recipients) ? recipients : [recipients];
+  return list.flatMap(recipient => {
+    if (typeof recipient === 'string') {
+      return addressparser(recipient).filter(addr => addr.address);
+    }
+    const { address, name } = recipient.emailAddress || recipient;
+    return address ? [{ address, name: name || '' }] : [];
+  });
+};
+
+// Drop duplicate addresses and any address in `exclude`
+export const uniqueAddresses = (addresses, exclude = []) => {
+  const seen = new Set(exclude.map(addr => addr.toLowerCase()));
+  return addresses.filter(({ address }) => {
+    const key = address.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// Compose attachments in the shape MailComposer expects
+export const toMailAttachments = (attachments = []) =>
+  attachments.map(att => ({
+    filename: att.filename,
+    content: att.content,
+    contentType: att.contentType,
+    // Inline images are referenced from the HTML as cid:<contentId>
+    cid: att.isInline ? att.contentId : undefined,
+    contentDisposition: att.isInline ? 'inline' : 'attachment'
+  }));
+
+// Attachments of a message parsed by mailparser, in the shape MailComposer expects
+export const fromParsedAttachments = (attachments = []) =>
+  attachments.map(att => ({
+    filename: att.filename,
+    content: att.content,
+    contentType: att.contentType,
+    cid: att.contentDisposition === 'inline' ? att.cid : undefined,
+    contentDisposition: att.contentDisposition === 'inline' ? 'inline' : 'attachment'
+  }));
+
+// MailComposer options of a reply to `original` ({ from, to, cc, replyTo, subject, timestamp,
+// messageId, references, content, text }) with In-Reply-To/References headers and the
+// original body quoted below the comment. ownAddress keeps the account out of reply-all.
+export const buildReplyOptions = (original, { comment = '', toRecipients, ccRecipients, bccRecipients }, replyAll, ownAddress) => {
+  let to = formatRecipients(toRecipients);
+  let cc = formatRecipients(ccRecipients);
+  const bcc = formatRecipients(bccRecipients);
+
+  // Work out the recipients from the original when the client did not pick them
+  if (to.length === 0) {
+    const replyTo = formatRecipients(original.replyTo || original.from);
+    const sentByMe = replyTo.some(addr => addr.address.toLowerCase() === ownAddress.toLowerCase());
+    // Replying to our own message goes to its original recipients
+    to = sentByMe ? formatRecipients(original.to) : replyTo;
+
+    if (replyAll) {
+      to = uniqueAddresses([...to, ...formatRecipients(original.to)], [ownAddress]);
+      if (cc.length === 0) {
+        cc = uniqueAddresses(formatRecipients(original.cc), [ownAddress, ...to.map(addr => addr.address)]);
+      }
+    }
+  }
+
+  if (to.length === 0) {
+    throw new Error('No recipients found for reply');
+  }
+
+  const subject = /^re:/i.test(original.subject) ? original.subject : `Re: ${original.subject}`;
+  const references = [...(original.references || []), original.messageId].filter(Boolean);
+  const quoteHeader = `On ${original.timestamp.toUTCString()}, ${original.from} wrote:`;
+
+  const commentHtml = looksLikeHtml(comment) ? comment : escapeHtml(comment).replace(/\n/g, '<br>');
+  const html = `${commentHtml}<br><br><div class="gmail_quote">${escapeHtml(quoteHeader)}<br>` +
+    `<blockquote class="gmail_quote" style="margin:0 0 0 .8ex;border-left:1px #ccc solid;padding-left:1ex">` +
+    `${original.content}</blockquote></div>`;
+  const text = `${looksLikeHtml(comment) ? comment.replace(/<[^>]+>/g, '') : comment}\n\n${quoteHeader}\n` +
+    (original.text || '').split('\n').map(line => `> ${line}`).join('\n');
+
+  return {
+    to,
+    cc: cc.length > 0 ? cc : undefined,
+    bcc: bcc.length > 0 ? bcc : undefined,
+    subject,
+    inReplyTo: original.messageId || undefined,
+    references: references.length > 0 ? references : undefined,
+    text,
+    html
+  };
+};
+
+// MailComposer options forwarding a message parsed by mailparser: the comment, a forwarded
+// header block, the original body and its attachments and inline images
+export const buildForwardOptions = (original, { comment = '', to }) => {
+  const subject = original.subject || '';
+  const headerLines = [
+    '---------- Forwarded message ---------',
+    `From: ${original.from?.text || ''}`,
+    `Date: ${original.date ? original.date.toUTCString() : ''}`,
+    `Subject: ${subject}`,
+    `To: ${original.to?.text || ''}`,
+    ...(original.cc?.text ? [`Cc: ${original.cc.text}`] : [])
+  ];
+
+  const commentText = looksLikeHtml(comment) ? comment.replace(/<[^>]+>/g, '') : comment;
+  const commentHtml = looksLikeHtml(comment) ? comment : escapeHtml(comment).replace(/\n/g, '<br>');
+  const originalHtml = original.html || escapeHtml(original.text || '').replace(/\n/g, '<br>');
+
+  return {
+    to,
+    subject: /^fwd?:/i.test(subject) ? subject : `Fwd: ${subject}`,
+    text: `${commentText}\n\n${headerLines.join('\n')}\n\n${original.text || ''}`,
+    html: `${commentHtml}<br><br><div class="gmail_quote">${headerLines.map(escapeHtml).join('<br>')}<br><br>${originalHtml}</div>`,
+    attachments: fromParsedAttachments(original.attachments)
+  };
+};
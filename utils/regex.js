@@ -0,0 +1,60 @@
+// utils/regex.js
+
+// User supplied patterns run against every incoming message, so they are kept short
+// and free of the constructs that make backtracking blow up
+export const MAX_PATTERN_LENGTH = 200;
+
+// Header values longer than this are cut before a user pattern is tested on them
+export const MAX_MATCH_INPUT = 2000;
+
+const isUnboundedQuantifier = (pattern, index) =>
+  pattern[index] === '+' || pattern[index] === '*' || /^\{\d+,\}/.test(pattern.slice(index));
+
+// Whether a group containing a quantifier is itself repeated without bound, e.g. (a+)+ or (\w*\s?)*
+const hasNestedQuantifier = (pattern) => {
+  const groups = [{ quantified: false }];
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      // Skip the character class, quantifier characters inside it are literals
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push({ quantified: false });
+    } else if (char === ')' && groups.length > 1) {
+      const group = groups.pop();
+      if (isUnboundedQuantifier(pattern, i + 1)) {
+        if (group.quantified) return true;
+        groups[groups.length - 1].quantified = true;
+      } else if (group.quantified) {
+        groups[groups.length - 1].quantified = true;
+      }
+    } else if (isUnboundedQuantifier(pattern, i)) {
+      groups[groups.length - 1].quantified = true;
+    }
+  }
+  return false;
+};
+
+// Why a user supplied pattern cannot be used, or null when it is fine
+export const checkPattern = (pattern) => {
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return `Regex must be at most ${MAX_PATTERN_LENGTH} characters`;
+  }
+  try {
+    new RegExp(pattern, 'i');
+  } catch (error) {
+    return `Invalid regex: ${error.message}`;
+  }
+  if (/\\[1-9]|\\k</.test(pattern)) {
+    return 'Regex must not use backreferences';
+  }
+  if (hasNestedQuantifier(pattern)) {
+    return 'Regex must not repeat a group that already contains + or *';
+  }
+  return null;
+};
@@ -3,6 +3,7 @@ import axios from 'axios';
 import Token from '../models/Token.js';
 import User from '../models/User.js';
 import EmailAccount from '../models/EmailAccount.js';
+import { encryptCredentials, decryptCredentials } from './credentials.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -30,6 +31,19 @@ export const getToken = async (worxstreamUserId, email, provider) => {
       return null;
     }
 
+    // IMAP accounts have no access token, their "token" is the decrypted server settings
+    if (tokenDoc.provider === 'imap') {
+      if (!tokenDoc.credentials) {
+        return null;
+      }
+      const account = { email, ...decryptCredentials(tokenDoc.credentials) };
+      tokenCache.set(cacheKey, {
+        token: account,
+        timestamp: Date.now()
+      });
+      return account;
+    }
+
     const access_token = tokenDoc.access_token;
     if (!access_token) {
       return null;
@@ -95,6 +109,36 @@ export const getToken = async (worxstreamUserId, email, provider) => {
   }
 };
 
+// Create or update the EmailAccount record of a connected mailbox
+const linkEmailAccount = async (worxstreamUserId, email, provider) => {
+  try {
+    
+    // Find the user to get their MongoDB _id
+    const user = await User.findOne({ worxstreamUserId });
+    if (!user) {
+      console.error(`❌ User not found for worxstreamUserId: ${worxstreamUserId}`);
+      throw new Error('User not found');
+    }
+    
+    // Create or update EmailAccount record
+    await EmailAccount.findOneAndUpdate(
+      { userId: user._id, email },
+      {
+        userId: user._id,
+        email,
+        provider,
+        isActive: true
+      },
+      { upsert: true, new: true }
+    );
+    
+  } catch (emailAccountError) {
+    console.error(`❌ Failed to create EmailAccount record for ${email}:`, emailAccountError);
+    // Don't fail the entire token save process if EmailAccount creation fails
+    // The EmailAccount will be created when needed by other features
+  }
+};
+
 // 💾 Save token (no encryption needed since we're using worXstream auth)
 export const saveToken = async (worxstreamUserId, email, tokenResponse, provider) => {
   try {
@@ -116,34 +160,7 @@ export const saveToken = async (worxstreamUserId, email, tokenResponse, provider
       { upsert: true, new: true }
     );
 
-    
-    // Create or update EmailAccount record
-    try {
-      
-      // Find the user to get their MongoDB _id
-      const user = await User.findOne({ worxstreamUserId });
-      if (!user) {
-        console.error(`❌ User not found for worxstreamUserId: ${worxstreamUserId}`);
-        throw new Error('User not found');
-      }
-      
-      // Create or update EmailAccount record
-      const emailAccount = await EmailAccount.findOneAndUpdate(
-        { userId: user._id, email },
-        {
-          userId: user._id,
-          email,
-          provider,
-          isActive: true
-        },
-        { upsert: true, new: true }
-      );
-      
-    } catch (emailAccountError) {
-      console.error(`❌ Failed to create EmailAccount record for ${email}:`, emailAccountError);
-      // Don't fail the entire token save process if EmailAccount creation fails
-      // The EmailAccount will be created when needed by other features
-    }
+    await linkEmailAccount(worxstreamUserId, email, provider);
     
     // Add a small delay to ensure the token is properly saved
     await new Promise(resolve => setTimeout(resolve, 1000));
@@ -162,6 +179,21 @@ export const saveToken = async (worxstreamUserId, email, tokenResponse, provider
   }
 };
 
+// 💾 Save an IMAP/SMTP account, the password is stored encrypted
+export const saveImapAccount = async (worxstreamUserId, email, { imap, smtp }) => {
+  const numericUserId = Number(worxstreamUserId);
+
+  await Token.findOneAndUpdate(
+    { worxstreamUserId: numericUserId, email, provider: 'imap' },
+    { credentials: encryptCredentials({ imap, smtp }) },
+    { upsert: true, new: true }
+  );
+  tokenCache.delete(`${numericUserId}:${email}:imap`);
+
+  await linkEmailAccount(numericUserId, email, 'imap');
+  return true;
+};
+
 // 🔁 Refresh token using provider-specific logic
 export const refreshToken = async (refresh_token, provider) => {
   try {
@@ -255,6 +287,18 @@ export const getUserTokens = async (worxstreamUserId) => {
     const refreshedTokens = [];
     
     for (const token of tokens) {
+      // IMAP passwords do not expire
+      if (token.provider === 'imap') {
+        refreshedTokens.push({
+          email: token.email,
+          provider: token.provider,
+          expires_in: null,
+          timestamp: null,
+          isExpired: false
+        });
+        continue;
+      }
+
       const isExpired = Date.now() > token.timestamp + token.expires_in * 1000 - 60000;
       
       if (isExpired) {
@@ -320,6 +364,11 @@ export const refreshSpecificToken = async (worxstreamUserId, email, provider) =>
     if (!tokenDoc) {
       return false;
     }
+
+    // Nothing to refresh for IMAP accounts
+    if (provider === 'imap') {
+      return true;
+    }
     
     const refreshed = await refreshToken(tokenDoc.refresh_token, provider);
     if (refreshed) {